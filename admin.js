@@ -0,0 +1,289 @@
+/**
+ * Admin Console (admin.js)
+ * Operator page for the /api/admin routes: room controls, user balances,
+ * house reports, withdrawal review and the audit log.
+ */
+
+const Admin = {
+    token: localStorage.getItem('cs_token'),
+
+    init: () => {
+        if (Admin.token) Admin.show();
+    },
+
+    // JSON request against the REST API; resolves to { body } or { error }.
+    // An expired access token is refreshed once before giving up.
+    api: async (method, path, payload, retry = true) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (Admin.token) headers['Authorization'] = `Bearer ${Admin.token}`;
+
+        try {
+            const res = await fetch(path, { method, headers, body: payload ? JSON.stringify(payload) : undefined });
+            const body = await res.json().catch(() => ({}));
+            if (res.status === 401 && Admin.token && retry && await Admin.refreshTokens()) {
+                return Admin.api(method, path, payload, false);
+            }
+            if (res.status === 401 || res.status === 403) Admin.logout(body.error || 'Admin access required');
+            if (!res.ok) return { error: body.error || `Request failed (${res.status})` };
+            return { body };
+        } catch (e) {
+            return { error: "Server unreachable" };
+        }
+    },
+
+    // Shares the rotated pair with the game page through localStorage
+    refreshTokens: async () => {
+        const refreshToken = localStorage.getItem('cs_refresh_token');
+        if (!refreshToken) return false;
+
+        try {
+            const res = await fetch('/api/token/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+            if (!res.ok) return false;
+            const body = await res.json();
+            Admin.token = body.token;
+            localStorage.setItem('cs_token', body.token);
+            localStorage.setItem('cs_refresh_token', body.refreshToken);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    },
+
+    login: async () => {
+        const email = document.getElementById('adminEmail').value.trim();
+        const password = document.getElementById('adminPassword').value;
+
+        const { body, error } = await Admin.api('POST', '/api/login', { email, password });
+        if (error) return Admin.setError('adminLoginError', error);
+
+        // Shared with the game page so an operator stays signed in on both
+        Admin.token = body.token;
+        localStorage.setItem('cs_token', body.token);
+        localStorage.setItem('cs_refresh_token', body.refreshToken);
+        localStorage.setItem('cs_session_user', JSON.stringify({ ...body.user, totalProfit: 0 }));
+        Admin.show();
+    },
+
+    logout: (message = '') => {
+        // Only an explicit sign-out revokes the session; an auth failure just drops the token
+        if (Admin.token && !message) Admin.api('POST', '/api/logout', null, false);
+        Admin.token = null;
+        localStorage.removeItem('cs_token');
+        localStorage.removeItem('cs_refresh_token');
+        localStorage.removeItem('cs_session_user');
+        document.getElementById('adminConsole').style.display = 'none';
+        document.getElementById('adminLogin').style.display = 'block';
+        document.getElementById('adminLogoutBtn').style.display = 'none';
+        Admin.setError('adminLoginError', message);
+    },
+
+    show: () => {
+        document.getElementById('adminLogin').style.display = 'none';
+        document.getElementById('adminConsole').style.display = 'block';
+        document.getElementById('adminLogoutBtn').style.display = 'block';
+        Admin.refresh();
+    },
+
+    refresh: () => {
+        Admin.loadRooms();
+        Admin.loadReport();
+        Admin.searchUsers();
+        Admin.loadWithdrawals();
+        Admin.loadAudit();
+    },
+
+    setError: (id, message) => {
+        document.getElementById(id).textContent = message || '';
+    },
+
+    // Every mutating action requires a reason, which lands in the audit log
+    askReason: (label) => {
+        const reason = prompt(`Reason for ${label}:`);
+        return reason && reason.trim() ? reason.trim() : null;
+    },
+
+    // Runs a mutating request, then reloads the console so every table reflects it
+    act: async (method, path, payload) => {
+        const { error } = await Admin.api(method, path, payload);
+        Admin.setError('adminError', error);
+        if (!error) Admin.refresh();
+    },
+
+    // --- Rooms ---
+
+    loadRooms: async () => {
+        const { body, error } = await Admin.api('GET', '/api/admin/rooms');
+        if (error) return Admin.setError('adminError', error);
+
+        document.getElementById('adminRooms').innerHTML = body.rooms.map(r => {
+            const pending = Object.keys(r.pendingSettings).length ? ' <span class="admin-muted">(pending)</span>' : '';
+            // A paused room finishes the round in play first
+            const status = r.paused ? (r.phase === 'paused' ? 'PAUSED' : 'PAUSING') : 'LIVE';
+            return `<tr>
+                <td>$${Admin.escape(r.room)}</td>
+                <td class="${r.paused ? 'negative' : 'positive'}">${status}</td>
+                <td>#${r.nonce ?? '-'} ${r.phase}${r.phase === 'running' ? ` @ ${r.multiplier.toFixed(2)}x` : ''}</td>
+                <td>${r.players} / ${r.bets} bets</td>
+                <td><input type="number" class="form-input admin-input" id="lambda-${r.room}" step="0.01" value="${r.pendingSettings.lambda ?? r.lambda}"></td>
+                <td><input type="number" class="form-input admin-input" id="phase-${r.room}" step="500" value="${r.pendingSettings.bettingPhaseMs ?? r.bettingPhaseMs}">${pending}</td>
+                <td>
+                    <button class="modal-btn secondary" onclick="Admin.saveRoom('${r.room}')">SAVE</button>
+                    <button class="modal-btn ${r.paused ? 'primary' : 'secondary'}" onclick="Admin.toggleRoom('${r.room}', ${r.paused})">${r.paused ? 'RESUME' : 'PAUSE'}</button>
+                </td>
+            </tr>`;
+        }).join('');
+    },
+
+    toggleRoom: (room, paused) => {
+        const reason = Admin.askReason(`${paused ? 'resuming' : 'pausing'} ${room}`);
+        if (!reason) return;
+        Admin.act('POST', `/api/admin/rooms/${room}/${paused ? 'resume' : 'pause'}`, { reason });
+    },
+
+    saveRoom: (room) => {
+        const reason = Admin.askReason(`changing ${room} settings`);
+        if (!reason) return;
+        Admin.act('PATCH', `/api/admin/rooms/${room}`, {
+            lambda: parseFloat(document.getElementById(`lambda-${room}`).value),
+            bettingPhaseMs: parseInt(document.getElementById(`phase-${room}`).value, 10),
+            reason
+        });
+    },
+
+    // --- Reports ---
+
+    loadReport: async () => {
+        const params = new URLSearchParams();
+        const from = document.getElementById('reportFrom').value;
+        const to = document.getElementById('reportTo').value;
+        if (from) params.set('from', from);
+        // Inclusive of the whole "to" day
+        if (to) params.set('to', new Date(new Date(to).getTime() + 86400000).toISOString());
+
+        const { body, error } = await Admin.api('GET', `/api/admin/reports/rooms?${params}`);
+        if (error) return Admin.setError('adminError', error);
+
+        document.getElementById('adminReport').innerHTML = body.rooms.map(r => `<tr>
+            <td>$${Admin.escape(r.room)}</td>
+            <td>${r.rounds}</td>
+            <td>${r.bets}</td>
+            <td>${r.avgCrashPoint ? r.avgCrashPoint.toFixed(2) + 'x' : '-'}</td>
+            <td>${Admin.cc(r.volume)}</td>
+            <td>${Admin.cc(r.paid)}</td>
+            <td class="${r.houseProfit >= 0 ? 'positive' : 'negative'}">${Admin.cc(r.houseProfit)}</td>
+            <td>${r.rtp === null ? '-' : (r.rtp * 100).toFixed(2) + '%'}</td>
+        </tr>`).join('') || '<tr><td colspan="8" class="admin-muted">No activity in range</td></tr>';
+    },
+
+    // --- Users ---
+
+    searchUsers: async () => {
+        const search = document.getElementById('userSearch').value.trim();
+        const { body, error } = await Admin.api('GET', `/api/admin/users?search=${encodeURIComponent(search)}`);
+        if (error) return Admin.setError('adminError', error);
+
+        document.getElementById('adminUsers').innerHTML = body.users.map(u => `<tr>
+            <td>${u.id}</td>
+            <td>${Admin.escape(u.username)}</td>
+            <td>${Admin.escape(u.email)}</td>
+            <td>${Admin.cc(u.balance)}</td>
+            <td>${Admin.escape(u.role)}</td>
+            <td class="${u.frozen || u.chatBanned ? 'negative' : ''}">${u.frozen ? 'FROZEN' : 'Active'}${
+                u.chatBanned ? ' / CHAT BANNED' : u.chatMutedUntil ? ` / MUTED until ${Admin.escape(u.chatMutedUntil.slice(0, 16))}` : ''
+            }</td>
+            <td>
+                <button class="modal-btn secondary" onclick="Admin.adjustUser(${u.id})">ADJUST</button>
+                <button class="modal-btn secondary" onclick="Admin.freezeUser(${u.id}, ${!u.frozen})">${u.frozen ? 'UNFREEZE' : 'FREEZE'}</button>
+                <button class="modal-btn secondary" onclick="Admin.moderateChat(${u.id}, '${u.chatMutedUntil ? 'unmute' : 'mute'}')">${u.chatMutedUntil ? 'UNMUTE' : 'MUTE'}</button>
+                <button class="modal-btn secondary" onclick="Admin.moderateChat(${u.id}, '${u.chatBanned ? 'unban' : 'ban'}')">${u.chatBanned ? 'CHAT UNBAN' : 'CHAT BAN'}</button>
+            </td>
+        </tr>`).join('');
+    },
+
+    adjustUser: (id) => {
+        const amount = parseInt(prompt('Amount in CC (negative to debit):'), 10);
+        if (!amount) return;
+        const reason = Admin.askReason(`adjusting user ${id} by ${amount} CC`);
+        if (!reason) return;
+        Admin.act('POST', `/api/admin/users/${id}/adjust`, { amount, reason });
+    },
+
+    freezeUser: (id, frozen) => {
+        const reason = Admin.askReason(`${frozen ? 'freezing' : 'unfreezing'} user ${id}`);
+        if (!reason) return;
+        Admin.act('POST', `/api/admin/users/${id}/freeze`, { frozen, reason });
+    },
+
+    // action: 'mute', 'unmute', 'ban' or 'unban' (chat only)
+    moderateChat: (id, action) => {
+        let minutes;
+        if (action === 'mute') {
+            minutes = parseInt(prompt('Mute for how many minutes?', '10'), 10);
+            if (!minutes) return;
+        }
+        const reason = Admin.askReason(`chat ${action} of user ${id}`);
+        if (!reason) return;
+        Admin.act('POST', `/api/admin/users/${id}/chat`, { action, minutes, reason });
+    },
+
+    // --- Withdrawals ---
+
+    loadWithdrawals: async () => {
+        const { body, error } = await Admin.api('GET', '/api/admin/withdrawals?status=pending');
+        if (error) return Admin.setError('adminError', error);
+
+        document.getElementById('adminWithdrawals').innerHTML = body.withdrawals.map(w => `<tr>
+            <td>${w.id}</td>
+            <td>${Admin.escape(w.username)}</td>
+            <td>${Admin.cc(w.amount)}</td>
+            <td>$${w.amountUsd.toFixed(2)}</td>
+            <td>${new Date(w.createdAt + 'Z').toLocaleString()}</td>
+            <td>
+                <button class="modal-btn primary" onclick="Admin.reviewWithdrawal(${w.id}, 'approve')">APPROVE</button>
+                <button class="modal-btn secondary" onclick="Admin.reviewWithdrawal(${w.id}, 'reject')">REJECT</button>
+            </td>
+        </tr>`).join('') || '<tr><td colspan="6" class="admin-muted">Nothing to review</td></tr>';
+    },
+
+    reviewWithdrawal: (id, decision) => {
+        let payload;
+        if (decision === 'reject') {
+            const reason = Admin.askReason(`rejecting withdrawal ${id}`);
+            if (!reason) return;
+            payload = { reason };
+        } else if (!confirm(`Send the payout for withdrawal ${id}?`)) {
+            return;
+        }
+        Admin.act('POST', `/api/admin/withdrawals/${id}/${decision}`, payload);
+    },
+
+    // --- Audit Log ---
+
+    loadAudit: async () => {
+        const { body, error } = await Admin.api('GET', '/api/admin/audit');
+        if (error) return Admin.setError('adminError', error);
+
+        document.getElementById('adminAudit').innerHTML = body.entries.map(e => `<tr>
+            <td>${new Date(e.createdAt + 'Z').toLocaleString()}</td>
+            <td>${Admin.escape(e.admin)}</td>
+            <td>${Admin.escape(e.action)}</td>
+            <td>${Admin.escape(e.target)}</td>
+            <td>${e.details ? Admin.escape(JSON.stringify(e.details)) : ''}</td>
+            <td>${Admin.escape(e.reason || '')}</td>
+        </tr>`).join('');
+    },
+
+    // --- Helpers ---
+
+    cc: (amount) => `${Math.round(amount || 0).toLocaleString()} CC`,
+
+    escape: (text) => String(text ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]))
+};
+
+document.addEventListener('DOMContentLoaded', Admin.init);
@@ -8,7 +8,60 @@ const App = {
         canvas: null,
         ctx: null,
         data: [], // Stores {x, y} points
-        maxPoints: 200 // Sliding window size
+        maxPoints: 200, // Sliding window size
+        pointSpacing: 0.05 // Seconds between plotted points, see plotCurve()
+    },
+    // Curve of the round in play (curve.js), drawn every frame between server ticks
+    round: {
+        startTime: 0, // t = 0 on the local clock
+        lambda: null,
+        tick: { elapsed: 0, multiplier: 1.0 }, // Latest from the server
+        frame: null // requestAnimationFrame id while running
+    },
+    tickLead: 0.5, // Seconds the drawn curve may run ahead of the last tick
+    plChart: { canvas: null, ctx: null, data: [] }, // Profile P/L, see renderStats()
+    leaderboard: { metric: 'total-profit', period: 'day', you: null, watching: false }, // see showLeaderboards()
+    leaderboardNames: {
+        'total-profit': 'Total Profit',
+        'biggest-win': 'Biggest Win',
+        'best-multiplier': 'Best Exit',
+        'total-wagered': 'Volume'
+    },
+    leaderboardPeriods: { day: "today's", week: "this week's", all: 'all-time' },
+    chat: {
+        channel: 'room', // or 'global'
+        messages: {}, // channel name -> messages, see renderChat()
+        verified: {}, // message id -> result of verifyShare()
+        cashedOut: false, // this round, so it can be shared once it ends
+        noticeTimer: null
+    },
+    chatMaxMessages: 100,
+    rooms: [], // Market definitions from the server, see loadRooms()
+    room: null, // Symbol of the market currently being played
+    withdrawalConfig: { minAmount: 50000, ccPerUsd: 1000 },
+    roster: [], // Bets in the current round, see updateRoster()
+    roundCrashed: false,
+    betNoticeTimer: null,
+    authMode: 'login', // or 'register' / 'forgot', see setAuthMode()
+    resetToken: null, // From a password reset link, see showResetModal()
+    user: null, // Latest USER_UPDATE
+    realityCheck: {
+        minutes: 60, // Interval from the player's settings, 0 = off
+        sessionStart: null, // When the current sign-in began
+        lastShown: null
+    },
+    autoBet: {
+        active: false,
+        pending: false, // An auto-bet is riding on the current round
+        baseAmount: 0,
+        amount: 0,
+        played: 0,
+        profit: 0, // Net result since auto-bet was started
+        rounds: 0, // 0 = until stopped
+        stopProfit: 0,
+        stopLoss: 0,
+        onWin: 0, // % increase after a win, 0 = reset to base
+        onLoss: 0 // % increase after a loss, 0 = reset to base (100 = martingale)
     },
 
     init: () => {
@@ -30,13 +83,37 @@ const App = {
                 case 'INITIAL_STATE': App.onInit(data); break;
                 case 'USER_UPDATE': App.updateUserUI(data); break;
                 case 'GAME_START': App.onGameStart(data); break;
+                case 'GAME_SNAPSHOT': App.onSnapshot(data); break;
+                case 'PHASE_CHANGE': App.onPhaseChange(data); break;
+                case 'CONNECTION_STATUS': App.onConnectionStatus(data); break;
                 case 'TICK': App.onTick(data); break;
                 case 'GAME_CRASHED': App.onCrash(data); break;
                 case 'BET_PLACED': App.onBet(data); break;
                 case 'CASHOUT_SUCCESS': App.onCashout(data); break;
+                case 'BET_LOST': App.onAutoBetResult(false, -data.amount); break;
                 case 'HISTORY_UPDATE': App.updateHistory(data); break;
+                case 'ROSTER_UPDATE': App.updateRoster(data); break;
+                case 'BET_ERROR': App.onBetError(data); break;
+                case 'ROOM_STATUS': App.onRoomStatus(data); break;
+                case 'LEADERBOARD_UPDATE': App.onLeaderboardUpdate(data); break;
+                case 'RANK_CHANGE': App.onRankChange(data); break;
+                case 'CHAT_HISTORY': App.onChatHistory(data); break;
+                case 'CHAT_MESSAGE': App.onChatMessage(data); break;
+                case 'CHAT_ERROR': App.showChatNotice(data.error); break;
+                case 'CHAT_NOTICE': App.showChatNotice(data.message, 'info'); break;
+                case 'CHAT_PURGE': App.onChatPurge(data); break;
+                case 'SERVER_ERROR': console.error(data.error); break;
             }
         });
+
+        App.handleEmailLinks();
+        setInterval(App.checkRealityCheck, 30000);
+
+        // Player counts on the ticker grid refresh while the home page is showing
+        App.loadRooms();
+        setInterval(() => {
+            if (document.getElementById('mainPage').classList.contains('active')) App.loadRooms();
+        }, 10000);
     },
 
     // --- Actions ---
@@ -44,26 +121,295 @@ const App = {
         const p = App.chart.canvas.parentElement;
         App.chart.canvas.width = p.clientWidth;
         App.chart.canvas.height = p.clientHeight;
+        if (document.getElementById('profilePage').classList.contains('active')) App.drawProfitChart();
+    },
+
+    // Sign in, sign up and forgotten password share the login modal:
+    // 'register' adds a username, 'forgot' asks for the email alone
+    setAuthMode: (mode) => {
+        App.authMode = mode;
+        const registering = mode === 'register';
+        const forgot = mode === 'forgot';
+        document.getElementById('signInTab').classList.toggle('active', mode === 'login');
+        document.getElementById('signUpTab').classList.toggle('active', registering);
+        document.getElementById('usernameGroup').style.display = registering ? 'block' : 'none';
+        document.getElementById('passwordGroup').style.display = forgot ? 'none' : 'block';
+        document.getElementById('forgotLink').style.display = mode === 'login' ? 'inline-block' : 'none';
+        document.getElementById('passwordInput').autocomplete = registering ? 'new-password' : 'current-password';
+        document.getElementById('authSubmitBtn').innerText = registering ? 'CREATE ACCOUNT' : forgot ? 'SEND RESET LINK' : 'SIGN IN';
+        App.showAuthError('');
+    },
+
+    submitAuth: async () => {
+        const registering = App.authMode === 'register';
+        const email = document.getElementById('emailInput').value.trim();
+        const username = document.getElementById('usernameInput').value.trim();
+        const password = document.getElementById('passwordInput').value;
+
+        if (!email) return App.showAuthError('Email required', 'email');
+        if (App.authMode === 'forgot') return App.requestPasswordReset(email);
+        if (registering && !username) return App.showAuthError('Username required', 'username');
+        if (!password) return App.showAuthError('Password required', 'password');
+
+        const button = document.getElementById('authSubmitBtn');
+        button.disabled = true;
+        const res = registering
+            ? await window.gameServer.register({ username, email, password })
+            : await window.gameServer.login({ email, password });
+        button.disabled = false;
+
+        if (res.error) return App.showAuthError(res.error, res.field);
+        document.getElementById('passwordInput').value = '';
+        App.closeModal('loginModal');
+    },
+
+    requestPasswordReset: async (email) => {
+        const res = await window.gameServer.forgotPassword(email);
+        if (res.error) return App.showAuthError(res.error, res.field);
+        App.setAuthMode('login');
+        App.showAuthError(res.message, null, 'info');
+    },
+
+    // Opened from the ?reset=<token> link in the password reset email
+    showResetModal: (token) => {
+        App.resetToken = token;
+        document.getElementById('resetError').innerText = '';
+        document.getElementById('resetModal').classList.add('active');
+    },
+
+    submitPasswordReset: async () => {
+        const password = document.getElementById('newPasswordInput').value;
+        const error = document.getElementById('resetError');
+        if (!password) return error.innerText = 'Password required';
+
+        const res = await window.gameServer.resetPassword(App.resetToken, password);
+        if (res.error) return error.innerText = res.error;
+
+        document.getElementById('newPasswordInput').value = '';
+        App.resetToken = null;
+        App.closeModal('resetModal');
+        window.showLoginModal();
+        App.showAuthError(res.message, null, 'info');
+    },
+
+    // ?verify=<token> and ?reset=<token> come from email links; drop them from the address bar once read
+    handleEmailLinks: async () => {
+        const params = new URLSearchParams(window.location.search);
+        const verify = params.get('verify');
+        const reset = params.get('reset');
+        if (!verify && !reset) return;
+
+        params.delete('verify');
+        params.delete('reset');
+        const query = params.toString();
+        history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+        if (reset) App.showResetModal(reset);
+        if (verify) {
+            const res = await window.gameServer.verifyEmail(verify);
+            alert(res.error || res.message);
+        }
+    },
+
+    resendVerification: async () => {
+        const res = await window.gameServer.resendVerification();
+        alert(res.error || res.message);
+    },
+
+    // Message under the auth form; `field` ('email', 'username', 'password') outlines that input
+    showAuthError: (message, field = null, type = 'error') => {
+        document.getElementById('authError').innerText = message;
+        document.getElementById('authError').className = `auth-error ${type}`;
+        document.querySelectorAll('#authForm .form-input.invalid').forEach(el => el.classList.remove('invalid'));
+        if (field) document.getElementById(`${field}Input`).classList.add('invalid');
     },
 
-    login: () => {
-        const user = document.getElementById('usernameInput').value;
-        const res = window.gameServer.login(user);
-        if (res.success) App.closeModal('loginModal');
+    logoutAll: async () => {
+        if (!confirm('Sign out on every device?')) return;
+        const res = await window.gameServer.logoutAll();
+        if (res.error) alert(res.error);
     },
 
-    startGame: (modeIdx) => {
+    startGame: (symbol) => {
+        const room = App.rooms.find(r => r.symbol === symbol);
+        if (!room || room.paused) return;
+
+        App.room = symbol;
+        document.getElementById('chatRoomTab').innerText = `$${symbol}`;
+        App.renderChat();
+        const input = document.getElementById('betAmount');
+        input.min = room.minBet;
+        input.max = room.maxBet;
+        input.value = Math.min(Math.max(parseInt(input.value) || room.minBet, room.minBet), room.maxBet);
+
         App.showPage('gamePage');
         setTimeout(() => {
             // Simulate "Connecting to match..."
-            window.gameServer.startGame(modeIdx);
+            window.gameServer.startGame(symbol);
         }, 500);
     },
 
+    loadRooms: async () => {
+        const res = await window.gameServer.getRooms();
+        if (res.error) {
+            if (!App.rooms.length) document.getElementById('tickerGrid').innerHTML = '<div class="ticker-empty">Markets unavailable</div>';
+            return console.error("Failed to load rooms:", res.error);
+        }
+        App.rooms = res.rooms;
+        App.renderTickers();
+    },
+
+    renderTickers: () => {
+        document.getElementById('tickerGrid').innerHTML = App.rooms.map(r => `
+            <div class="ticker-card ${r.paused ? 'paused' : ''}" onclick="startGame('${r.symbol}')">
+                <div class="ticker-badge ${App.escapeHtml(r.badge)}">${App.escapeHtml(r.badge)}</div>
+                <div class="ticker-symbol">$${r.symbol}</div>
+                <div class="ticker-name">${App.escapeHtml(r.name)}</div>
+                <div class="ticker-range">Up to <span class="positive">${r.maxMultiplier.toLocaleString()}x</span> &middot; ${r.minBet.toLocaleString()}-${r.maxBet.toLocaleString()} CC</div>
+                <div class="ticker-players ${r.players ? 'live' : ''}">${r.paused ? 'Paused' : `${r.players} trading`}</div>
+            </div>
+        `).join('');
+    },
+
     placeBet: () => {
         const amt = parseInt(document.getElementById('betAmount').value);
-        const res = window.gameServer.placeBet(amt);
-        if (res.error) alert(res.error);
+        App.showBetNotice('');
+        const res = window.gameServer.placeBet(amt, { autoCashOut: App.getAutoCashOut() });
+        if (res.error) App.onBetError(res);
+    },
+
+    redeemCode: async () => {
+        const code = document.getElementById('referralInput').value.trim();
+        if (!code) return alert('Enter a referral code');
+
+        const res = await window.gameServer.redeemReferral(code);
+        if (res.error) return alert(res.error);
+        App.closeModal('enterCodeModal');
+        alert(res.message);
+    },
+
+    showDepositModal: async () => {
+        const res = await window.gameServer.getPackages();
+        if (res.error) return alert(res.error);
+
+        document.getElementById('packageList').innerHTML = res.packages.map(p => `
+            <button class="package-btn" onclick="buyPackage('${p.id}')">
+                <span>${p.credits.toLocaleString()} CC</span><span>$${(p.priceCents / 100).toFixed(2)}</span>
+            </button>
+        `).join('');
+        document.getElementById('depositModal').classList.add('active');
+    },
+
+    buyPackage: async (packageId) => {
+        const res = await window.gameServer.createCheckout(packageId);
+        if (res.error) return alert(res.error);
+        window.location.href = res.url;
+    },
+
+    showRedeemModal: async () => {
+        document.getElementById('redeemModal').classList.add('active');
+        App.updateRedeemValue();
+
+        const res = await window.gameServer.getWithdrawals();
+        if (res.error) return;
+        App.withdrawalConfig = { minAmount: res.minAmount, ccPerUsd: res.ccPerUsd };
+        App.updateRedeemValue();
+        App.renderWithdrawals(res.withdrawals);
+    },
+
+    updateRedeemValue: () => {
+        const amount = parseInt(document.getElementById('redeemAmount').value) || 0;
+        const usd = Math.floor((amount / App.withdrawalConfig.ccPerUsd) * 100) / 100;
+        document.getElementById('redeemValue').innerText = usd.toFixed(2);
+    },
+
+    redeemCash: async () => {
+        const amount = parseInt(document.getElementById('redeemAmount').value);
+        const { minAmount } = App.withdrawalConfig;
+        if (!(amount >= minAmount)) return alert(`Minimum withdrawal is ${minAmount.toLocaleString()} CC`);
+
+        const res = await window.gameServer.redeem(amount);
+        if (res.error) return alert(res.error);
+        alert(res.message);
+        App.showRedeemModal();
+    },
+
+    renderWithdrawals: (withdrawals) => {
+        document.getElementById('withdrawalHistory').innerHTML = withdrawals.map(w => `
+            <div class="withdrawal-item">
+                <span>${w.amount.toLocaleString()} CC · $${w.amountUsd.toFixed(2)}</span>
+                <span class="withdrawal-status ${w.status}">${w.status}</span>
+            </div>
+        `).join('') || '<p class="withdrawal-empty">No withdrawals yet</p>';
+    },
+
+    getAutoCashOut: () => {
+        const target = parseFloat(document.getElementById('autoCashOut').value);
+        return target >= 1.01 ? target : null;
+    },
+
+    toggleAutoBet: () => {
+        if (App.autoBet.active) return App.stopAutoBet();
+
+        const num = (id) => parseFloat(document.getElementById(id).value) || 0;
+        const base = parseInt(document.getElementById('betAmount').value);
+        if (!(base > 0)) return alert('Enter a trade amount');
+
+        Object.assign(App.autoBet, {
+            active: true,
+            pending: false,
+            baseAmount: base,
+            amount: base,
+            played: 0,
+            profit: 0,
+            rounds: Math.floor(num('autoBetRounds')),
+            stopProfit: num('autoStopProfit'),
+            stopLoss: num('autoStopLoss'),
+            onWin: num('autoOnWin'),
+            onLoss: num('autoOnLoss')
+        });
+        App.renderAutoBet();
+    },
+
+    stopAutoBet: (reason = '') => {
+        App.autoBet.active = false;
+        App.autoBet.pending = false;
+        App.renderAutoBet(reason);
+    },
+
+    placeAutoBet: () => {
+        const ab = App.autoBet;
+        const res = window.gameServer.placeBet(ab.amount, { autoCashOut: App.getAutoCashOut() });
+        if (res.error) return App.stopAutoBet(res.error);
+        ab.pending = true;
+    },
+
+    onAutoBetResult: (won, profit) => {
+        const ab = App.autoBet;
+        if (!ab.active || !ab.pending) return;
+        ab.pending = false;
+        ab.played++;
+        ab.profit += profit;
+
+        const pct = won ? ab.onWin : ab.onLoss;
+        ab.amount = pct ? Math.floor(ab.amount * (1 + pct / 100)) : ab.baseAmount;
+
+        if (ab.rounds && ab.played >= ab.rounds) return App.stopAutoBet('Rounds complete');
+        if (ab.stopProfit && ab.profit >= ab.stopProfit) return App.stopAutoBet('Profit target hit');
+        if (ab.stopLoss && -ab.profit >= ab.stopLoss) return App.stopAutoBet('Loss limit hit');
+        App.renderAutoBet();
+    },
+
+    renderAutoBet: (reason = '') => {
+        const ab = App.autoBet;
+        const btn = document.getElementById('autoBetBtn');
+        btn.innerText = ab.active ? 'STOP AUTO' : 'START AUTO';
+        btn.classList.toggle('active', ab.active);
+
+        const played = ab.rounds ? `${ab.played}/${ab.rounds}` : ab.played;
+        document.getElementById('autoBetStatus').innerText = ab.active
+            ? `Round ${played} · Next ${ab.amount} · P/L ${ab.profit > 0 ? '+' : ''}${ab.profit}`
+            : reason;
     },
 
     cashOut: () => {
@@ -79,23 +425,47 @@ const App = {
     },
 
     updateUserUI: (user) => {
+        if (user && !App.user) App.startSessionClock();
+        if (!user) App.realityCheck.sessionStart = null;
+        App.user = user;
+
         if (user) {
             document.getElementById('loginBtn').style.display = 'none';
             document.getElementById('logoutBtn').style.display = 'block';
+            document.getElementById('logoutAllBtn').style.display = 'block';
+            document.getElementById('verifyEmailBtn').style.display = user.emailVerified === false ? 'block' : 'none';
             document.getElementById('userStats').style.display = 'flex';
             document.getElementById('username').innerText = user.username;
             document.getElementById('crashCashBalance').innerText = Math.floor(user.balance).toLocaleString();
             document.getElementById('referralCode').innerText = user.referralCode;
             document.getElementById('totalProfit').innerText = Math.floor(user.totalProfit).toLocaleString();
+            App.renderProfit(document.getElementById('sessionPL'), user.sessionProfit || 0);
             document.getElementById('loginModal').classList.remove('active');
         } else {
             document.getElementById('loginBtn').style.display = 'block';
             document.getElementById('logoutBtn').style.display = 'none';
+            document.getElementById('logoutAllBtn').style.display = 'none';
+            document.getElementById('verifyEmailBtn').style.display = 'none';
             document.getElementById('userStats').style.display = 'none';
+            document.getElementById('sessionPL').innerText = '-';
+            document.getElementById('sessionPL').className = 'round-stat-value';
         }
     },
 
-    onGameStart: ({ id }) => {
+    formatProfit: (amount) => `${amount > 0 ? '+' : ''}${Math.floor(amount).toLocaleString()}`,
+
+    renderProfit: (el, amount) => {
+        el.innerText = App.formatProfit(amount);
+        el.classList.toggle('positive', amount > 0);
+        el.classList.toggle('negative', amount < 0);
+    },
+
+    onGameStart: ({ id, startTime, lambda }) => {
+        App.stopCurve();
+        App.round.startTime = startTime;
+        App.round.lambda = lambda;
+        App.round.tick = { elapsed: 0, multiplier: 1.0 };
+
         document.getElementById('multiplierDisplay').className = 'multiplier-display';
         document.getElementById('multiplierDisplay').innerText = '1.00x';
         document.getElementById('marketHaltOverlay').classList.remove('active');
@@ -105,12 +475,102 @@ const App = {
         // Reset Chart
         App.chart.data = [{ x: 0, y: 1.0 }];
         App.drawChart();
+
+        App.roundCrashed = false;
+        App.renderRoster();
+
+        if (App.autoBet.active) App.placeAutoBet();
+    },
+
+    // Joined or reconnected mid-round: redraw the curve so far and restore the trade controls
+    onSnapshot: ({ phase, startTime, lambda, multiplier, crashPoint, ticks, bet }) => {
+        const crashed = crashPoint !== null;
+        const current = crashed ? crashPoint : multiplier;
+
+        App.stopCurve();
+        App.round.startTime = startTime;
+        App.round.lambda = lambda;
+        App.chart.data = [{ x: 0, y: 1.0 }]
+            .concat(ticks.map(t => ({ x: t.elapsed, y: t.multiplier })))
+            .slice(-App.chart.maxPoints);
+        App.round.tick = { elapsed: App.chart.data[App.chart.data.length - 1].x, multiplier: current };
+        App.drawChart(current);
+        if (phase === 'running') App.round.frame = requestAnimationFrame(App.animateCurve);
+
+        const disp = document.getElementById('multiplierDisplay');
+        disp.innerText = current.toFixed(2) + 'x';
+        disp.className = `multiplier-display${crashed ? ' negative' : phase === 'running' ? ' positive' : ''}`;
+        document.getElementById('marketHaltOverlay').classList.toggle('active', phase !== 'betting' && phase !== 'running');
+        document.getElementById('placeBetBtn').disabled = phase !== 'betting';
+
+        // An open or cashed-out trade keeps the cash-out button until the crash
+        const open = Boolean(bet) && !crashed;
+        const cashOutBtn = document.getElementById('cashOutBtn');
+        document.getElementById('placeBetBtn').style.display = open ? 'none' : 'block';
+        cashOutBtn.style.display = open ? 'block' : 'none';
+        cashOutBtn.classList.toggle('active', open);
+        cashOutBtn.disabled = open && bet.cashedOut;
+        cashOutBtn.innerText = open && bet.cashedOut ? `WON ${bet.amount + bet.profit}` : 'CASH OUT';
+        App.chat.cashedOut = open && bet.cashedOut;
+
+        App.roundCrashed = crashed;
+        App.renderRoster();
     },
 
+    // Server rounds only; trades are taken in the betting phase alone
+    onPhaseChange: ({ phase, at, refunded }) => {
+        document.getElementById('placeBetBtn').disabled = phase !== 'betting';
+        if (phase === 'running') App.round.startTime = at;
+        if (phase !== 'paused' && phase !== 'stopped') return;
+
+        document.getElementById('marketHaltOverlay').classList.add('active');
+        if (phase === 'stopped') {
+            document.getElementById('course-text').innerText = "Closed";
+            document.getElementById('cashOutBtn').style.display = 'none';
+            document.getElementById('placeBetBtn').style.display = 'block';
+            App.showBetNotice(`Market closed for maintenance${refunded ? ', your trade was refunded' : ''}`, 'info');
+            if (App.autoBet.active) App.stopAutoBet("Market closed");
+        }
+    },
+
+    connectionLabels: { connecting: 'CONNECTING', connected: 'LIVE', reconnecting: 'RECONNECTING' },
+
+    // Header indicator for the socket; hidden while signed out and in offline mode
+    onConnectionStatus: ({ status, attempt }) => {
+        const el = document.getElementById('connectionStatus');
+        el.style.display = status === 'disconnected' ? 'none' : 'flex';
+        el.className = `connection-status ${status}`;
+        el.innerText = status === 'reconnecting' && attempt ? `RECONNECTING (${attempt})` : App.connectionLabels[status] || '';
+    },
+
+    // Ticks only keep the drawn curve honest; animateCurve() draws in between
     onTick: ({ multiplier, elapsed }) => {
-        // Update Chart Data
-        App.chart.data.push({ x: elapsed, y: multiplier });
-        // Sliding Window
+        App.round.tick = { elapsed, multiplier };
+        if (!App.round.lambda) return App.plotCurve(elapsed, multiplier);
+        if (!App.round.frame) App.round.frame = requestAnimationFrame(App.animateCurve);
+    },
+
+    // Follows M(t) on the local clock, never behind the last tick and at most
+    // tickLead ahead of it, so a lost connection does not run on past the crash
+    animateCurve: () => {
+        const { startTime, lambda, tick } = App.round;
+        const now = (Date.now() - startTime) / 1000;
+        const elapsed = Math.max(tick.elapsed, Math.min(now, tick.elapsed + App.tickLead));
+        const multiplier = Math.max(tick.multiplier, Curve.multiplierAt(elapsed * 1000, lambda));
+
+        App.plotCurve(elapsed, multiplier);
+        App.round.frame = requestAnimationFrame(App.animateCurve);
+    },
+
+    stopCurve: () => {
+        cancelAnimationFrame(App.round.frame);
+        App.round.frame = null;
+    },
+
+    plotCurve: (elapsed, multiplier) => {
+        // Sliding window of points pointSpacing apart
+        const last = App.chart.data[App.chart.data.length - 1];
+        if (elapsed - last.x >= App.chart.pointSpacing) App.chart.data.push({ x: elapsed, y: multiplier });
         if (App.chart.data.length > App.chart.maxPoints) {
             App.chart.data.shift();
         }
@@ -128,12 +588,55 @@ const App = {
         document.getElementById('cashOutBtn').classList.add('active');
     },
 
-    onCashout: ({ winAmount }) => {
+    onCashout: ({ winAmount, profit, reason }) => {
         document.getElementById('cashOutBtn').innerText = `WON ${winAmount}`;
         document.getElementById('cashOutBtn').disabled = true;
+        if (reason === 'max_win') App.showBetNotice('Max win reached, trade closed', 'info');
+        if (reason === 'exposure') App.showBetNotice('Round payout limit reached, all trades closed', 'info');
+        App.chat.cashedOut = true;
+        App.onAutoBetResult(true, profit);
+    },
+
+    onRoomStatus: ({ paused }) => {
+        document.getElementById('course-text').innerText = paused ? "Paused" : "Live";
+        if (paused && App.autoBet.active) App.stopAutoBet("Market paused");
+    },
+
+    // Inputs to flag for a rejection code from placeBet / bet_error
+    betErrorFields: {
+        INVALID_AMOUNT: 'betAmount',
+        BELOW_MIN_BET: 'betAmount',
+        ABOVE_MAX_BET: 'betAmount',
+        INSUFFICIENT_FUNDS: 'betAmount',
+        INVALID_AUTO_CASH_OUT: 'autoCashOut'
+    },
+
+    onBetError: ({ error, code }) => {
+        if (App.autoBet.pending) return App.stopAutoBet(error);
+        App.showBetNotice(error, 'error', App.betErrorFields[code]);
+    },
+
+    // Inline message under the trade controls; an empty message clears it
+    showBetNotice: (message, type = 'error', fieldId = null) => {
+        const notice = document.getElementById('betNotice');
+        notice.innerText = message;
+        notice.className = `bet-notice ${type}`;
+        document.querySelectorAll('.bet-input.invalid').forEach(el => el.classList.remove('invalid'));
+        if (fieldId) document.getElementById(fieldId).classList.add('invalid');
+
+        clearTimeout(App.betNoticeTimer);
+        if (message) App.betNoticeTimer = setTimeout(() => App.showBetNotice(''), 5000);
     },
 
     onCrash: ({ crashPoint }) => {
+        // The curve ends exactly on the crash point, which no tick may have reached
+        App.stopCurve();
+        if (App.round.lambda) {
+            const x = Curve.timeToReach(crashPoint, App.round.lambda) / 1000;
+            App.chart.data = App.chart.data.filter(p => p.x < x).concat({ x, y: crashPoint });
+        }
+        App.drawChart(crashPoint);
+
         const disp = document.getElementById('multiplierDisplay');
         disp.innerText = crashPoint.toFixed(2) + 'x';
         disp.classList.remove('positive');
@@ -148,9 +651,16 @@ const App = {
         document.getElementById('placeBetBtn').style.display = 'block';
         document.getElementById('placeBetBtn').innerText = 'PLACE TRADE';
 
-        // Auto restart for prototype feel
+        App.roundCrashed = true;
+        App.renderRoster();
+
+        // The round is recorded now, so its cash-out can be shared
+        if (App.chat.cashedOut) document.getElementById('shareCashOutBtn').disabled = false;
+        App.chat.cashedOut = false;
+
+        // Auto restart for prototype feel (the socket server loops rounds itself)
         setTimeout(() => {
-            window.gameServer.startGame(0);
+            window.gameServer.startGame(App.room);
         }, 3000);
     },
 
@@ -164,19 +674,410 @@ const App = {
         `).join('');
     },
 
+    updateRoster: (roster) => {
+        App.roster = roster;
+        App.renderRoster();
+    },
+
+    renderRoster: () => {
+        // Bets still riding when the round crashed are shown as lost
+        const rows = App.roster.slice().sort((a, b) => b.amount - a.amount).map(r => {
+            const status = r.multiplier ? 'won' : (App.roundCrashed ? 'lost' : '');
+            const profit = r.multiplier ? r.profit : (App.roundCrashed ? -r.amount : null);
+            return `
+            <tr class="${status}">
+                <td>${App.escapeHtml(r.username)}</td>
+                <td>${r.amount.toLocaleString()}</td>
+                <td>${r.multiplier ? r.multiplier.toFixed(2) + 'x' : '-'}</td>
+                <td>${profit === null ? '-' : (profit > 0 ? '+' : '') + profit.toLocaleString()}</td>
+            </tr>`;
+        }).join('');
+
+        document.getElementById('rosterCount').innerText = App.roster.length;
+        document.getElementById('roundRoster').innerHTML = rows;
+    },
+
     // --- Helpers ---
+    // --- Chat ---
+
+    chatChannelName: () => App.chat.channel === 'room' ? App.room : 'global',
+
+    setChatChannel: (channel) => {
+        App.chat.channel = channel;
+        document.querySelectorAll('#chatTabs .auth-tab').forEach(t => t.classList.toggle('active', t.dataset.channel === channel));
+        App.renderChat();
+    },
+
+    onChatHistory: ({ channel, messages }) => {
+        App.chat.messages[channel] = messages;
+        if (channel === App.chatChannelName()) App.renderChat();
+    },
+
+    onChatMessage: (message) => {
+        const list = App.chat.messages[message.channel] || (App.chat.messages[message.channel] = []);
+        list.push(message);
+        if (list.length > App.chatMaxMessages) list.shift();
+        if (message.channel === App.chatChannelName()) App.renderChat();
+    },
+
+    onChatPurge: ({ username }) => {
+        for (const channel of Object.keys(App.chat.messages)) {
+            App.chat.messages[channel] = App.chat.messages[channel].filter(m => m.username !== username);
+        }
+        App.renderChat();
+    },
+
+    sendChat: () => {
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim();
+        if (!text) return;
+
+        const res = window.gameServer.sendChat(App.chat.channel, text);
+        if (res.error) return App.showChatNotice(res.error);
+        input.value = '';
+    },
+
+    shareCashOut: () => {
+        const res = window.gameServer.shareCashOut(App.chat.channel);
+        if (res.error) return App.showChatNotice(res.error);
+        document.getElementById('shareCashOutBtn').disabled = true;
+    },
+
+    showChatNotice: (message, type = 'error') => {
+        const notice = document.getElementById('chatNotice');
+        notice.innerText = message;
+        notice.className = `auth-error ${type}`;
+        clearTimeout(App.chat.noticeTimer);
+        if (message) App.chat.noticeTimer = setTimeout(() => App.showChatNotice(''), 5000);
+    },
+
+    renderChat: () => {
+        const container = document.getElementById('chatMessages');
+        const messages = App.chat.messages[App.chatChannelName()] || [];
+        const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - 20;
+
+        container.innerHTML = messages.map(m => {
+            const user = `<span class="chat-user">${App.escapeHtml(m.username)}</span>`;
+            if (m.kind !== 'cash_out' || !m.share) return `<div class="chat-line">${user} ${App.escapeHtml(m.text)}</div>`;
+
+            const s = m.share;
+            const verified = App.chat.verified[m.id];
+            return `<div class="chat-line chat-share">${user}
+                <div class="chat-share-card">
+                    <div class="chat-share-mult">${s.multiplier.toFixed(2)}x</div>
+                    <div>$${App.escapeHtml(s.room)} round ${s.nonce}: ${s.amount.toLocaleString()} CC in, ${App.formatProfit(s.winAmount - s.amount)} CC</div>
+                    <div class="chat-share-verify ${verified === false ? 'negative' : ''}">Crashed at ${s.crashPoint.toFixed(2)}x &middot; ${
+                        verified === undefined ? 'verifying...' : verified ? '&#10003; verified' : '&#10007; does not verify'
+                    }</div>
+                </div>
+            </div>`;
+        }).join('');
+        if (atBottom) container.scrollTop = container.scrollHeight;
+
+        messages.filter(m => m.kind === 'cash_out' && m.share && !(m.id in App.chat.verified)).forEach(m => {
+            App.chat.verified[m.id] = undefined;
+            App.verifyShare(m.share).then(ok => {
+                App.chat.verified[m.id] = ok;
+                App.renderChat();
+            });
+        });
+    },
+
+    // Checks a shared round against its revealed seed, as /api/fairness/verify does:
+    // the seed matches the hash committed before the round, it yields the crash
+    // point, and the cash-out fits under it
+    verifyShare: async (share) => {
+        const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+        const encoder = new TextEncoder();
+        try {
+            const seedHash = toHex(await crypto.subtle.digest('SHA-256', encoder.encode(share.serverSeed)));
+            const key = await crypto.subtle.importKey('raw', encoder.encode(share.serverSeed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            const hash = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(share.clientSeed)));
+            const room = App.rooms.find(r => r.symbol === share.room);
+            const crashPoint = Fairness.crashPointFromHash(hash, room ? room.maxMultiplier : Infinity);
+
+            return seedHash === share.serverSeedHash
+                && crashPoint === share.crashPoint
+                && share.multiplier <= share.crashPoint
+                && share.winAmount <= Math.floor((share.amount * Math.round(share.multiplier * 100)) / 100);
+        } catch (e) {
+            return false;
+        }
+    },
+
+    // --- Leaderboards ---
+
+    showLeaderboards: () => {
+        App.showPage('leaderboardPage');
+        App.leaderboard.watching = true;
+        window.gameServer.watchLeaderboards(true);
+        App.loadLeaderboard();
+    },
+
+    // Either argument may be null to keep the current choice
+    setLeaderboard: (metric = null, period = null) => {
+        if (metric) App.leaderboard.metric = metric;
+        if (period) App.leaderboard.period = period;
+        document.querySelectorAll('#leaderboardMetrics .auth-tab').forEach(t => t.classList.toggle('active', t.dataset.metric === App.leaderboard.metric));
+        document.querySelectorAll('#leaderboardPeriods .auth-tab').forEach(t => t.classList.toggle('active', t.dataset.period === App.leaderboard.period));
+        App.loadLeaderboard();
+    },
+
+    loadLeaderboard: async () => {
+        const { metric, period } = App.leaderboard;
+        const res = await window.gameServer.getLeaderboard(metric, period);
+        if (metric !== App.leaderboard.metric || period !== App.leaderboard.period) return; // switched meanwhile
+
+        if (res.error) {
+            document.getElementById('leaderboardTable').innerHTML = `<tr><td colspan="3">${App.escapeHtml(res.error)}</td></tr>`;
+            document.getElementById('leaderboardYou').innerText = '';
+            return;
+        }
+        App.leaderboard.you = res.you || null;
+        App.renderLeaderboard(res.entries);
+    },
+
+    formatLeaderboardValue: (metric, value) => {
+        if (metric === 'best-multiplier') return `${value.toFixed(2)}x`;
+        if (metric === 'total-wagered') return value.toLocaleString();
+        return App.formatProfit(value);
+    },
+
+    renderLeaderboard: (entries) => {
+        const { metric, you } = App.leaderboard;
+        const me = App.user ? App.user.username : null;
+
+        document.getElementById('leaderboardValueLabel').innerText = App.leaderboardNames[metric];
+        document.getElementById('leaderboardTable').innerHTML = entries.length ? entries.map(e => `
+            <tr class="${e.username === me ? 'you' : ''}">
+                <td>${e.rank}</td>
+                <td>${App.escapeHtml(e.username)}</td>
+                <td>${App.formatLeaderboardValue(metric, e.value)}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="3">No trades yet</td></tr>';
+
+        document.getElementById('leaderboardYou').innerText = !me ? 'Sign in to see your rank.'
+            : you ? `Your rank: #${you.rank} (${App.formatLeaderboardValue(metric, you.value)})`
+            : 'You are not on this board yet.';
+    },
+
+    // Pushed while the page is open; the player's own rank follows if they are listed
+    onLeaderboardUpdate: ({ metric, period, entries }) => {
+        if (metric !== App.leaderboard.metric || period !== App.leaderboard.period) return;
+        const mine = App.user && entries.find(e => e.username === App.user.username);
+        if (mine) App.leaderboard.you = { rank: mine.rank, value: mine.value };
+        App.renderLeaderboard(entries);
+    },
+
+    // Only climbing the board is worth interrupting play for
+    onRankChange: ({ metric, period, rank, previousRank }) => {
+        if (rank === null || (previousRank !== null && rank >= previousRank)) return;
+        App.showBetNotice(`You're now #${rank} on the ${App.leaderboardPeriods[period]} ${App.leaderboardNames[metric]} board`, 'info');
+    },
+
+    // --- Responsible Gaming ---
+
+    showProfile: () => {
+        if (!App.user) return window.showLoginModal();
+        App.showPage('profilePage');
+        App.loadStats();
+        App.loadResponsibleGaming();
+    },
+
+    // --- Player Stats ---
+
+    loadStats: async () => {
+        const stats = await window.gameServer.getStats();
+        if (stats.error) {
+            document.getElementById('statsSummary').innerHTML = `<div class="ticker-empty">${App.escapeHtml(stats.error)}</div>`;
+            return;
+        }
+        App.renderStats(stats);
+    },
+
+    renderStats: (stats) => {
+        const cards = [
+            ['Net P/L', App.formatProfit(stats.netProfit), stats.netProfit > 0 ? 'positive' : stats.netProfit < 0 ? 'negative' : ''],
+            ['Total Wagered', stats.totalWagered.toLocaleString(), ''],
+            ['Rounds Played', stats.roundsPlayed.toLocaleString(), ''],
+            ['Biggest Win', stats.biggestWin === null ? '-' : App.formatProfit(stats.biggestWin), ''],
+            ['Best Exit', stats.bestMultiplier === null ? '-' : `${stats.bestMultiplier.toFixed(2)}x`, '']
+        ];
+        document.getElementById('statsSummary').innerHTML = cards.map(([label, value, cls]) => `
+            <div class="stat-card"><div class="stat-label">${label}</div><div class="stat-value ${cls}">${value}</div></div>
+        `).join('');
+
+        document.getElementById('roomStatsTable').innerHTML = stats.rooms.length ? stats.rooms.map(r => `
+            <tr>
+                <td>$${App.escapeHtml(r.room)}</td>
+                <td>${r.roundsPlayed.toLocaleString()}</td>
+                <td>${r.totalWagered.toLocaleString()}</td>
+                <td class="${r.netProfit > 0 ? 'positive' : r.netProfit < 0 ? 'negative' : ''}">${App.formatProfit(r.netProfit)}</td>
+                <td>${r.biggestWin === null ? '-' : App.formatProfit(r.biggestWin)}</td>
+                <td>${r.bestMultiplier === null ? '-' : `${r.bestMultiplier.toFixed(2)}x`}</td>
+            </tr>
+        `).join('') : '<tr><td colspan="6">No trades yet</td></tr>';
+
+        // One point per settled trade; a flat line until there are any
+        const points = stats.history.map((h, i) => ({ x: i, y: h.profit }));
+        App.plChart.data = points.length ? points : [{ x: 0, y: 0 }, { x: 1, y: 0 }];
+        App.drawProfitChart();
+    },
+
+    drawProfitChart: () => {
+        const chart = App.plChart;
+        if (!chart.canvas) {
+            chart.canvas = document.getElementById('plChartCanvas');
+            chart.ctx = chart.canvas.getContext('2d');
+        }
+        if (!chart.data.length) return;
+        chart.canvas.width = chart.canvas.parentElement.clientWidth;
+        chart.canvas.height = chart.canvas.parentElement.clientHeight;
+
+        // Always keep zero in view, with 10% padding either side
+        const values = chart.data.map(p => p.y);
+        const low = Math.min(0, ...values);
+        const high = Math.max(0, ...values);
+        const pad = (high - low) * 0.1 || 1;
+        App.drawChart(undefined, chart, { minY: low - pad, maxY: high + pad, baseline: 0 });
+    },
+
+    loadResponsibleGaming: async () => {
+        const res = await window.gameServer.getResponsibleGaming();
+        if (res.error) return App.showRgNotice(res.error);
+        App.renderResponsibleGaming(res);
+    },
+
+    // SQLite UTC timestamp -> local date and time; the far-future end of a permanent exclusion reads as such
+    formatUntil: (value) => value.startsWith('9999')
+        ? 'permanently'
+        : `until ${new Date(`${value.replace(' ', 'T')}Z`).toLocaleString()}`,
+
+    renderResponsibleGaming: (status) => {
+        const { limits, options } = status;
+        App.realityCheck.minutes = status.realityCheckMinutes;
+
+        document.getElementById('rgStatus').innerText =
+            status.selfExcludedUntil ? `Self-excluded ${App.formatUntil(status.selfExcludedUntil)}. Betting and deposits are blocked.` :
+            status.coolOffUntil ? `On a break ${App.formatUntil(status.coolOffUntil)}. Betting and deposits are blocked.` : '';
+        document.getElementById('limitDelayHours').innerText = options.increaseDelayHours;
+
+        document.getElementById('limitTable').innerHTML = options.kinds.map(kind => `
+            <tr><td>${kind}</td>${options.periods.map(period => {
+                const limit = limits.find(l => l.kind === kind && l.period === period);
+                const usage = !limit ? '' : limit.pendingRemoval
+                    ? `<div class="limit-usage pending">Removed from ${App.formatUntil(limit.pendingEffectiveAt).slice(6)}</div>`
+                    : limit.pendingAmount !== null
+                        ? `<div class="limit-usage pending">${limit.pendingAmount.toLocaleString()} from ${App.formatUntil(limit.pendingEffectiveAt).slice(6)}</div>`
+                        : `<div class="limit-usage">${limit.used.toLocaleString()} used</div>`;
+                return `<td><input type="number" class="form-input limit-input" min="1" placeholder="None"
+                    value="${limit ? limit.amount : ''}" onchange="setGamingLimit('${kind}', '${period}', this.value)">${usage}</td>`;
+            }).join('')}</tr>
+        `).join('');
+
+        document.getElementById('realityCheckSelect').innerHTML = options.realityCheckMinutes.map(m =>
+            `<option value="${m}" ${m === status.realityCheckMinutes ? 'selected' : ''}>${m ? `${m} minutes` : 'Never'}</option>`
+        ).join('');
+
+        const blocked = Boolean(status.selfExcludedUntil || status.coolOffUntil);
+        document.getElementById('coolOffActions').innerHTML = options.coolOffDays.map(d =>
+            `<button class="modal-btn secondary" ${blocked ? 'disabled' : ''} onclick="startCoolOff(${d})">${d === 1 ? '24 HOURS' : `${d} DAYS`}</button>`
+        ).join('');
+        document.getElementById('selfExclusionActions').innerHTML = options.selfExclusionMonths.concat([null]).map(m =>
+            `<button class="modal-btn secondary" ${status.selfExcludedUntil ? 'disabled' : ''} onclick="selfExclude(${m})">${
+                m === null ? 'PERMANENT' : m % 12 === 0 ? `${m / 12} YEAR${m === 12 ? '' : 'S'}` : `${m} MONTHS`
+            }</button>`
+        ).join('');
+    },
+
+    showRgNotice: (message, type = 'error') => {
+        const notice = document.getElementById('rgNotice');
+        notice.innerText = message;
+        notice.className = `auth-error ${type}`;
+    },
+
+    // Blank removes the limit
+    setGamingLimit: async (kind, period, value) => {
+        const amount = value === '' ? null : parseInt(value, 10);
+        if (amount !== null && !(amount >= 1)) return App.showRgNotice('Limits must be a positive number of CC');
+
+        const res = await window.gameServer.setGamingLimit(kind, period, amount);
+        if (res.error) return App.showRgNotice(res.error);
+        App.renderResponsibleGaming(res);
+        App.showRgNotice(res.pending
+            ? `Saved. The change applies in ${res.options.increaseDelayHours} hours.`
+            : 'Limit saved.', 'info');
+    },
+
+    setRealityCheck: async (minutes) => {
+        const res = await window.gameServer.setRealityCheck(parseInt(minutes, 10));
+        if (res.error) return App.showRgNotice(res.error);
+        App.renderResponsibleGaming(res);
+        App.showRgNotice('Reality check updated.', 'info');
+    },
+
+    startCoolOff: async (days) => {
+        if (!confirm(`Take a ${days === 1 ? '24 hour' : `${days} day`} break? You will not be able to bet or deposit until it ends, and it cannot be cancelled.`)) return;
+        const res = await window.gameServer.startCoolOff(days);
+        if (res.error) return App.showRgNotice(res.error);
+        App.renderResponsibleGaming(res);
+    },
+
+    selfExclude: async (months) => {
+        const span = months === null ? 'permanently' : `for ${months} months`;
+        if (!confirm(`Exclude yourself ${span}? Betting and deposits will be blocked and this cannot be undone.`)) return;
+        const res = await window.gameServer.selfExclude(months);
+        if (res.error) return App.showRgNotice(res.error);
+        App.renderResponsibleGaming(res);
+    },
+
+    // Restarts the reality-check clock and picks up the player's interval
+    startSessionClock: () => {
+        App.realityCheck.sessionStart = App.realityCheck.lastShown = Date.now();
+        window.gameServer.getResponsibleGaming().then(res => {
+            if (!res.error) App.realityCheck.minutes = res.realityCheckMinutes;
+        });
+    },
+
+    // Runs every 30s; the popup only interrupts the game page and pauses auto-betting
+    checkRealityCheck: () => {
+        const rc = App.realityCheck;
+        if (!rc.sessionStart || !rc.minutes || !App.user) return;
+        if (!document.getElementById('gamePage').classList.contains('active')) return;
+        if (Date.now() - rc.lastShown < rc.minutes * 60000) return;
+
+        rc.lastShown = Date.now();
+        const elapsed = Math.round((Date.now() - rc.sessionStart) / 60000);
+        document.getElementById('realityCheckElapsed').innerText = `${elapsed} minute${elapsed === 1 ? '' : 's'}`;
+        document.getElementById('realityCheckPL').innerText = App.formatProfit(App.user.sessionProfit || 0);
+        if (App.autoBet.active) App.stopAutoBet('Paused for reality check');
+        document.getElementById('realityCheckModal').classList.add('active');
+    },
+
+    escapeHtml: (str) => String(str).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]),
+
     showPage: (id) => {
         document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
         document.getElementById(id).classList.add('active');
+        document.querySelectorAll('.nav-btn[data-page]').forEach(b => b.classList.toggle('active', b.dataset.page === id));
+        if (id !== 'leaderboardPage' && App.leaderboard.watching) {
+            App.leaderboard.watching = false;
+            window.gameServer.watchLeaderboards(false);
+        }
+        if (id === 'mainPage') App.loadRooms();
     },
 
     closeModal: (id) => document.getElementById(id).classList.remove('active'),
 
-    drawChart: (currentMult = 1.0) => {
-        const ctx = App.chart.ctx;
-        const w = App.chart.canvas.width;
-        const h = App.chart.canvas.height;
-        const data = App.chart.data;
+    // Plots chart.data as a filled line. The game chart spans 1.00x to just above the
+    // current multiplier; other charts pass their own range and an optional baseline.
+    drawChart: (currentMult = 1.0, chart = App.chart, range = { minY: 1.0, maxY: currentMult * 1.1 }) => {
+        const ctx = chart.ctx;
+        const w = chart.canvas.width;
+        const h = chart.canvas.height;
+        const data = chart.data;
 
         ctx.clearRect(0, 0, w, h);
         ctx.beginPath();
@@ -185,16 +1086,29 @@ const App = {
 
         // Scaling
         // X-axis: Min time to Max time in window
-        // Y-axis: 1.0 to Max Multiplier + padding
+        // Y-axis: range.minY to range.maxY
 
         const minX = data[0].x;
         const maxX = data[data.length - 1].x;
         const rangeX = maxX - minX || 1; // avoid div 0
 
-        const maxY = currentMult * 1.1; // 10% padding top
-        const minY = 1.0;
+        const { minY, maxY } = range;
         const rangeY = maxY - minY || 0.1;
 
+        if (range.baseline !== undefined) {
+            const baseY = h - ((range.baseline - minY) / rangeY) * h;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, baseY);
+            ctx.lineTo(w, baseY);
+            ctx.stroke();
+            ctx.restore();
+            ctx.beginPath();
+        }
+
         for (let i = 0; i < data.length; i++) {
             const p = data[i];
 
@@ -220,15 +1134,37 @@ const App = {
 window.onload = App.init;
 
 // Global Hooks for OnClick attributes in HTML (Legacy support)
-window.showLoginModal = () => document.getElementById('loginModal').classList.add('active');
+window.showLoginModal = () => {
+    App.setAuthMode('login');
+    document.getElementById('loginModal').classList.add('active');
+};
 window.closeModal = App.closeModal;
-window.register = App.login;
+window.setAuthMode = App.setAuthMode;
+window.submitAuth = App.submitAuth;
+window.submitPasswordReset = App.submitPasswordReset;
+window.resendVerification = App.resendVerification;
 window.startGame = App.startGame;
 window.placeBet = App.placeBet;
 window.cashOut = App.cashOut;
 window.setBetAmount = (amt) => document.getElementById('betAmount').value = amt;
+window.toggleAutoBet = App.toggleAutoBet;
 window.showPage = App.showPage;
+window.showProfile = App.showProfile;
+window.showLeaderboards = App.showLeaderboards;
+window.setChatChannel = App.setChatChannel;
+window.sendChat = App.sendChat;
+window.shareCashOut = App.shareCashOut;
+window.setLeaderboard = App.setLeaderboard;
+window.setGamingLimit = App.setGamingLimit;
+window.setRealityCheck = App.setRealityCheck;
+window.startCoolOff = App.startCoolOff;
+window.selfExclude = App.selfExclude;
 window.logout = () => window.gameServer.logout();
-window.showRedeemModal = () => document.getElementById('redeemModal').classList.add('active');
-window.redeemCash = () => window.gameServer.redeem(document.getElementById('redeemAmount').value);
+window.logoutAll = App.logoutAll;
+window.showDepositModal = App.showDepositModal;
+window.buyPackage = App.buyPackage;
+window.showRedeemModal = App.showRedeemModal;
+window.updateRedeemValue = App.updateRedeemValue;
+window.redeemCash = App.redeemCash;
 window.showEnterCodeModal = () => document.getElementById('enterCodeModal').classList.add('active');
+window.redeemCode = App.redeemCode;
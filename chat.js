@@ -0,0 +1,243 @@
+/**
+ * Chat (chat.js)
+ * A global channel and one per room, persisted in chat_messages so joiners get
+ * the recent history. Posting is rate limited per user, profanity is masked and
+ * links are refused. Admins moderate with /mute, /unmute, /ban and /unban in chat,
+ * or from the admin console.
+ */
+const { createRateLimiter } = require('./middleware/rate-limit');
+const { validate } = require('./middleware/validate');
+const {
+    transaction,
+    getUserRole,
+    findUserByUsername,
+    logAdminAction,
+    createChatMessage,
+    getChatHistory,
+    hideChatMessages,
+    pruneChatMessages,
+    getChatStanding,
+    setChatMute,
+    setChatBanned,
+    findSharedCashOut
+} = require('./database');
+
+const GLOBAL_CHANNEL = 'global';
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_SIZE = parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 50;
+const CHAT_MESSAGES_PER_MINUTE = parseInt(process.env.CHAT_MESSAGES_PER_MINUTE, 10) || 12;
+const CHAT_RETENTION_DAYS = parseInt(process.env.CHAT_RETENTION_DAYS, 10) || 30;
+
+const DEFAULT_MUTE_MINUTES = 10;
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const MODERATION_ACTIONS = ['mute', 'unmute', 'ban', 'unban'];
+
+// Whole words, plus common endings, are masked; CHAT_BLOCKED_WORDS=word,word adds more
+const BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'bastard', 'dickhead', 'wanker', 'twat', 'slut', 'whore']
+    .concat((process.env.CHAT_BLOCKED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean));
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const PROFANITY = new RegExp(`\\b(?:${BLOCKED_WORDS.map(escapeRegExp).join('|')})(?:s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+// URLs with a scheme, www. hosts and bare domains on common TLDs
+const LINK = /(?:\b[a-z][a-z0-9+.-]*:\/\/|\bwww\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|co|me|xyz|ru|info|biz|link|ly|app|dev|tv)\b/i;
+
+const chatSchemas = {
+    chat_message: {
+        channel: { type: 'string', maxLength: 16, message: 'Unknown channel' },
+        text: { type: 'string', trim: true, minLength: 1, maxLength: CHAT_MAX_LENGTH }
+    },
+    chat_share: {
+        channel: { type: 'string', maxLength: 16, message: 'Unknown channel' },
+        room: { type: 'string', maxLength: 16, message: 'Unknown market' },
+        nonce: { type: 'integer', min: 1, message: 'Invalid round' }
+    }
+};
+
+// Resolves to { text } ready to post, or { code, message } when the message is refused
+const filterMessage = (raw) => {
+    // Line breaks and tabs become spaces first, so stripping control characters cannot join words
+    const text = raw.replace(/\s+/g, ' ').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    if (!text) return { code: 'INVALID_MESSAGE', message: 'Message is empty' };
+    if (LINK.test(text)) return { code: 'LINK_BLOCKED', message: 'Links are not allowed in chat' };
+    return { text: text.replace(PROFANITY, (word) => '*'.repeat(word.length)) };
+};
+
+const formatMessage = (m) => ({
+    id: m.id,
+    channel: m.channel,
+    username: m.username,
+    kind: m.kind,
+    text: m.body,
+    share: m.data ? JSON.parse(m.data) : null,
+    createdAt: m.created_at
+});
+
+// Everything a client needs to check the shared round itself (see fairness.js)
+const formatShare = (bet) => ({
+    room: bet.room,
+    nonce: bet.nonce,
+    amount: bet.amount,
+    multiplier: bet.multiplier,
+    winAmount: bet.win_amount,
+    crashPoint: bet.crash_point,
+    serverSeed: bet.server_seed,
+    serverSeedHash: bet.hash,
+    clientSeed: bet.client_seed
+});
+
+// Socket side of chat. Emits 'chat_history' { channel, messages }, 'chat_message',
+// 'chat_purge' { username } when a banned player's messages are hidden,
+// 'chat_notice' { message } and 'chat_error' { code, message, ...details }.
+const createChat = ({ io, rooms }) => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: CHAT_MESSAGES_PER_MINUTE });
+
+    const prune = setInterval(() => {
+        pruneChatMessages(CHAT_RETENTION_DAYS).catch((err) => console.error('Chat prune failed:', err));
+    }, 60 * 60 * 1000);
+    prune.unref();
+
+    const reject = (socket, code, message, details = {}) => socket.emit('chat_error', { code, message, ...details });
+
+    // The global channel reaches every socket; a room channel only those in the room
+    const isChannel = (channel) => channel === GLOBAL_CHANNEL || Boolean(rooms[channel]);
+    const canPost = (socket, channel) => channel === GLOBAL_CHANNEL || (Boolean(rooms[channel]) && socket.rooms.has(channel));
+    const broadcast = (channel, event, data) => (channel === GLOBAL_CHANNEL ? io : io.to(channel)).emit(event, data);
+
+    const sendHistory = async (socket, channel) => {
+        if (!isChannel(channel)) return;
+        try {
+            const messages = await getChatHistory(channel, CHAT_HISTORY_SIZE);
+            socket.emit('chat_history', { channel, messages: messages.map(formatMessage) });
+        } catch (err) {
+            console.error(`Failed to load ${channel} chat:`, err);
+        }
+    };
+
+    // Resolves to a { code, message } rejection, or null once the user may post now
+    const checkPoster = async (userId) => {
+        const standing = await getChatStanding(userId);
+        if (!standing || standing.chat_banned) return { code: 'CHAT_BANNED', message: 'You are banned from chat' };
+        if (standing.muted) {
+            return { code: 'CHAT_MUTED', message: `You are muted until ${standing.chat_muted_until.slice(0, 16)} UTC` };
+        }
+
+        const { allowed, retryAfterMs } = limiter.hit(userId);
+        if (!allowed) return { code: 'RATE_LIMITED', message: 'You are sending messages too fast', retryAfterMs };
+        return null;
+    };
+
+    const post = async (channel, userId, kind, body, data = null) => {
+        const message = await createChatMessage({ channel, userId, kind, body, data });
+        broadcast(channel, 'chat_message', formatMessage(message));
+    };
+
+    // Shared by the chat commands and the admin console; every action is audited, in
+    // the same transaction as the change itself
+    const moderate = async (adminId, user, action, { minutes = DEFAULT_MUTE_MINUTES, reason = null } = {}) => {
+        await transaction(async () => {
+            if (action === 'mute') await setChatMute(user.id, minutes);
+            if (action === 'unmute') await setChatMute(user.id, null);
+            if (action === 'ban') {
+                await setChatBanned(user.id, true);
+                await hideChatMessages(user.id);
+            }
+            if (action === 'unban') await setChatBanned(user.id, false);
+
+            await logAdminAction(adminId, `chat.${action}`, `user:${user.id}`, action === 'mute' ? { minutes } : null, reason);
+        });
+
+        if (action === 'ban') io.emit('chat_purge', { username: user.username });
+
+        const notices = {
+            mute: `You have been muted in chat for ${minutes} minute${minutes === 1 ? '' : 's'}`,
+            unmute: 'You can chat again',
+            ban: 'You have been banned from chat',
+            unban: 'Your chat ban has been lifted'
+        };
+        io.to(`user:${user.id}`).emit('chat_notice', { message: notices[action] });
+    };
+
+    // "/mute <username> [minutes] [reason]", "/unmute <username>", "/ban <username> [reason]", "/unban <username>"
+    const runCommand = async (socket, text) => {
+        const [name, username, ...rest] = text.slice(1).split(' ');
+        const action = name.toLowerCase();
+        if (!MODERATION_ACTIONS.includes(action)) return reject(socket, 'UNKNOWN_COMMAND', `Unknown command /${name}`);
+        if (await getUserRole(socket.user.id) !== 'admin') {
+            return reject(socket, 'FORBIDDEN', 'Only admins can use chat commands');
+        }
+        if (!username) return reject(socket, 'INVALID_COMMAND', `Usage: /${action} <username>`);
+
+        let minutes = DEFAULT_MUTE_MINUTES;
+        if (action === 'mute' && /^\d+$/.test(rest[0] || '')) minutes = parseInt(rest.shift(), 10);
+        if (minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+            return reject(socket, 'INVALID_COMMAND', `Mutes run from 1 to ${MAX_MUTE_MINUTES} minutes`);
+        }
+
+        const user = await findUserByUsername(username);
+        if (!user) return reject(socket, 'INVALID_COMMAND', `No player named ${username}`);
+
+        await moderate(socket.user.id, user, action, { minutes, reason: rest.join(' ') || null });
+        socket.emit('chat_notice', { message: `/${action} ${user.username} done` });
+    };
+
+    const handleMessage = async (socket, payload) => {
+        const { value, field, error } = validate(chatSchemas.chat_message, payload);
+        if (error) return reject(socket, field === 'channel' ? 'UNKNOWN_CHANNEL' : 'INVALID_MESSAGE', error);
+        const { channel, text } = value;
+        if (!canPost(socket, channel)) return reject(socket, 'UNKNOWN_CHANNEL', 'Join the market to chat in it');
+
+        try {
+            if (text.startsWith('/')) return await runCommand(socket, text);
+
+            const blocked = await checkPoster(socket.user.id);
+            if (blocked) {
+                const { code, message, ...details } = blocked;
+                return reject(socket, code, message, details);
+            }
+
+            const filtered = filterMessage(text);
+            if (filtered.code) return reject(socket, filtered.code, filtered.message);
+            await post(channel, socket.user.id, 'text', filtered.text);
+        } catch (err) {
+            console.error(err);
+            reject(socket, 'CHAT_FAILED', 'Message not sent');
+        }
+    };
+
+    // Posts a card for one of the player's own cash-outs; the figures come from the
+    // bet ledger and recorded round, never from the client
+    const handleShare = async (socket, payload) => {
+        const { value, field, error } = validate(chatSchemas.chat_share, payload);
+        if (error) return reject(socket, field === 'channel' ? 'UNKNOWN_CHANNEL' : 'INVALID_SHARE', error);
+        const { channel, room, nonce } = value;
+        if (!canPost(socket, channel)) return reject(socket, 'UNKNOWN_CHANNEL', 'Join the market to chat in it');
+
+        try {
+            const bet = await findSharedCashOut(socket.user.id, room, nonce);
+            if (!bet) return reject(socket, 'INVALID_SHARE', 'Only your own cash-outs can be shared, once the round has ended');
+
+            const blocked = await checkPoster(socket.user.id);
+            if (blocked) {
+                const { code, message, ...details } = blocked;
+                return reject(socket, code, message, details);
+            }
+
+            const share = formatShare(bet);
+            const body = `Cashed out at ${share.multiplier.toFixed(2)}x on $${room} for +${(share.winAmount - share.amount).toLocaleString()} CC`;
+            await post(channel, socket.user.id, 'cash_out', body, share);
+        } catch (err) {
+            console.error(err);
+            reject(socket, 'CHAT_FAILED', 'Message not sent');
+        }
+    };
+
+    return { sendHistory, handleMessage, handleShare, moderate };
+};
+
+module.exports = {
+    GLOBAL_CHANNEL,
+    MODERATION_ACTIONS,
+    MAX_MUTE_MINUTES,
+    filterMessage,
+    createChat
+};
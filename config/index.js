@@ -0,0 +1,51 @@
+/**
+ * Room definitions. Every market is described once in rooms.json (or the
+ * file named by ROOMS_CONFIG) and drives the GameRooms, GET /api/rooms and
+ * the home page ticker grid.
+ *
+ * Money limits per room: minBet/maxBet on the stake, maxWin on a single
+ * bet's payout and maxExposure on everything a round can pay out. The
+ * MIN_BET_CC, MAX_BET_CC and MAX_WIN_CC env vars tighten them for all rooms.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOMS_CONFIG = process.env.ROOMS_CONFIG || path.join(__dirname, 'rooms.json');
+
+const positive = (value) => typeof value === 'number' && value > 0;
+
+const GLOBAL_LIMITS = {
+    minBet: parseInt(process.env.MIN_BET_CC, 10) || 0,
+    maxBet: parseInt(process.env.MAX_BET_CC, 10) || Infinity,
+    maxWin: parseInt(process.env.MAX_WIN_CC, 10) || Infinity
+};
+
+const validateRoom = (room, i) => {
+    const where = `${ROOMS_CONFIG} entry ${i}`;
+    if (!/^[A-Z0-9]{2,8}$/.test(room.symbol || '')) throw new Error(`${where}: symbol must be 2-8 uppercase letters or digits`);
+    if (!room.name || !room.badge) throw new Error(`${where}: name and badge are required`);
+    for (const key of ['lambda', 'bettingPhaseMs', 'minBet', 'maxBet', 'maxMultiplier', 'maxWin', 'maxExposure']) {
+        if (!positive(room[key])) throw new Error(`${where}: ${key} must be a positive number`);
+    }
+    if (room.maxMultiplier < 1.01) throw new Error(`${where}: maxMultiplier must be at least 1.01`);
+    if (room.maxExposure < room.maxWin) throw new Error(`${where}: maxExposure is below maxWin`);
+
+    const limited = {
+        ...room,
+        minBet: Math.max(room.minBet, GLOBAL_LIMITS.minBet),
+        maxBet: Math.min(room.maxBet, GLOBAL_LIMITS.maxBet),
+        maxWin: Math.min(room.maxWin, GLOBAL_LIMITS.maxWin)
+    };
+    if (limited.minBet > limited.maxBet) throw new Error(`${where}: minBet exceeds maxBet`);
+    return limited;
+};
+
+// Read once at boot; a bad file stops the server rather than opening a broken market
+const loadRooms = () => {
+    const rooms = JSON.parse(fs.readFileSync(ROOMS_CONFIG, 'utf8')).map(validateRoom);
+    const symbols = new Set(rooms.map(r => r.symbol));
+    if (symbols.size !== rooms.length) throw new Error(`${ROOMS_CONFIG}: duplicate room symbol`);
+    return rooms;
+};
+
+module.exports = { ROOMS_CONFIG, loadRooms };
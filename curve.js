@@ -0,0 +1,37 @@
+/**
+ * Multiplier curve (curve.js)
+ * M(t) shared by the socket server (require), the offline mock and the chart
+ * (window.Curve), so all three read the same multiplier at the same moment.
+ *
+ * M(t) = e^(rate * t), with t the time since the running phase began and
+ * rate = 0.325 / lambda per second: a lambda 2 room doubles in about 4.3s.
+ * Values are floored to whole hundredths, the precision payouts use, and
+ * payouts are worked out here too so the server and the mock pay the same.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Curve = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    const growthRate = (lambda) => 0.325 / lambda;
+
+    // Multiplier `elapsedMs` into the running phase; the epsilon keeps e.g. 2.00
+    // from flooring to 1.99 when exp() lands a hair under it
+    const multiplierAt = (elapsedMs, lambda) => {
+        if (elapsedMs <= 0) return 1.00;
+        return Math.floor(Math.exp(growthRate(lambda) * elapsedMs / 1000) * 100 + 1e-9) / 100;
+    };
+
+    // Milliseconds into the running phase at which the curve reaches `multiplier`
+    const timeToReach = (multiplier, lambda) => (multiplier <= 1 ? 0 : (Math.log(multiplier) / growthRate(lambda)) * 1000);
+
+    // Whole CC paid for `amount` at `multiplier`, in integer arithmetic: multipliers
+    // have two decimals, and e.g. 100 * 1.15 is 114.99999999999999 in floating point
+    const payoutFor = (amount, multiplier) => Math.floor((amount * Math.round(multiplier * 100)) / 100);
+
+    // Highest two-decimal multiplier at which `amount` pays no more than maxWin, from
+    // integer hundredths for the same reason
+    const maxWinMultiplier = (maxWin, amount) => Math.floor((maxWin * 100) / amount) / 100;
+
+    return { growthRate, multiplierAt, timeToReach, payoutFor, maxWinMultiplier };
+});
@@ -1,59 +1,77 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { createMigrator } = require('./migrations');
 
-const dbPath = path.join(__dirname, 'crash_street.db');
+// DB_PATH may point anywhere, e.g. a temp file or ':memory:' for tests
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'crash_street.db');
+
+// Money is stored in integer minor units. Crash Cash has no fractional unit,
+// so its minor unit is 1 CC; US dollars are stored in cents.
+const SIGNUP_BONUS = 1000;
+
+// The house side of every transaction type in the double-entry ledger; the
+// other side is always the player's wallet account, 'user:<id>'
+const HOUSE_ACCOUNTS = {
+    deposit: 'house:deposits',
+    withdraw: 'house:withdrawals',
+    withdraw_reversal: 'house:withdrawals',
+    deposit_refund: 'house:deposits',
+    bet: 'house:game',
+    win: 'house:game',
+    refund: 'house:game',
+    referral_bonus: 'house:promotions',
+    signup_bonus: 'house:promotions',
+    adjustment: 'house:adjustments',
+    opening_balance: 'house:opening' // Pre-ledger balances, booked by migration 002
+};
+
+let markReady;
+// Resolves once the schema is migrated; game rooms wait on it before touching the DB
+const ready = new Promise((resolve) => { markReady = resolve; });
 
 const db = new sqlite3.Database(dbPath, (err) => {
     if (err) {
         console.error('Error opening database:', err.message);
     } else {
         console.log('Connected to the SQLite database.');
-        initSchema();
+        migrateOnStartup();
     }
 });
 
-function initSchema() {
-    db.serialize(() => {
-        // Users Table
-        db.run(`CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE NOT NULL,
-            email TEXT UNIQUE NOT NULL,
-            password_hash TEXT NOT NULL,
-            balance REAL DEFAULT 1000.0,
-            stripe_customer_id TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
-        // Transactions Table
-        db.run(`CREATE TABLE IF NOT EXISTS transactions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            type TEXT NOT NULL, -- 'deposit', 'withdraw', 'bet', 'win'
-            amount REAL NOT NULL,
-            status TEXT DEFAULT 'completed',
-            external_id TEXT, -- Stripe Charge ID etc
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY(user_id) REFERENCES users(id)
-        )`);
-
-        // Game History Table
-        db.run(`CREATE TABLE IF NOT EXISTS game_history (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            room TEXT NOT NULL,
-            crash_point REAL NOT NULL,
-            server_seed TEXT,
-            hash TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`);
-
+// Pending migrations apply at startup unless DB_AUTO_MIGRATE=0, which the
+// migrate CLI sets so it can run up/down/status itself
+const migrateOnStartup = async () => {
+    if (process.env.DB_AUTO_MIGRATE === '0') return markReady();
+    try {
+        const ran = await migrator.up();
+        if (ran.length) console.log(`Applied migrations: ${ran.join(', ')}`);
         console.log('Database schema initialized.');
-    });
-}
+        markReady();
+    } catch (err) {
+        console.error('Database migration failed:', err);
+        process.exit(1);
+    }
+};
 
 // --- HELPER FUNCTIONS ---
 
+// Every write runs through this one queue. sqlite3 shares a single connection, so
+// a write from elsewhere would land inside an open BEGIN (and commit or roll back
+// with it), two overlapping BEGINs would nest (and fail) and two read-modify-writes
+// of the same balance would lose an update. Writes made from inside a queued task
+// belong to it and run at once.
+const writeTask = new AsyncLocalStorage();
+let writeQueue = Promise.resolve();
+const enqueueWrite = (task) => {
+    if (writeTask.getStore()) return task();
+    const result = writeQueue.then(() => writeTask.run({ inTransaction: false }, task));
+    writeQueue = result.catch(() => {});
+    return result;
+};
+
 const get = (sql, params = []) => {
     return new Promise((resolve, reject) => {
         db.get(sql, params, (err, row) => {
@@ -64,12 +82,12 @@ const get = (sql, params = []) => {
 };
 
 const run = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return enqueueWrite(() => new Promise((resolve, reject) => {
         db.run(sql, params, function (err) {
             if (err) reject(err);
             else resolve({ id: this.lastID, changes: this.changes });
         });
-    });
+    }));
 };
 
 const all = (sql, params = []) => {
@@ -81,60 +99,773 @@ const all = (sql, params = []) => {
     });
 };
 
+// Runs `work` as one queued task between BEGIN and COMMIT, rolling back if it throws.
+// Called inside another transaction, `work` simply joins it, so helpers such as
+// updateUserBalance can be combined into one all-or-nothing change.
+const transaction = (work) => {
+    return enqueueWrite(async () => {
+        const task = writeTask.getStore();
+        if (task.inTransaction) return work();
+
+        await run('BEGIN TRANSACTION');
+        task.inTransaction = true;
+        try {
+            const result = await work();
+            await run('COMMIT');
+            return result;
+        } catch (err) {
+            await run('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            task.inTransaction = false;
+        }
+    });
+};
+
+const migrator = createMigrator({ run, get, all, transaction });
+
+// Referral codes look like 'K7QX-M2PA' (no 0/O/1/I to keep them readable)
+const REFERRAL_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateReferralCode = () => {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, b => REFERRAL_CHARS[b % REFERRAL_CHARS.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
 // User Methods
 const createUser = async (username, email, password) => {
     const hash = await bcrypt.hash(password, 10);
-    return run(
-        `INSERT INTO users (username, email, password_hash) VALUES (?, ?, ?)`,
-        [username, email, hash]
-    );
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await run(
+                `INSERT INTO users (username, email, password_hash, referral_code) VALUES (?, ?, ?, ?)`,
+                [username, email, hash, generateReferralCode()]
+            );
+            // The starting balance is booked like any other credit so the ledger covers it
+            await updateUserBalance(result.id, SIGNUP_BONUS, 'signup_bonus', `signup:${result.id}`);
+            return result;
+        } catch (err) {
+            // Retry only on a referral code collision
+            if (attempt >= 4 || !/users\.referral_code/.test(err.message)) throw err;
+        }
+    }
 };
 
 const findUserByEmail = (email) => {
-    return get(`SELECT * FROM users WHERE email = ?`, [email]);
+    return get(`SELECT * FROM users WHERE email = ? COLLATE NOCASE`, [email]);
 };
 
 const findUserById = (id) => {
-    return get(`SELECT id, username, email, balance, created_at FROM users WHERE id = ?`, [id]);
+    return get(`SELECT id, username, email, balance, referral_code, email_verified_at, created_at FROM users WHERE id = ?`, [id]);
 };
 
-const updateUserBalance = async (userId, amount, type, externalId = null) => {
-    // Transactional update
-    return new Promise((resolve, reject) => {
-        db.serialize(async () => {
-            try {
-                await run('BEGIN TRANSACTION');
-
-                // Get current balance
-                const user = await get('SELECT balance FROM users WHERE id = ?', [userId]);
-                if (!user) throw new Error('User not found');
-
-                const newBalance = user.balance + amount;
-                if (newBalance < 0) throw new Error('Insufficient funds'); // Check mainly for bets/withdrawals
-
-                // Update Balance
-                await run('UPDATE users SET balance = ? WHERE id = ?', [newBalance, userId]);
-
-                // Log Transaction
-                await run(
-                    'INSERT INTO transactions (user_id, type, amount, external_id) VALUES (?, ?, ?, ?)',
-                    [userId, type, Math.abs(amount), externalId]
-                );
-
-                await run('COMMIT');
-                resolve(newBalance);
-            } catch (err) {
-                await run('ROLLBACK');
-                reject(err);
-            }
-        });
+// A new password also lifts any login lockout
+const updatePassword = async (id, password) => {
+    const hash = await bcrypt.hash(password, 10);
+    return run(`UPDATE users SET password_hash = ?, failed_logins = 0, locked_until = NULL WHERE id = ?`, [hash, id]);
+};
+
+const markEmailVerified = (id) => {
+    return run(`UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL`, [id]);
+};
+
+// Counts a failed sign-in; the `maxAttempts`th in a row locks the account for `lockMinutes`
+// and starts the count over. SQLite evaluates every SET expression against the old row.
+const recordFailedLogin = (id, maxAttempts, lockMinutes) => {
+    return run(
+        `UPDATE users SET
+            failed_logins = CASE WHEN failed_logins + 1 >= ? THEN 0 ELSE failed_logins + 1 END,
+            locked_until = CASE WHEN failed_logins + 1 >= ? THEN datetime('now', ?) ELSE locked_until END
+         WHERE id = ?`,
+        [maxAttempts, maxAttempts, `+${lockMinutes} minutes`, id]
+    );
+};
+
+const clearFailedLogins = (id) => {
+    return run(`UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?`, [id]);
+};
+
+const getUserRole = async (id) => {
+    const row = await get(`SELECT role FROM users WHERE id = ?`, [id]);
+    return row ? row.role : null;
+};
+
+const searchUsers = (query, limit = 50) => {
+    const like = `%${query}%`;
+    return all(
+        `SELECT id, username, email, balance, role, frozen, chat_banned,
+                CASE WHEN chat_muted_until > datetime('now') THEN chat_muted_until END AS chat_muted_until, created_at
+         FROM users
+         WHERE username LIKE ? OR email LIKE ? ORDER BY id LIMIT ?`,
+        [like, like, limit]
+    );
+};
+
+const setUserFrozen = (id, frozen) => {
+    return run(`UPDATE users SET frozen = ? WHERE id = ?`, [frozen ? 1 : 0, id]);
+};
+
+const findUserByUsername = (username) => {
+    return get(`SELECT id, username, role FROM users WHERE username = ? COLLATE NOCASE`, [username]);
+};
+
+const findUserByReferralCode = (code) => {
+    return get(`SELECT id, username FROM users WHERE referral_code = ?`, [code]);
+};
+
+// Inserts a transaction and both of its ledger entries; the caller holds the
+// SQL transaction
+const bookTransaction = async (userId, amount, type, externalId, status) => {
+    const { id: transactionId } = await run(
+        'INSERT INTO transactions (user_id, type, amount, external_id, status) VALUES (?, ?, ?, ?, ?)',
+        [userId, type, Math.abs(amount), externalId, status]
+    );
+    await run(
+        'INSERT INTO ledger_entries (transaction_id, account, amount) VALUES (?, ?, ?), (?, ?, ?)',
+        [transactionId, `user:${userId}`, amount, transactionId, HOUSE_ACCOUNTS[type], -amount]
+    );
+    return transactionId;
+};
+
+// Credits (positive) or debits (negative) a wallet by `amount` CC, booking the
+// transaction and both of its ledger entries atomically
+const updateUserBalance = (userId, amount, type, externalId = null, status = 'completed') => {
+    return transaction(async () => {
+        if (!Number.isSafeInteger(amount) || amount === 0) throw new Error('Invalid amount');
+        if (!HOUSE_ACCOUNTS[type]) throw new Error(`Unknown transaction type: ${type}`);
+
+        // Nothing else can write the balance while this task runs
+        const user = await get('SELECT balance, frozen FROM users WHERE id = ?', [userId]);
+        if (!user) throw new Error('User not found');
+        // A frozen balance still accepts credits; only admins can take from it
+        if (user.frozen && amount < 0 && type !== 'adjustment') throw new Error('Account frozen');
+
+        const newBalance = user.balance + amount;
+        if (newBalance < 0) throw new Error('Insufficient funds'); // Check mainly for bets/withdrawals
+
+        await run('UPDATE users SET balance = ? WHERE id = ?', [newBalance, userId]);
+        const transactionId = await bookTransaction(userId, amount, type, externalId, status);
+        return { balance: newBalance, transactionId };
     });
 };
 
+// Makes `referrerId` the referrer of `userId` and pays both of them `bonus`, all in
+// one transaction. The referrer is only set while the user has none and is not
+// somewhere up the referrer's own chain (which would close a loop); the check and
+// the write are one UPDATE, so racing redemptions cannot both pass it. Resolves to
+// { balance } of the user, or { error: 'already_redeemed' | 'circular' }.
+const redeemReferral = (userId, referrerId, bonus) => {
+    return transaction(async () => {
+        const { changes } = await run(
+            `UPDATE users SET referred_by = ?1
+             WHERE id = ?2 AND referred_by IS NULL AND NOT EXISTS (
+                WITH RECURSIVE chain(id, referred_by) AS (
+                    SELECT id, referred_by FROM users WHERE id = ?1
+                    UNION
+                    SELECT u.id, u.referred_by FROM users u JOIN chain c ON u.id = c.referred_by
+                )
+                SELECT 1 FROM chain WHERE id = ?2
+             )`,
+            [referrerId, userId]
+        );
+        if (!changes) {
+            const user = await get('SELECT referred_by FROM users WHERE id = ?', [userId]);
+            return { error: user && user.referred_by !== null ? 'already_redeemed' : 'circular' };
+        }
+
+        const externalId = `referral:${userId}`;
+        for (const id of [userId, referrerId]) {
+            await run('UPDATE users SET balance = balance + ? WHERE id = ?', [bonus, id]);
+            await bookTransaction(id, bonus, 'referral_bonus', externalId, 'completed');
+        }
+        const { balance } = await get('SELECT balance FROM users WHERE id = ?', [userId]);
+        return { balance };
+    });
+};
+
+// Books a payment that is being sent back uncredited: the deposit and its refund
+// land together, so the balance never holds the credits. The deposit row still
+// claims `chargeId`, so a redelivered event is not credited later.
+const recordRefundedDeposit = (userId, credits, chargeId) => {
+    return transaction(async () => {
+        await bookTransaction(userId, credits, 'deposit', chargeId, 'completed');
+        await bookTransaction(userId, -credits, 'deposit_refund', chargeId, 'completed');
+    });
+};
+
+// Proves the books: every wallet equals its ledger account, every transaction
+// has two entries summing to zero, and the whole ledger nets to zero
+const reconcileLedger = async () => {
+    const walletMismatches = await all(
+        `SELECT u.id, u.username, u.balance, COALESCE(l.total, 0) AS ledger
+         FROM users u
+         LEFT JOIN (SELECT account, SUM(amount) AS total FROM ledger_entries GROUP BY account) l
+             ON l.account = 'user:' || u.id
+         WHERE u.balance != COALESCE(l.total, 0)`
+    );
+    const unbalancedTransactions = await all(
+        `SELECT t.id, t.type, t.amount, COUNT(l.id) AS entries, COALESCE(SUM(l.amount), 0) AS net
+         FROM transactions t LEFT JOIN ledger_entries l ON l.transaction_id = t.id
+         GROUP BY t.id
+         HAVING entries != 2 OR net != 0 OR MAX(ABS(l.amount)) != t.amount`
+    );
+    const accounts = await all(
+        `SELECT account, SUM(amount) AS balance FROM ledger_entries
+         WHERE account LIKE 'house:%' GROUP BY account ORDER BY account`
+    );
+    const { total } = await get(`SELECT COALESCE(SUM(amount), 0) AS total FROM ledger_entries`);
+
+    return {
+        ok: !walletMismatches.length && !unbalancedTransactions.length && total === 0,
+        walletMismatches,
+        unbalancedTransactions,
+        houseAccounts: accounts,
+        ledgerTotal: total
+    };
+};
+
+const findTransactionByExternalId = (type, externalId) => {
+    return get(`SELECT * FROM transactions WHERE type = ? AND external_id = ?`, [type, externalId]);
+};
+
+const updateTransactionStatus = (id, status, externalId = null) => {
+    return run(
+        `UPDATE transactions SET status = ?, external_id = COALESCE(?, external_id) WHERE id = ?`,
+        [status, externalId, id]
+    );
+};
+
+// Session Methods
+const createSession = ({ id, userId, refreshTokenHash, userAgent, ttlDays }) => {
+    return run(
+        `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, expires_at)
+         VALUES (?, ?, ?, ?, datetime('now', ?))`,
+        [id, userId, refreshTokenHash, userAgent, `+${ttlDays} days`]
+    );
+};
+
+// Resolves to the session only while it is neither revoked nor expired
+const findActiveSession = (id) => {
+    return get(
+        `SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+        [id]
+    );
+};
+
+// Compare-and-set on the refresh hash; false if the presented token was not the current one
+const rotateSessionToken = async (id, currentHash, nextHash, ttlDays) => {
+    const { changes } = await run(
+        `UPDATE sessions SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, expires_at = datetime('now', ?)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+        [nextHash, `+${ttlDays} days`, id, currentHash]
+    );
+    return changes === 1;
+};
+
+const revokeSession = (id) => {
+    return run(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL`, [id]);
+};
+
+const revokeUserSessions = (userId) => {
+    return run(`UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`, [userId]);
+};
+
+// Email Token Methods
+// Issuing a token supersedes any unused one for the same purpose, so only the latest link works
+const createUserToken = async ({ userId, purpose, tokenHash, ttlMinutes }) => {
+    await run(
+        `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+        [userId, purpose]
+    );
+    return run(
+        `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, datetime('now', ?))`,
+        [userId, purpose, tokenHash, `+${ttlMinutes} minutes`]
+    );
+};
+
+// Marks the token used and resolves to its user id, or null if it is unknown, used or expired.
+// A single UPDATE, so two concurrent redemptions cannot both succeed. It is a write
+// read back through get(), so it has to be queued like run() is.
+const consumeUserToken = async (purpose, tokenHash) => {
+    const row = await enqueueWrite(() => get(
+        `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+         WHERE purpose = ? AND token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+         RETURNING user_id`,
+        [purpose, tokenHash]
+    ));
+    return row ? row.user_id : null;
+};
+
+// Responsible Gaming Methods
+// Applies raised or removed limits whose delay has run out, then lists the user's limits
+const getGamingLimits = async (userId) => {
+    await run(
+        `DELETE FROM gaming_limits
+         WHERE user_id = ? AND pending_effective_at <= datetime('now') AND pending_amount IS NULL`,
+        [userId]
+    );
+    await run(
+        `UPDATE gaming_limits SET amount = pending_amount, pending_amount = NULL, pending_effective_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND pending_effective_at <= datetime('now')`,
+        [userId]
+    );
+    return all(`SELECT * FROM gaming_limits WHERE user_id = ?`, [userId]);
+};
+
+// Takes effect now and drops any pending change
+const setGamingLimit = (userId, kind, period, amount) => {
+    return run(
+        `INSERT INTO gaming_limits (user_id, kind, period, amount) VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id, kind, period) DO UPDATE SET
+            amount = excluded.amount, pending_amount = NULL, pending_effective_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+        [userId, kind, period, amount]
+    );
+};
+
+// Queues a raise (or, with a null amount, a removal) for `delayHours` from now
+const scheduleGamingLimit = (userId, kind, period, amount, delayHours) => {
+    return run(
+        `UPDATE gaming_limits SET pending_amount = ?, pending_effective_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND kind = ? AND period = ?`,
+        [amount, `+${delayHours} hours`, userId, kind, period]
+    );
+};
+
+const getGamingRestrictions = (userId) => {
+    return get(
+        `SELECT cool_off_until, self_excluded_until, reality_check_minutes,
+            cool_off_until > datetime('now') AS cooling_off,
+            self_excluded_until > datetime('now') AS self_excluded
+         FROM users WHERE id = ?`,
+        [userId]
+    );
+};
+
+// Cool-off and self-exclusion can be extended but never shortened, hence MAX()
+const extendCoolOff = (userId, days) => {
+    return run(
+        `UPDATE users SET cool_off_until = MAX(COALESCE(cool_off_until, ''), datetime('now', ?)) WHERE id = ?`,
+        [`+${days} days`, userId]
+    );
+};
+
+// A null `months` excludes for good
+const extendSelfExclusion = (userId, months) => {
+    return run(
+        `UPDATE users SET self_excluded_until = MAX(COALESCE(self_excluded_until, ''), ${months ? "datetime('now', ?)" : "'9999-12-31 23:59:59'"})
+         WHERE id = ?`,
+        months ? [`+${months} months`, userId] : [userId]
+    );
+};
+
+const setRealityCheckMinutes = (userId, minutes) => {
+    return run(`UPDATE users SET reality_check_minutes = ? WHERE id = ?`, [minutes, userId]);
+};
+
+// Net stakes (bets less refunds), winnings and deposits since `since` (a SQLite datetime modifier like '-7 days')
+const getActivityTotals = (userId, since) => {
+    return get(
+        `SELECT
+            COALESCE(SUM(CASE WHEN type = 'bet' THEN amount WHEN type = 'refund' THEN -amount ELSE 0 END), 0) AS wagered,
+            COALESCE(SUM(CASE WHEN type = 'win' THEN amount ELSE 0 END), 0) AS won,
+            COALESCE(SUM(CASE WHEN type = 'deposit' THEN amount WHEN type = 'deposit_refund' THEN -amount ELSE 0 END), 0) AS deposited
+         FROM transactions WHERE user_id = ? AND created_at >= datetime('now', ?)`,
+        [userId, since]
+    );
+};
+
+// Player Stats Methods
+
+// Stakes (net of refunds) and winnings per room, from the user's game transactions
+const getPlayerRoomTotals = (userId) => {
+    return all(
+        `SELECT substr(external_id, 6, instr(substr(external_id, 6), ':') - 1) AS room,
+                SUM(CASE WHEN type = 'bet' THEN amount WHEN type = 'refund' THEN -amount ELSE 0 END) AS wagered,
+                SUM(CASE WHEN type = 'win' THEN amount ELSE 0 END) AS won
+         FROM transactions
+         WHERE user_id = ? AND external_id LIKE 'room:%' AND type IN ('bet', 'win', 'refund')
+         GROUP BY room`,
+        [userId]
+    );
+};
+
+// Settled rounds per room with the best cash-out; refunded bets do not count as played
+const getPlayerRoundStats = (userId) => {
+    return all(
+        `SELECT room,
+                COUNT(*) AS rounds_played,
+                MAX(CASE WHEN state = 'cashed_out' THEN win_amount - amount END) AS biggest_win,
+                MAX(CASE WHEN state = 'cashed_out' THEN multiplier END) AS best_multiplier
+         FROM bets
+         WHERE user_id = ? AND state IN ('cashed_out', 'lost')
+         GROUP BY room`,
+        [userId]
+    );
+};
+
+// Running P/L after each of the user's last `limit` settled bets, oldest first
+const getProfitHistory = (userId, limit = 500) => {
+    return all(
+        `SELECT * FROM (
+            SELECT id, settled_at, SUM(win_amount - amount) OVER (ORDER BY settled_at, id) AS profit
+            FROM bets
+            WHERE user_id = ? AND state IN ('cashed_out', 'lost')
+         ) ORDER BY settled_at DESC, id DESC LIMIT ?`,
+        [userId, limit]
+    ).then(rows => rows.reverse());
+};
+
+// Leaderboard Methods
+// Buckets are 'day:<date>', 'week:<monday>' (UTC) and 'all'; see 007_leaderboards
+const LEADERBOARD_BUCKETS = {
+    day: `'day:' || date('now')`,
+    week: `'week:' || date('now', 'weekday 0', '-6 days')`,
+    all: `'all'`
+};
+const LEADERBOARD_COLUMNS = ['total_wagered', 'total_profit', 'biggest_win', 'best_multiplier'];
+
+// Adds one settled bet to the user's day, week and all-time rows
+const addBetToLeaderboards = (betId) => {
+    return run(
+        `INSERT INTO leaderboard_stats (bucket, user_id, total_wagered, total_profit, biggest_win, best_multiplier, updated_at)
+         SELECT CASE p.period
+                    WHEN 'day' THEN 'day:' || date(b.settled_at)
+                    WHEN 'week' THEN 'week:' || date(b.settled_at, 'weekday 0', '-6 days')
+                    ELSE 'all'
+                END,
+                b.user_id, b.amount, b.win_amount - b.amount,
+                CASE WHEN b.state = 'cashed_out' THEN b.win_amount - b.amount END,
+                CASE WHEN b.state = 'cashed_out' THEN b.multiplier END,
+                b.settled_at
+         FROM bets b CROSS JOIN (SELECT 'day' AS period UNION ALL SELECT 'week' UNION ALL SELECT 'all') p
+         WHERE b.id = ?
+         ON CONFLICT (bucket, user_id) DO UPDATE SET
+            total_wagered = total_wagered + excluded.total_wagered,
+            total_profit = total_profit + excluded.total_profit,
+            biggest_win = MAX(COALESCE(biggest_win, excluded.biggest_win), COALESCE(excluded.biggest_win, biggest_win)),
+            best_multiplier = MAX(COALESCE(best_multiplier, excluded.best_multiplier), COALESCE(excluded.best_multiplier, best_multiplier)),
+            updated_at = excluded.updated_at`,
+        [betId]
+    );
+};
+
+// Top `limit` of the current period's bucket by `column`; earlier achievers break ties
+const getLeaderboard = (period, column, limit) => {
+    if (!LEADERBOARD_COLUMNS.includes(column)) throw new Error(`Unknown leaderboard column: ${column}`);
+    return all(
+        `SELECT l.user_id, u.username, l.${column} AS value
+         FROM leaderboard_stats l JOIN users u ON u.id = l.user_id
+         WHERE l.bucket = ${LEADERBOARD_BUCKETS[period]} AND l.${column} IS NOT NULL
+         ORDER BY l.${column} DESC, l.updated_at, l.user_id
+         LIMIT ?`,
+        [limit]
+    );
+};
+
+// { value, rank } of one user, ranked by how many players are strictly ahead; undefined if not on the board
+const getLeaderboardRank = (period, column, userId) => {
+    if (!LEADERBOARD_COLUMNS.includes(column)) throw new Error(`Unknown leaderboard column: ${column}`);
+    return get(
+        `SELECT l.${column} AS value,
+                (SELECT COUNT(*) FROM leaderboard_stats o WHERE o.bucket = l.bucket AND o.${column} > l.${column}) + 1 AS rank
+         FROM leaderboard_stats l
+         WHERE l.bucket = ${LEADERBOARD_BUCKETS[period]} AND l.user_id = ? AND l.${column} IS NOT NULL`,
+        [userId]
+    );
+};
+
+// Chat Methods
+const CHAT_MESSAGE_COLUMNS = `m.id, m.channel, m.user_id, u.username, m.kind, m.body, m.data, m.created_at`;
+
+const createChatMessage = async ({ channel, userId, kind = 'text', body, data = null }) => {
+    const { id } = await run(
+        `INSERT INTO chat_messages (channel, user_id, kind, body, data) VALUES (?, ?, ?, ?, ?)`,
+        [channel, userId, kind, body, data ? JSON.stringify(data) : null]
+    );
+    return get(`SELECT ${CHAT_MESSAGE_COLUMNS} FROM chat_messages m JOIN users u ON u.id = m.user_id WHERE m.id = ?`, [id]);
+};
+
+// Latest `limit` visible messages of a channel, oldest first
+const getChatHistory = (channel, limit) => {
+    return all(
+        `SELECT * FROM (
+            SELECT ${CHAT_MESSAGE_COLUMNS} FROM chat_messages m JOIN users u ON u.id = m.user_id
+            WHERE m.channel = ? AND m.hidden = 0 ORDER BY m.id DESC LIMIT ?
+         ) ORDER BY id`,
+        [channel, limit]
+    );
+};
+
+const hideChatMessages = (userId) => {
+    return run(`UPDATE chat_messages SET hidden = 1 WHERE user_id = ?`, [userId]);
+};
+
+const pruneChatMessages = (days) => {
+    return run(`DELETE FROM chat_messages WHERE created_at < datetime('now', ?)`, [`-${days} days`]);
+};
+
+// { chat_banned, chat_muted_until, muted } for one user
+const getChatStanding = (userId) => {
+    return get(
+        `SELECT chat_banned, chat_muted_until, COALESCE(chat_muted_until > datetime('now'), 0) AS muted FROM users WHERE id = ?`,
+        [userId]
+    );
+};
+
+// A null `minutes` lifts the mute
+const setChatMute = (userId, minutes) => {
+    return run(
+        `UPDATE users SET chat_muted_until = CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END WHERE id = ?`,
+        [minutes, `+${minutes} minutes`, userId]
+    );
+};
+
+const setChatBanned = (userId, banned) => {
+    return run(`UPDATE users SET chat_banned = ? WHERE id = ?`, [banned ? 1 : 0, userId]);
+};
+
+// A cash-out of the user's in a finished, recorded round, with what is needed to verify it
+const findSharedCashOut = (userId, room, nonce) => {
+    return get(
+        `SELECT b.room, b.nonce, b.amount, b.multiplier, b.win_amount, h.crash_point, h.server_seed, h.hash, h.client_seed
+         FROM bets b JOIN game_history h ON h.room = b.room AND h.nonce = b.nonce
+         WHERE b.user_id = ? AND b.room = ? AND b.nonce = ? AND b.state = 'cashed_out'`,
+        [userId, room, nonce]
+    );
+};
+
+// Withdrawal Methods
+const createWithdrawal = async ({ userId, amount, amountUsdCents, transactionId }) => {
+    const { id } = await run(
+        `INSERT INTO withdrawals (user_id, amount, amount_usd_cents, transaction_id) VALUES (?, ?, ?, ?)`,
+        [userId, amount, amountUsdCents, transactionId]
+    );
+    return findWithdrawalById(id);
+};
+
+const findWithdrawalById = (id) => {
+    return get(`SELECT * FROM withdrawals WHERE id = ?`, [id]);
+};
+
+const getUserWithdrawals = (userId) => {
+    return all(`SELECT * FROM withdrawals WHERE user_id = ? ORDER BY id DESC`, [userId]);
+};
+
+const getWithdrawalsByStatus = (status) => {
+    return all(
+        `SELECT w.*, u.username FROM withdrawals w JOIN users u ON u.id = w.user_id
+         WHERE w.status = ? ORDER BY w.id`,
+        [status]
+    );
+};
+
+// Compare-and-set on status; resolves to false if the withdrawal was not in `from`
+const setWithdrawalStatus = async (id, from, to) => {
+    const { changes } = await run(`UPDATE withdrawals SET status = ? WHERE id = ? AND status = ?`, [to, id, from]);
+    return changes === 1;
+};
+
+// Records the outcome of a review on a withdrawal claimed as 'processing'
+const finalizeWithdrawal = (id, { status, reviewedBy, reason = null, payoutProvider = null, payoutReference = null, refundTransactionId = null }) => {
+    return run(
+        `UPDATE withdrawals
+         SET status = ?, reviewed_by = ?, reason = ?, payout_provider = ?, payout_reference = ?,
+             refund_transaction_id = ?, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'processing'`,
+        [status, reviewedBy, reason, payoutProvider, payoutReference, refundTransactionId, id]
+    );
+};
+
+// Admin Methods
+const logAdminAction = (adminId, action, target, details = null, reason = null) => {
+    return run(
+        `INSERT INTO admin_audit_log (admin_id, action, target, details, reason) VALUES (?, ?, ?, ?, ?)`,
+        [adminId, action, target, details ? JSON.stringify(details) : null, reason]
+    );
+};
+
+const getAdminAuditLog = (limit = 100) => {
+    return all(
+        `SELECT l.*, u.username AS admin_username FROM admin_audit_log l
+         JOIN users u ON u.id = l.admin_id ORDER BY l.id DESC LIMIT ?`,
+        [limit]
+    );
+};
+
+// Game money per room and type, from transactions tagged 'room:<ROOM>:nonce:<N>'
+const getRoomTransactionTotals = (from, to) => {
+    return all(
+        `SELECT substr(external_id, 6, instr(substr(external_id, 6), ':') - 1) AS room,
+                type, COUNT(*) AS count, SUM(amount) AS total
+         FROM transactions
+         WHERE external_id LIKE 'room:%' AND created_at >= ? AND created_at < ?
+         GROUP BY room, type`,
+        [from, to]
+    );
+};
+
+const getRoomRoundStats = (from, to) => {
+    return all(
+        `SELECT room, COUNT(*) AS rounds, SUM(bet_count) AS bets, AVG(crash_point) AS avg_crash_point
+         FROM game_history
+         WHERE created_at >= ? AND created_at < ?
+         GROUP BY room`,
+        [from, to]
+    );
+};
+
+// Game History Methods
+const recordGameRound = ({ room, nonce, crashPoint, serverSeed, hash, clientSeed, betCount, totalWagered, totalPaid }) => {
+    return run(
+        `INSERT INTO game_history (room, nonce, crash_point, server_seed, hash, client_seed, bet_count, total_wagered, total_paid)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [room, nonce, crashPoint, serverSeed, hash, clientSeed, betCount, totalWagered, totalPaid]
+    );
+};
+
+// Newest first; pass the last row's id as `cursor` to fetch the next page
+const getGameHistory = (room, { cursor = null, limit = 20 } = {}) => {
+    if (cursor) {
+        return all(
+            `SELECT * FROM game_history WHERE room = ? AND id < ? ORDER BY id DESC LIMIT ?`,
+            [room, cursor, limit]
+        );
+    }
+    return all(`SELECT * FROM game_history WHERE room = ? ORDER BY id DESC LIMIT ?`, [room, limit]);
+};
+
+// Bet Ledger Methods
+const createBet = async ({ userId, room, nonce, amount, autoCashOut = null, transactionId }) => {
+    const { id } = await run(
+        `INSERT INTO bets (user_id, room, nonce, amount, auto_cash_out, bet_transaction_id) VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, room, nonce, amount, autoCashOut, transactionId]
+    );
+    return id;
+};
+
+// Won and lost bets also count towards the leaderboards; refunds do not
+const settleBet = async (betId, { state, multiplier = null, winAmount = 0, transactionId = null }) => {
+    const result = await run(
+        `UPDATE bets SET state = ?, multiplier = ?, win_amount = ?, settle_transaction_id = ?, settled_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [state, multiplier, winAmount, transactionId, betId]
+    );
+    if (state === 'cashed_out' || state === 'lost') await addBetToLeaderboards(betId);
+    return result;
+};
+
+const linkBetsToRound = (room, nonce, roundId) => {
+    return run(`UPDATE bets SET round_id = ? WHERE room = ? AND nonce = ?`, [roundId, room, nonce]);
+};
+
+// Bets still 'placed', with the recorded round (if it finished) and any win
+// already credited for them joined in
+const getOpenBets = () => {
+    return all(
+        `SELECT b.*, h.id AS history_id, h.crash_point, w.id AS win_transaction_id, w.amount AS win_amount
+         FROM bets b
+         LEFT JOIN game_history h ON h.room = b.room AND h.nonce = b.nonce
+         LEFT JOIN transactions w ON w.user_id = b.user_id AND w.type = 'win'
+             AND w.external_id = 'room:' || b.room || ':nonce:' || b.nonce
+         WHERE b.state = 'placed'`
+    );
+};
+
+// Seed Chain Methods
+const createSeedChain = async (room, seed, terminalHash, clientSeed, length, startNonce) => {
+    const { id } = await run(
+        `INSERT INTO seed_chains (room, seed, terminal_hash, client_seed, length, start_nonce, last_nonce)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [room, seed, terminalHash, clientSeed, length, startNonce, startNonce - 1]
+    );
+    return get(`SELECT * FROM seed_chains WHERE id = ?`, [id]);
+};
+
+const getActiveSeedChain = (room) => {
+    return get(`SELECT * FROM seed_chains WHERE room = ? ORDER BY id DESC LIMIT 1`, [room]);
+};
+
+const findSeedChainByNonce = (room, nonce) => {
+    return get(
+        `SELECT * FROM seed_chains WHERE room = ? AND start_nonce <= ? AND start_nonce + length > ?`,
+        [room, nonce, nonce]
+    );
+};
+
+const updateSeedChainNonce = (id, nonce) => {
+    return run(`UPDATE seed_chains SET last_nonce = ? WHERE id = ?`, [nonce, id]);
+};
+
 module.exports = {
     db,
+    ready,
+    migrator,
+    transaction,
     createUser,
     findUserByEmail,
     findUserById,
-    updateUserBalance
+    updatePassword,
+    markEmailVerified,
+    recordFailedLogin,
+    clearFailedLogins,
+    getUserRole,
+    searchUsers,
+    setUserFrozen,
+    findUserByUsername,
+    findUserByReferralCode,
+    createSession,
+    findActiveSession,
+    rotateSessionToken,
+    revokeSession,
+    revokeUserSessions,
+    createUserToken,
+    consumeUserToken,
+    getGamingLimits,
+    setGamingLimit,
+    scheduleGamingLimit,
+    getGamingRestrictions,
+    extendCoolOff,
+    extendSelfExclusion,
+    setRealityCheckMinutes,
+    getActivityTotals,
+    getPlayerRoomTotals,
+    getPlayerRoundStats,
+    getProfitHistory,
+    getLeaderboard,
+    getLeaderboardRank,
+    createChatMessage,
+    getChatHistory,
+    hideChatMessages,
+    pruneChatMessages,
+    getChatStanding,
+    setChatMute,
+    setChatBanned,
+    findSharedCashOut,
+    updateUserBalance,
+    recordRefundedDeposit,
+    redeemReferral,
+    reconcileLedger,
+    findTransactionByExternalId,
+    updateTransactionStatus,
+    createWithdrawal,
+    findWithdrawalById,
+    getUserWithdrawals,
+    getWithdrawalsByStatus,
+    setWithdrawalStatus,
+    finalizeWithdrawal,
+    logAdminAction,
+    getAdminAuditLog,
+    getRoomTransactionTotals,
+    getRoomRoundStats,
+    recordGameRound,
+    getGameHistory,
+    createBet,
+    settleBet,
+    linkBetsToRound,
+    getOpenBets,
+    createSeedChain,
+    getActiveSeedChain,
+    findSeedChainByNonce,
+    updateSeedChainNonce
 };
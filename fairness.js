@@ -0,0 +1,34 @@
+/**
+ * Provably Fair (fairness.js)
+ * Crash point derivation shared by the socket server (require) and the
+ * offline mock (window.Fairness), so both produce the same rounds.
+ *
+ * Seeds form a reverse SHA-256 hash chain: the root seed is hashed LENGTH
+ * times and the final hash is published as the chain commitment. Rounds
+ * consume the chain backwards, so every revealed seed hashes to the seed of
+ * the round before it (or to the commitment, for the first round).
+ * Round hash = HMAC-SHA256(key = seed, message = clientSeed).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Fairness = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CHAIN_LENGTH = 10000;
+
+    // Position of a round's seed in a chain of `length` hashes built from the root (index 0)
+    const seedIndex = (roundIndex, length) => length - 1 - roundIndex;
+
+    // maxMultiplier is the room's configured cap; rounds that would go higher crash there
+    const crashPointFromHash = (hash, maxMultiplier = Infinity) => {
+        // 1 in 13 instant crash (1.00x)
+        if (parseInt(hash.substring(0, 13), 16) % 13 === 0) return 1.00;
+
+        const h = parseInt(hash.substring(0, 8), 16);
+        const e = Math.pow(2, 32);
+        const result = Math.floor((100 * 0.99) / (1 - (h / e))) / 100;
+        return Math.min(maxMultiplier, Math.max(1.00, result));
+    };
+
+    return { CHAIN_LENGTH, seedIndex, crashPointFromHash };
+});
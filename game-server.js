@@ -7,23 +7,34 @@ class GameServer {
     constructor() {
         // "Private" server state - not accessible directly by UI
         this._state = {
-            user: null, // { username, balance, referralCode, totalProfit }
+            user: null, // { username, email, balance, referralCode, totalProfit, sessionProfit }
             game: {
                 id: null,
                 running: false,
                 multiplier: 1.00,
                 crashPoint: 0,
-                startTime: 0,
+                startTime: 0, // t = 0 of the curve, see curve.js
+                crashAt: 0, // When the curve reaches crashPoint
                 history: []
             },
-            bets: new Map() // gameId -> { amount, cashedOut, profit }
+            bets: new Map(), // gameId -> { amount, cashedOut, profit }
+            withdrawals: [] // Local record only, nothing is paid out offline
         };
 
         this._subscribers = [];
         this._loopInterval = null;
+        this._fairness = null; // Active seed chain, see _nextRound()
+        this._rooms = []; // Market definitions, see getRooms()
+        this._room = null; // Definition of the market being played
         this._config = {
             houseEdge: 0.01, // 1%
-            tickRate: 30
+            tickRate: 50, // settles auto cash-outs; the chart draws the curve in between ticks
+            chainLength: 1000,
+            minWithdrawal: 50000,
+            ccPerUsd: 1000,
+            signupBonus: 1000,
+            minPasswordLength: 8,
+            statsHistoryLength: 500 // settled bets kept for the P/L chart
         };
 
         // Load from "Database" (LocalStorage for prototype persistence)
@@ -38,65 +49,225 @@ class GameServer {
         this._emit('INITIAL_STATE', this._getPublicState());
     }
 
-    login(username) {
-        if (!username) return { error: "Username required" };
+    // Offline accounts live in localStorage under cs_accounts, keyed by email.
+    // Same rules and responses as /api/register and /api/login.
+    async login({ email, password } = {}) {
+        if (!email || !password) return { error: "Email and password required" };
+
+        const account = this._loadAccounts()[String(email).trim().toLowerCase()];
+        if (!account || await this._hashPassword(password, account.salt) !== account.passwordHash) {
+            return { error: "Invalid email or password" };
+        }
 
         this._state.user = {
-            username: username,
-            balance: 5000,
-            referralCode: 'USER-' + Math.floor(1000 + Math.random() * 9000),
-            totalProfit: 0
+            username: account.username,
+            email: account.email,
+            emailVerified: true, // No mail offline, so there is nothing to confirm
+            balance: account.balance,
+            referralCode: account.referralCode,
+            totalProfit: this._statsOf(account).netProfit,
+            sessionProfit: 0
         };
         this._saveUser();
         this._emit('USER_UPDATE', this._state.user);
         return { success: true };
     }
 
+    async register({ username, email, password } = {}) {
+        email = String(email || '').trim().toLowerCase();
+        if (!/^[A-Za-z0-9_]{3,20}$/.test(String(username || ''))) {
+            return { error: "Username must be 3-20 letters, numbers or underscores", field: 'username' };
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: "Enter a valid email address", field: 'email' };
+        if (typeof password !== 'string' || password.length < this._config.minPasswordLength) {
+            return { error: `Password must be at least ${this._config.minPasswordLength} characters`, field: 'password' };
+        }
+
+        const accounts = this._loadAccounts();
+        if (accounts[email]) return { error: "An account with this email already exists", field: 'email' };
+        if (Object.values(accounts).some(a => a.username.toLowerCase() === username.toLowerCase())) {
+            return { error: "Username is taken", field: 'username' };
+        }
+
+        const salt = Math.random().toString(36).slice(2);
+        accounts[email] = {
+            username,
+            email,
+            salt,
+            passwordHash: await this._hashPassword(password, salt),
+            balance: this._config.signupBonus,
+            referralCode: 'USER-' + Math.floor(1000 + Math.random() * 9000)
+        };
+        localStorage.setItem('cs_accounts', JSON.stringify(accounts));
+        return this.login({ email, password });
+    }
+
     logout() {
         this._state.user = null;
         this._clearUser();
         this._emit('USER_UPDATE', null);
     }
 
+    // Same shape as GET /api/me/stats, from the account's offline record
+    getStats() {
+        if (!this._state.user) return { error: "Not logged in" };
+        return this._statsOf(this._loadAccounts()[this._state.user.email]);
+    }
+
+    // Offline there is nobody to talk to
+    sendChat() {
+        return { error: "Chat needs the online server" };
+    }
+
+    shareCashOut() {
+        return this.sendChat();
+    }
+
+    // Offline there is nobody to rank against
+    getLeaderboard() {
+        return { error: "Leaderboards require an online account" };
+    }
+
+    watchLeaderboards() {}
+
+    // Limits and breaks are enforced by the real server
+    getResponsibleGaming() {
+        return { error: "Responsible gaming controls require an online account" };
+    }
+
+    setGamingLimit() {
+        return this.getResponsibleGaming();
+    }
+
+    setRealityCheck() {
+        return this.getResponsibleGaming();
+    }
+
+    startCoolOff() {
+        return this.getResponsibleGaming();
+    }
+
+    selfExclude() {
+        return this.getResponsibleGaming();
+    }
+
+    // Email links need the real server
+    async verifyEmail() {
+        return { error: "Email verification needs the online server" };
+    }
+
+    async resendVerification() {
+        return { error: "Email verification needs the online server" };
+    }
+
+    async forgotPassword() {
+        return { error: "Password reset needs the online server" };
+    }
+
+    async resetPassword() {
+        return { error: "Password reset needs the online server" };
+    }
+
+    // Offline there is only this device to sign out
+    async logoutAll() {
+        if (!this._state.user) return { error: "Not logged in" };
+        this.logout();
+        return { success: true };
+    }
+
     redeem(amount) {
         if (!this._state.user) return { error: "Not logged in" };
+        if (!Number.isInteger(amount) || amount < this._config.minWithdrawal) {
+            return { error: `Minimum withdrawal is ${this._config.minWithdrawal.toLocaleString()} CC` };
+        }
         if (amount > this._state.user.balance) return { error: "Insufficient funds" };
+
+        const amountUsd = Math.floor((amount / this._config.ccPerUsd) * 100) / 100;
         this._state.user.balance -= amount;
+        this._state.withdrawals.unshift({
+            id: this._state.withdrawals.length + 1,
+            amount,
+            amountUsd,
+            status: 'completed',
+            createdAt: new Date().toISOString()
+        });
         this._saveUser();
         this._emit('USER_UPDATE', this._state.user);
-        return { success: true, message: `Redeemed $${(amount / 1000).toFixed(2)}` };
+        return { success: true, message: `Redeemed $${amountUsd.toFixed(2)}` };
+    }
+
+    getPackages() {
+        return { error: "Purchases require an online account" };
+    }
+
+    createCheckout() {
+        return { error: "Purchases require an online account" };
     }
 
-    startGame(modeId) {
+    getWithdrawals() {
+        if (!this._state.user) return { error: "Not logged in" };
+        return {
+            withdrawals: this._state.withdrawals,
+            minAmount: this._config.minWithdrawal,
+            ccPerUsd: this._config.ccPerUsd
+        };
+    }
+
+    redeemReferral() {
+        return { error: "Referral codes require an online account" };
+    }
+
+    // Offline play uses the server's room definitions when it can reach them and the
+    // bundled copy when it cannot; nobody else is trading either way
+    async getRooms() {
+        let rooms = await this._fetchJson('/api/rooms').then(body => body.rooms, () => null);
+        // No API: config/rooms.json is deployed next to the page (and served by server.js)
+        if (!rooms) rooms = await this._fetchJson('config/rooms.json').catch(() => null);
+        if (!rooms) return { error: 'Rooms unavailable' };
+
+        this._rooms = rooms.map(r => ({ ticker: `$${r.symbol}`, paused: false, ...r, players: 0 }));
+        return { rooms: this._rooms };
+    }
+
+    async _fetchJson(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`${url}: ${res.status}`);
+        return res.json();
+    }
+
+    async startGame(roomId) {
         if (this._state.game.running) return;
+        this._room = this._rooms.find(r => r.symbol === roomId);
+        if (!this._room) return;
 
-        // Reset Game State
+        // Reset Game State (claimed before the async seed work so repeat calls bail out)
         this._state.game.running = true;
         this._state.game.multiplier = 1.00;
         this._state.game.id = Date.now().toString();
-        this._state.game.startTime = Date.now();
         this._state.game.crashed = false;
 
         // --- Provably Fair Crash Logic ---
-        // Formula: E = 0.99 / (1 - r)
-        // This distributes 1.00x - Infinity based on uniform random 'r'
-        const r = Math.random();
-        this._state.game.crashPoint = 0.99 / (1 - r);
-
-        // Instant crash at 1.00x (House Edge event) happens if crashPoint < 1.00
-        // (The formula effectively handles this, but let's clamp)
-        if (this._state.game.crashPoint < 1.00) this._state.game.crashPoint = 1.00;
-
-        // Cap for prototype safety (e.g. 1000x max)
-        this._state.game.crashPoint = Math.min(this._state.game.crashPoint, 1000);
-
-        this._emit('GAME_START', { id: this._state.game.id, modeId });
+        // Same reverse hash chain + HMAC derivation as the socket server (fairness.js)
+        const { seed, seedHash, hash } = await this._nextRound();
+        this._state.game.seed = seed;
+        this._state.game.crashPoint = Fairness.crashPointFromHash(hash, this._room.maxMultiplier);
+        this._state.game.startTime = Date.now();
+        this._state.game.crashAt = this._state.game.startTime + Curve.timeToReach(this._state.game.crashPoint, this._room.lambda);
+
+        this._emit('GAME_START', {
+            id: this._state.game.id,
+            room: roomId,
+            hash: seedHash,
+            startTime: this._state.game.startTime,
+            lambda: this._room.lambda
+        });
+        this._emit('ROSTER_UPDATE', []);
 
         // Start Loop
         this._loopInterval = setInterval(() => this._gameLoop(), this._config.tickRate);
     }
 
-    placeBet(amount) {
+    placeBet(amount, { autoCashOut = null } = {}) {
         if (!this._state.game.running && !this._state.game.crashed) {
             // Allow betting during "countdown" or idle? 
             // For this prototype, we bet BEFORE the game starts usually, 
@@ -104,13 +275,32 @@ class GameServer {
             // Actually, in single player, Start = Bet usually.
         }
 
-        if (!this._state.user) return { error: "Login required" };
-        if (amount > this._state.user.balance) return { error: "Insufficient funds" };
-        if (amount < 10) return { error: "Min bet 10" };
+        // Same { error, code } rejections as the socket server's bet_error
+        const room = this._room;
+        if (!this._state.user) return { error: "Login required", code: 'LOGIN_REQUIRED' };
+        if (!room) return { error: "Not connected to a market", code: 'NOT_CONNECTED' };
+        if (this._state.bets.has(this._state.game.id)) {
+            return { error: "You already have a trade in this round", code: 'ALREADY_IN_ROUND' };
+        }
+        if (!Number.isInteger(amount) || amount <= 0) return { error: "Invalid amount", code: 'INVALID_AMOUNT' };
+        if (amount < room.minBet) {
+            return { error: `Minimum trade on $${room.symbol} is ${room.minBet} CC`, code: 'BELOW_MIN_BET', minBet: room.minBet };
+        }
+        if (amount > room.maxBet) {
+            return { error: `Maximum trade on $${room.symbol} is ${room.maxBet} CC`, code: 'ABOVE_MAX_BET', maxBet: room.maxBet };
+        }
+        if (autoCashOut !== null && !(autoCashOut >= 1.01)) {
+            return { error: "Auto cash-out must be at least 1.01x", code: 'INVALID_AUTO_CASH_OUT' };
+        }
+        if (amount > this._state.user.balance) return { error: "Insufficient funds", code: 'INSUFFICIENT_FUNDS' };
+        // Whole hundredths, as the server does
+        if (autoCashOut !== null) autoCashOut = Math.round(autoCashOut * 100) / 100;
 
         this._state.user.balance -= amount;
         this._state.bets.set(this._state.game.id, {
             amount: amount,
+            autoCashOut,
+            maxWinAt: Curve.maxWinMultiplier(room.maxWin, amount),
             cashedOut: false,
             profit: 0
         });
@@ -118,6 +308,7 @@ class GameServer {
         this._saveUser();
         this._emit('USER_UPDATE', this._state.user);
         this._emit('BET_PLACED', { amount });
+        this._emitRoster();
         return { success: true };
     }
 
@@ -127,23 +318,48 @@ class GameServer {
 
         if (!bet || bet.cashedOut) return { error: "No active bet" };
 
-        const currentMult = this._state.game.multiplier;
-        const winAmount = Math.floor(bet.amount * currentMult);
+        // Same as the socket server: the curve's value now, too late once it has crashed
+        const now = Date.now();
+        if (now >= this._state.game.crashAt) return { error: "Crashed!" };
+
+        this._settleCashOut(bet, this._curveAt(now), 'manual');
+        return { success: true };
+    }
+
+    // --- Private Methods ---
+
+    _curveAt(time) {
+        const game = this._state.game;
+        return Math.min(Curve.multiplierAt(time - game.startTime, this._room.lambda), game.crashPoint);
+    }
+
+    _settleCashOut(bet, currentMult, reason) {
+        const winAmount = Math.min(Curve.payoutFor(bet.amount, currentMult), this._room.maxWin);
         const profit = winAmount - bet.amount;
 
         bet.cashedOut = true;
         bet.profit = profit;
 
         this._state.user.balance += winAmount;
-        this._state.user.totalProfit += profit;
-        this._saveUser();
+        this._recordResult(bet.amount, winAmount, currentMult);
 
-        this._emit('CASHOUT_SUCCESS', { multiplier: currentMult, winAmount, profit });
+        bet.multiplier = currentMult;
+
+        this._emit('CASHOUT_SUCCESS', { multiplier: currentMult, winAmount, profit, reason });
         this._emit('USER_UPDATE', this._state.user);
-        return { success: true };
+        this._emitRoster();
     }
 
-    // --- Private Methods ---
+    // Offline play only has the local player on the roster
+    _emitRoster() {
+        const bet = this._state.bets.get(this._state.game.id);
+        this._emit('ROSTER_UPDATE', bet ? [{
+            username: this._state.user.username,
+            amount: bet.amount,
+            multiplier: bet.cashedOut ? bet.multiplier : null,
+            profit: bet.cashedOut ? bet.profit : null
+        }] : []);
+    }
 
     _gameLoop() {
         if (!this._state.game.running) return;
@@ -151,14 +367,23 @@ class GameServer {
         const now = Date.now();
         const elapsed = (now - this._state.game.startTime) / 1000; // seconds
 
-        // Exponential Growth: Multiplier = e^(0.06 * elapsed) usually
-        // Let's use a simpler exponential for creating excitement
-        // M(t) = 1.0 + t^1.5 * 0.1 was the old one.
-        // Standard crash is roughly M(t) = 1.00 * e^(k*t)
-        const growthRate = 0.15; // Tunable speed
-        this._state.game.multiplier += (this._state.game.multiplier * growthRate * (this._config.tickRate / 1000));
+        // The curve shared with the server (curve.js); the crash is due once it reaches crashAt
+        const crashed = now >= this._state.game.crashAt;
+        this._state.game.multiplier = crashed ? this._state.game.crashPoint : this._curveAt(now);
+
+        // Auto cash-out settles at exactly its target, as long as the crash point reaches it;
+        // a bet that would pay more than the room's maxWin is closed where it reaches it
+        const bet = this._state.bets.get(this._state.game.id);
+        const reached = Math.min(this._state.game.multiplier, this._state.game.crashPoint);
+        if (bet && !bet.cashedOut) {
+            if (bet.autoCashOut && bet.autoCashOut <= Math.min(reached, bet.maxWinAt)) {
+                this._settleCashOut(bet, bet.autoCashOut, 'auto');
+            } else if (bet.maxWinAt <= reached) {
+                this._settleCashOut(bet, bet.maxWinAt, 'max_win');
+            }
+        }
 
-        if (this._state.game.multiplier >= this._state.game.crashPoint) {
+        if (crashed) {
             this._crash();
         } else {
             this._emit('TICK', {
@@ -180,8 +405,7 @@ class GameServer {
         const bet = this._state.bets.get(this._state.game.id);
         if (bet && !bet.cashedOut) {
             // Player lost
-            this._state.user.totalProfit -= bet.amount;
-            this._saveUser();
+            this._recordResult(bet.amount, 0, null);
             this._emit('BET_LOST', { amount: bet.amount });
             // History
             this._addToHistory(finalCrash, -bet.amount, 'lost');
@@ -193,10 +417,55 @@ class GameServer {
             this._addToHistory(finalCrash, 0, 'none');
         }
 
-        this._emit('GAME_CRASHED', { crashPoint: finalCrash });
+        this._emit('GAME_CRASHED', {
+            crashPoint: finalCrash,
+            serverSeed: this._state.game.seed,
+            clientSeed: this._fairness.clientSeed
+        });
         this._emit('USER_UPDATE', this._state.user);
     }
 
+    async _nextRound() {
+        if (!this._fairness || this._fairness.index >= this._fairness.length) {
+            this._fairness = await this._createSeedChain(this._config.chainLength);
+        }
+
+        const chain = this._fairness;
+        const seed = chain.seeds[Fairness.seedIndex(chain.index, chain.length)];
+        chain.index++;
+        return {
+            seed,
+            seedHash: await this._sha256(seed),
+            hash: await this._hmacSha256(seed, chain.clientSeed)
+        };
+    }
+
+    async _createSeedChain(length) {
+        const seeds = [this._randomHex(32)];
+        for (let i = 1; i <= length; i++) seeds.push(await this._sha256(seeds[i - 1]));
+        return { seeds, length, index: 0, clientSeed: this._randomHex(16), terminalHash: seeds[length] };
+    }
+
+    _randomHex(bytes) {
+        return this._toHex(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    async _sha256(value) {
+        return this._toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value)));
+    }
+
+    async _hmacSha256(key, value) {
+        const encoder = new TextEncoder();
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return this._toHex(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(value)));
+    }
+
+    _toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     _addToHistory(mult, profit, status) {
         this._state.game.history.unshift({ mult, profit, status });
         if (this._state.game.history.length > 50) this._state.game.history.pop();
@@ -217,14 +486,88 @@ class GameServer {
     _saveUser() {
         if (this._state.user) {
             localStorage.setItem('cs_user', JSON.stringify(this._state.user));
+
+            // Keep the account's balance in step so it survives a logout
+            const accounts = this._loadAccounts();
+            const account = accounts[this._state.user.email];
+            if (account) {
+                account.balance = this._state.user.balance;
+                localStorage.setItem('cs_accounts', JSON.stringify(accounts));
+            }
+        }
+    }
+
+    // Settles a bet into the P/L figures and the account's stats; multiplier is null for a loss
+    _recordResult(amount, winAmount, multiplier) {
+        const profit = winAmount - amount;
+        this._state.user.totalProfit += profit;
+        this._state.user.sessionProfit = (this._state.user.sessionProfit || 0) + profit;
+        this._saveUser();
+
+        const accounts = this._loadAccounts();
+        const account = accounts[this._state.user.email];
+        if (!account) return;
+
+        const stats = account.stats || (account.stats = { rooms: {}, history: [] });
+        const room = stats.rooms[this._room.symbol] || (stats.rooms[this._room.symbol] = {
+            totalWagered: 0, totalWon: 0, roundsPlayed: 0, biggestWin: null, bestMultiplier: null
+        });
+        room.totalWagered += amount;
+        room.totalWon += winAmount;
+        room.roundsPlayed++;
+        if (multiplier !== null) {
+            room.biggestWin = Math.max(room.biggestWin ?? profit, profit);
+            room.bestMultiplier = Math.max(room.bestMultiplier ?? multiplier, multiplier);
+        }
+
+        const last = stats.history.length ? stats.history[stats.history.length - 1].profit : 0;
+        stats.history.push({ at: new Date().toISOString(), profit: last + profit });
+        stats.history = stats.history.slice(-this._config.statsHistoryLength);
+        localStorage.setItem('cs_accounts', JSON.stringify(accounts));
+    }
+
+    _statsOf(account) {
+        const stats = (account && account.stats) || { rooms: {}, history: [] };
+        const rooms = Object.entries(stats.rooms)
+            .map(([room, r]) => ({ room, ...r, netProfit: r.totalWon - r.totalWagered }))
+            .sort((a, b) => b.totalWagered - a.totalWagered);
+        const sum = (key) => rooms.reduce((total, r) => total + r[key], 0);
+        const best = (key) => rooms.reduce((max, r) => r[key] === null ? max : Math.max(max ?? r[key], r[key]), null);
+
+        return {
+            totalWagered: sum('totalWagered'),
+            totalWon: sum('totalWon'),
+            netProfit: sum('totalWon') - sum('totalWagered'),
+            roundsPlayed: sum('roundsPlayed'),
+            biggestWin: best('biggestWin'),
+            bestMultiplier: best('bestMultiplier'),
+            rooms,
+            history: stats.history
+        };
+    }
+
+    _loadAccounts() {
+        try {
+            return JSON.parse(localStorage.getItem('cs_accounts')) || {};
+        } catch (e) {
+            console.error("Account store corrupted");
+            return {};
         }
     }
 
+    async _hashPassword(password, salt) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     _loadUser() {
         const saved = localStorage.getItem('cs_user');
         if (saved) {
             try {
-                this._state.user = JSON.parse(saved);
+                const user = JSON.parse(saved);
+                // Sessions from before offline accounts had no email and no password; sign those out
+                if (user.email) this._state.user = { ...user, sessionProfit: 0 };
+                else this._clearUser();
             } catch (e) {
                 console.error("Save file corrupted");
             }
@@ -0,0 +1,101 @@
+/**
+ * Leaderboards (leaderboards.js)
+ * Daily, weekly and all-time boards over the running totals in leaderboard_stats,
+ * which settleBet keeps up to date. After rounds settle, a watcher re-reads the
+ * boards and pushes whatever moved over socket.io.
+ */
+const { getLeaderboard: getBoardRows, getLeaderboardRank } = require('./database');
+
+// URL name -> leaderboard_stats column
+const METRICS = {
+    'biggest-win': 'biggest_win',
+    'best-multiplier': 'best_multiplier',
+    'total-profit': 'total_profit',
+    'total-wagered': 'total_wagered'
+};
+const PERIODS = ['day', 'week', 'all'];
+
+const LEADERBOARD_SIZE = parseInt(process.env.LEADERBOARD_SIZE, 10) || 20;
+
+// Rounds that end within this long of each other share one refresh
+const REFRESH_DELAY_MS = 1000;
+
+// Tied values share a rank, as in getLeaderboardRank
+const getLeaderboard = async (metric, period, limit = LEADERBOARD_SIZE) => {
+    const rows = await getBoardRows(period, METRICS[metric], limit);
+    let rank = 0;
+    return rows.map((row, i) => {
+        if (i === 0 || row.value !== rows[i - 1].value) rank = i + 1;
+        return { rank, userId: row.user_id, username: row.username, value: row.value };
+    });
+};
+
+const getPlayerRank = async (metric, period, userId) => {
+    const row = await getLeaderboardRank(period, METRICS[metric], userId);
+    return row ? { rank: row.rank, value: row.value } : null;
+};
+
+const publicEntry = ({ rank, username, value }) => ({ rank, username, value });
+
+// Emits 'leaderboard_update' { metric, period, entries } to the 'leaderboards' socket
+// room when a board changes, and 'rank_change' { metric, period, rank, previousRank }
+// to each player who entered, moved within or dropped off it (rank null).
+const createLeaderboardWatcher = (io) => {
+    const boards = new Map(); // 'metric:period' -> last entries seen
+    let day = null; // UTC date of the last refresh
+    let timer = null;
+
+    const refresh = async () => {
+        // A new day (or week) empties those boards; nobody is told they dropped off
+        const today = new Date().toISOString().slice(0, 10);
+        const rolledOver = day !== null && today !== day;
+        day = today;
+
+        for (const metric of Object.keys(METRICS)) {
+            for (const period of PERIODS) {
+                const key = `${metric}:${period}`;
+                const entries = await getLeaderboard(metric, period);
+                const previous = boards.get(key);
+                boards.set(key, entries);
+                if (!previous) continue; // first read after boot only sets the baseline
+
+                const view = JSON.stringify(entries.map(publicEntry));
+                if (view === JSON.stringify(previous.map(publicEntry))) continue;
+                io.to('leaderboards').emit('leaderboard_update', { metric, period, entries: entries.map(publicEntry) });
+                if (rolledOver && period !== 'all') continue;
+
+                const before = new Map(previous.map(e => [e.userId, e.rank]));
+                for (const entry of entries) {
+                    if (before.get(entry.userId) === entry.rank) continue;
+                    io.to(`user:${entry.userId}`).emit('rank_change', {
+                        metric, period, rank: entry.rank, previousRank: before.get(entry.userId) ?? null
+                    });
+                }
+                for (const [userId, rank] of before) {
+                    if (entries.some(e => e.userId === userId)) continue;
+                    io.to(`user:${userId}`).emit('rank_change', { metric, period, rank: null, previousRank: rank });
+                }
+            }
+        }
+    };
+
+    const schedule = () => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            refresh().catch((err) => console.error('Leaderboard refresh failed:', err));
+        }, REFRESH_DELAY_MS);
+    };
+
+    return { refresh, schedule };
+};
+
+module.exports = {
+    METRICS,
+    PERIODS,
+    LEADERBOARD_SIZE,
+    getLeaderboard,
+    getPlayerRank,
+    publicEntry,
+    createLeaderboardWatcher
+};
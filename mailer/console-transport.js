@@ -0,0 +1,12 @@
+/**
+ * Development mail transport: prints each message to the console instead of sending it.
+ */
+const crypto = require('crypto');
+
+const send = async ({ from, to, subject, text }) => {
+    const id = `console_${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`[mail:console] ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { id };
+};
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,22 @@
+/**
+ * Local mail transport: writes each message as a JSON file to MAIL_DIR
+ * (default ./mail-outbox), where tests and developers can pick links out of it.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+const send = async ({ from, to, subject, text, template }) => {
+    // Timestamp first so a directory listing sorts oldest to newest
+    const id = `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+    await fs.promises.writeFile(
+        path.join(MAIL_DIR, `${id}.json`),
+        JSON.stringify({ id, from, to, subject, template, text, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,29 @@
+/**
+ * Mail transport registry. A transport exposes
+ * send({ to, subject, text }) -> Promise<{ id }>
+ * and throws if the message could not be handed off. MAIL_TRANSPORT picks
+ * one: 'console' (the default) or 'file'.
+ */
+const templates = require('./templates');
+
+const transports = {
+    console: () => require('./console-transport'),
+    file: () => require('./file-transport')
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Crash Street <no-reply@crashstreet.local>';
+
+const getMailTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) throw new Error(`Unknown mail transport: ${name}`);
+    return transports[name]();
+};
+
+// Renders the named template with `data` and sends it to `to`
+const sendMail = async (template, to, data) => {
+    if (!templates[template]) throw new Error(`Unknown mail template: ${template}`);
+    const { subject, text } = templates[template](data);
+    return getMailTransport().send({ from: MAIL_FROM, to, subject, text, template });
+};
+
+module.exports = { getMailTransport, sendMail };
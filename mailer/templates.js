@@ -0,0 +1,33 @@
+/**
+ * Transactional email templates: each takes the message data and returns
+ * { subject, text }. Links arrive fully built from the caller.
+ */
+
+const signature = '\n\n-- \nCrash Street';
+
+module.exports = {
+    verifyEmail: ({ username, link, hours }) => ({
+        subject: 'Confirm your Crash Street email',
+        text: `Hi ${username},\n\n` +
+            `Confirm this email address to unlock withdrawals:\n\n${link}\n\n` +
+            `The link expires in ${hours} hours. If you did not sign up, ignore this message.` +
+            signature
+    }),
+
+    passwordReset: ({ username, link, minutes }) => ({
+        subject: 'Reset your Crash Street password',
+        text: `Hi ${username},\n\n` +
+            `Someone asked to reset the password for this account. Choose a new one here:\n\n${link}\n\n` +
+            `The link works once and expires in ${minutes} minutes. If this was not you, ignore this message; ` +
+            'your password stays the same.' +
+            signature
+    }),
+
+    passwordChanged: ({ username }) => ({
+        subject: 'Your Crash Street password was changed',
+        text: `Hi ${username},\n\n` +
+            'Your password was just reset and every device was signed out. ' +
+            'If you did not do this, contact support right away.' +
+            signature
+    })
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getUserRole, findActiveSession } = require('../database');
+
+const DEV_JWT_SECRET = 'dev_secret_key_123';
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// A forgeable secret in production means anyone can mint tokens, so refuse to start
+if (process.env.NODE_ENV === 'production' && (JWT_SECRET === DEV_JWT_SECRET || JWT_SECRET.length < 32)) {
+    throw new Error('JWT_SECRET must be set to a random string of at least 32 characters in production');
+}
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// --- TOKENS ---
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const signAccessToken = (user, sessionId) => {
+    return jwt.sign({ id: user.id, username: user.username, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Refresh tokens are '<session id>.<secret>'; only the secret's hash is stored
+const generateRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = (token) => {
+    const [sessionId, secret] = String(token || '').split('.');
+    return sessionId && secret ? { sessionId, secret } : null;
+};
+
+// Resolves to the token payload, or throws if the token is invalid, expired or its session was revoked
+const verifyAccessToken = async (token) => {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (!payload.sid || !await findActiveSession(payload.sid)) throw new Error('Session revoked');
+    return payload;
+};
+
+// --- AUTH MIDDLEWARE ---
+const authenticateToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return res.sendStatus(401);
+
+    let user;
+    try {
+        user = await verifyAccessToken(token);
+    } catch (err) {
+        // 401 tells the client to refresh; the refresh fails too if the session is gone
+        return res.status(401).json({ error: err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token' });
+    }
+    req.user = user;
+    next();
+};
+
+// Use after authenticateToken. The role is read from the DB so a demotion applies immediately.
+const requireAdmin = async (req, res, next) => {
+    try {
+        const role = await getUserRole(req.user.id);
+        if (role !== 'admin') return res.sendStatus(403);
+        next();
+    } catch (err) {
+        console.error(err);
+        res.sendStatus(500);
+    }
+};
+
+module.exports = {
+    JWT_SECRET,
+    ACCESS_TOKEN_TTL,
+    REFRESH_TOKEN_DAYS,
+    hashToken,
+    signAccessToken,
+    generateRefreshSecret,
+    parseRefreshToken,
+    verifyAccessToken,
+    authenticateToken,
+    requireAdmin
+};
@@ -0,0 +1,53 @@
+/**
+ * In-memory sliding-window rate limits. Counts are per process, which matches
+ * the single-process server; they reset on restart.
+ */
+
+// Tracks hit timestamps per key; hit(key) resolves to { allowed, retryAfterMs }
+const createRateLimiter = ({ windowMs, max }) => {
+    const hits = new Map();
+
+    const hit = (key) => {
+        const now = Date.now();
+        const recent = (hits.get(key) || []).filter(t => t > now - windowMs);
+
+        if (recent.length >= max) {
+            hits.set(key, recent);
+            return { allowed: false, retryAfterMs: recent[0] + windowMs - now };
+        }
+        recent.push(now);
+        hits.set(key, recent);
+        return { allowed: true, retryAfterMs: 0 };
+    };
+
+    const reset = (key) => hits.delete(key);
+
+    // Drop keys that have gone quiet so the map does not grow without bound
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - windowMs;
+        for (const [key, times] of hits) {
+            if (times[times.length - 1] <= cutoff) hits.delete(key);
+        }
+    }, Math.max(windowMs, 60000));
+    sweep.unref();
+
+    return { hit, reset };
+};
+
+// Express middleware answering 429 with Retry-After once `key(req)` exceeds the limit
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests, try again later' }) => {
+    const limiter = createRateLimiter({ windowMs, max });
+
+    return (req, res, next) => {
+        const { allowed, retryAfterMs } = limiter.hit(key(req));
+        if (allowed) return next();
+
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        res.status(429).json({ error: message });
+    };
+};
+
+module.exports = {
+    createRateLimiter,
+    rateLimit
+};
@@ -0,0 +1,97 @@
+/**
+ * Schema validation for request bodies, query strings, route params and socket payloads.
+ *
+ * A schema maps each accepted field to a rule:
+ *   type       'string' | 'integer' | 'number' | 'boolean' (required)
+ *   optional   may be missing or null; `default` is used in its place
+ *   min/max    bounds for numbers
+ *   minLength/maxLength, pattern, trim, lowercase, uppercase, values (allowed strings)
+ *   message    error to return instead of the generated one
+ *
+ * Fields not named in the schema are dropped. JSON bodies and socket payloads must
+ * carry the right types already; query strings and params are parsed from text.
+ */
+
+const fail = (field, rule, message) => ({ field, error: rule.message || message });
+
+const checkField = (field, rule, raw, coerce) => {
+    let value = raw;
+
+    if (coerce && typeof value === 'string') {
+        if (rule.type === 'integer' || rule.type === 'number') value = value.trim() === '' ? NaN : Number(value);
+        if (rule.type === 'boolean') value = value === 'true' ? true : value === 'false' ? false : value;
+    }
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return fail(field, rule, `${field} must be a string`);
+            if (rule.trim) value = value.trim();
+            if (rule.lowercase) value = value.toLowerCase();
+            if (rule.uppercase) value = value.toUpperCase();
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(field, rule, rule.minLength === 1 ? `${field} is required` : `${field} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(field, rule, `${field} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) return fail(field, rule, `${field} is invalid`);
+            if (rule.values && !rule.values.includes(value)) {
+                return fail(field, rule, `${field} must be one of ${rule.values.join(', ')}`);
+            }
+            return { value };
+        }
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail(field, rule, `${field} must be a number`);
+            if (rule.type === 'integer' && !Number.isSafeInteger(value)) return fail(field, rule, `${field} must be a whole number`);
+            if (rule.min !== undefined && value < rule.min) return fail(field, rule, `${field} must be at least ${rule.min}`);
+            if (rule.max !== undefined && value > rule.max) return fail(field, rule, `${field} must be at most ${rule.max}`);
+            return { value };
+        }
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail(field, rule, `${field} must be true or false`);
+            return { value };
+        default:
+            throw new Error(`Unknown rule type for ${field}: ${rule.type}`);
+    }
+};
+
+// Resolves to { value } with only the schema's fields, or { field, error } for the first bad one
+const validate = (schema, input, { coerce = false } = {}) => {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const value = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+        if (raw === undefined || raw === null || (coerce && raw === '')) {
+            if (!rule.optional) return fail(field, rule, `${field} is required`);
+            value[field] = rule.default !== undefined ? rule.default : null;
+            continue;
+        }
+
+        const result = checkField(field, rule, raw, coerce);
+        if (result.error) return result;
+        value[field] = result.value;
+    }
+    return { value };
+};
+
+// Express middleware: replaces req[source] with the validated value or answers 400 { error, field }
+const validateRequest = (source, schema) => (req, res, next) => {
+    const { value, field, error } = validate(schema, req[source], { coerce: source !== 'body' });
+    if (error) return res.status(400).json({ error, field });
+
+    req[source] = value;
+    next();
+};
+
+const validateBody = (schema) => validateRequest('body', schema);
+const validateQuery = (schema) => validateRequest('query', schema);
+const validateParams = (schema) => validateRequest('params', schema);
+
+module.exports = {
+    validate,
+    validateBody,
+    validateQuery,
+    validateParams
+};
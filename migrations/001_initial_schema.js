@@ -0,0 +1,144 @@
+/**
+ * Baseline: the complete schema as of the move to migrations. Every statement
+ * is IF NOT EXISTS, so databases created before then adopt it as-is and
+ * 002_upgrade_legacy_databases fills in whatever they are missing.
+ */
+module.exports = {
+    up: async ({ run }) => {
+        // Users Table
+        await run(`CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            email TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            balance INTEGER NOT NULL DEFAULT 0, -- wallet balance, kept equal to the ledger by updateUserBalance
+            stripe_customer_id TEXT,
+            role TEXT NOT NULL DEFAULT 'user', -- 'user' or 'admin'
+            frozen INTEGER NOT NULL DEFAULT 0, -- 1 blocks bets and withdrawals
+            referral_code TEXT UNIQUE,
+            referred_by INTEGER REFERENCES users(id), -- set once, when a code is redeemed
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        // Transactions Table
+        await run(`CREATE TABLE IF NOT EXISTS transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL, -- see HOUSE_ACCOUNTS in database.js
+            amount INTEGER NOT NULL, -- unsigned; the direction is in ledger_entries
+            status TEXT DEFAULT 'completed', -- 'pending' while a withdrawal awaits review, 'rejected' once reversed
+            external_id TEXT, -- Stripe Charge ID etc
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+
+        // Each Stripe charge may be credited only once
+        await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_deposit_external
+            ON transactions (external_id) WHERE type = 'deposit'`);
+
+        // Double-entry ledger: every transaction posts one entry to the user's
+        // wallet and an opposite one to a house account, so entries sum to zero
+        await run(`CREATE TABLE IF NOT EXISTS ledger_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            transaction_id INTEGER NOT NULL,
+            account TEXT NOT NULL, -- 'user:<id>' or 'house:<name>'
+            amount INTEGER NOT NULL, -- signed, positive credits the account
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(transaction_id) REFERENCES transactions(id)
+        )`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_ledger_account ON ledger_entries (account)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_ledger_transaction ON ledger_entries (transaction_id)`);
+
+        // Game History Table
+        await run(`CREATE TABLE IF NOT EXISTS game_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room TEXT NOT NULL,
+            nonce INTEGER,
+            crash_point REAL NOT NULL,
+            server_seed TEXT,
+            hash TEXT,
+            client_seed TEXT,
+            bet_count INTEGER DEFAULT 0,
+            total_wagered INTEGER DEFAULT 0,
+            total_paid INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_game_history_room ON game_history (room, id)`);
+
+        // Bets Table (one row per bet, settled when the round ends)
+        await run(`CREATE TABLE IF NOT EXISTS bets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            room TEXT NOT NULL,
+            nonce INTEGER NOT NULL,
+            round_id INTEGER, -- game_history row, set once the round is recorded
+            amount INTEGER NOT NULL,
+            auto_cash_out REAL, -- target multiplier settled server-side, if set
+            state TEXT NOT NULL DEFAULT 'placed', -- 'placed', 'cashed_out', 'lost', 'refunded'
+            multiplier REAL, -- cash-out multiplier, or the crash point for lost bets
+            win_amount INTEGER DEFAULT 0,
+            bet_transaction_id INTEGER NOT NULL,
+            settle_transaction_id INTEGER, -- 'win' or 'refund' credit
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            settled_at DATETIME,
+            FOREIGN KEY(user_id) REFERENCES users(id),
+            FOREIGN KEY(round_id) REFERENCES game_history(id),
+            FOREIGN KEY(bet_transaction_id) REFERENCES transactions(id),
+            FOREIGN KEY(settle_transaction_id) REFERENCES transactions(id)
+        )`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_bets_round ON bets (room, nonce)`);
+        await run(`CREATE INDEX IF NOT EXISTS idx_bets_state ON bets (state)`);
+
+        // Withdrawals (funds are held by a pending 'withdraw' transaction until reviewed)
+        await run(`CREATE TABLE IF NOT EXISTS withdrawals (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            amount INTEGER NOT NULL, -- Crash Cash
+            amount_usd_cents INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'rejected'
+            transaction_id INTEGER NOT NULL, -- the held 'withdraw' debit
+            refund_transaction_id INTEGER,
+            payout_provider TEXT,
+            payout_reference TEXT,
+            reviewed_by INTEGER,
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            reviewed_at DATETIME,
+            FOREIGN KEY(user_id) REFERENCES users(id),
+            FOREIGN KEY(transaction_id) REFERENCES transactions(id),
+            FOREIGN KEY(refund_transaction_id) REFERENCES transactions(id),
+            FOREIGN KEY(reviewed_by) REFERENCES users(id)
+        )`);
+
+        // Admin Audit Log (every operator action, with the reason given)
+        await run(`CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            admin_id INTEGER NOT NULL,
+            action TEXT NOT NULL, -- e.g. 'room.pause', 'user.adjust_balance'
+            target TEXT NOT NULL, -- 'room:CORLA', 'user:42'
+            details TEXT, -- JSON
+            reason TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(admin_id) REFERENCES users(id)
+        )`);
+
+        // Provably Fair Seed Chains (one active chain per room)
+        await run(`CREATE TABLE IF NOT EXISTS seed_chains (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room TEXT NOT NULL,
+            seed TEXT NOT NULL, -- chain root, never exposed
+            terminal_hash TEXT NOT NULL, -- published commitment
+            client_seed TEXT NOT NULL,
+            length INTEGER NOT NULL,
+            start_nonce INTEGER NOT NULL, -- nonce of the first round drawn from this chain
+            last_nonce INTEGER NOT NULL, -- last nonce dealt
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    },
+
+    down: async ({ run }) => {
+        for (const table of ['seed_chains', 'admin_audit_log', 'withdrawals', 'bets', 'game_history', 'ledger_entries', 'transactions', 'users']) {
+            await run(`DROP TABLE IF EXISTS ${table}`);
+        }
+    }
+};
@@ -0,0 +1,146 @@
+/**
+ * Brings a database created by an older initSchema() up to the 001 baseline.
+ * On a fresh database every step finds nothing to do.
+ *
+ * - adds the columns later features introduced (roles, referrals, freezing,
+ *   round stats) and gives existing users referral codes
+ * - rebuilds users with an INTEGER balance (and no 1000 CC default, which
+ *   the ledger now books as a signup bonus) and withdrawals with USD cents
+ * - books every pre-ledger transaction into ledger_entries, then an opening
+ *   balance per user for whatever the history does not explain
+ */
+const crypto = require('crypto');
+
+const REFERRAL_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const referralCode = () => {
+    const chars = Array.from(crypto.randomBytes(8), b => REFERRAL_CHARS[b % REFERRAL_CHARS.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Wallet direction of each transaction type; pre-ledger adjustments were
+// stored unsigned, so they are booked as credits and the opening balance
+// absorbs any difference
+const CREDIT_TYPES = ['deposit', 'win', 'refund', 'referral_bonus', 'signup_bonus', 'withdraw_reversal', 'adjustment'];
+const HOUSE_ACCOUNTS = {
+    deposit: 'house:deposits',
+    withdraw: 'house:withdrawals',
+    withdraw_reversal: 'house:withdrawals',
+    bet: 'house:game',
+    win: 'house:game',
+    refund: 'house:game',
+    referral_bonus: 'house:promotions',
+    signup_bonus: 'house:promotions',
+    adjustment: 'house:adjustments'
+};
+
+const columnsOf = async (all, table) => all(`PRAGMA table_info(${table})`);
+
+// Recreates `table` from `createSql` (which must create `<table>_new`),
+// copying the listed columns across; SQLite cannot change a column's type
+const rebuildTable = async ({ run }, table, createSql, columns, select = columns) => {
+    await run(createSql);
+    await run(`INSERT INTO ${table}_new (${columns.join(', ')}) SELECT ${select.join(', ')} FROM ${table}`);
+    await run(`DROP TABLE ${table}`);
+    await run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+};
+
+module.exports = {
+    up: async (db) => {
+        const { run, all, addColumn } = db;
+
+        // --- Columns added after the original schema ---
+        await addColumn('users', 'role', `TEXT NOT NULL DEFAULT 'user'`);
+        await addColumn('users', 'frozen', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumn('users', 'referral_code', 'TEXT');
+        await addColumn('users', 'referred_by', 'INTEGER REFERENCES users(id)');
+        for (const { id } of await all(`SELECT id FROM users WHERE referral_code IS NULL`)) {
+            await run(`UPDATE users SET referral_code = ? WHERE id = ?`, [referralCode(), id]);
+        }
+
+        await addColumn('game_history', 'nonce', 'INTEGER');
+        await addColumn('game_history', 'client_seed', 'TEXT');
+        await addColumn('game_history', 'bet_count', 'INTEGER DEFAULT 0');
+        await addColumn('game_history', 'total_wagered', 'INTEGER DEFAULT 0');
+        await addColumn('game_history', 'total_paid', 'INTEGER DEFAULT 0');
+
+        // --- Integer money ---
+        const balance = (await columnsOf(all, 'users')).find(c => c.name === 'balance');
+        if (balance.type !== 'INTEGER') {
+            const columns = ['id', 'username', 'email', 'password_hash', 'balance', 'stripe_customer_id',
+                'role', 'frozen', 'referral_code', 'referred_by', 'created_at'];
+            await rebuildTable(db, 'users', `CREATE TABLE users_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE NOT NULL,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT NOT NULL,
+                balance INTEGER NOT NULL DEFAULT 0,
+                stripe_customer_id TEXT,
+                role TEXT NOT NULL DEFAULT 'user',
+                frozen INTEGER NOT NULL DEFAULT 0,
+                referral_code TEXT UNIQUE,
+                referred_by INTEGER REFERENCES users(id),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`, columns, columns.map(c => c === 'balance' ? 'CAST(ROUND(COALESCE(balance, 0)) AS INTEGER)' : c));
+        }
+        await run(`UPDATE transactions SET amount = ROUND(amount) WHERE amount != ROUND(amount)`);
+
+        if ((await columnsOf(all, 'withdrawals')).some(c => c.name === 'amount_usd')) {
+            const columns = ['id', 'user_id', 'amount', 'amount_usd_cents', 'status', 'transaction_id', 'refund_transaction_id',
+                'payout_provider', 'payout_reference', 'reviewed_by', 'reason', 'created_at', 'reviewed_at'];
+            await rebuildTable(db, 'withdrawals', `CREATE TABLE withdrawals_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                amount INTEGER NOT NULL,
+                amount_usd_cents INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                transaction_id INTEGER NOT NULL,
+                refund_transaction_id INTEGER,
+                payout_provider TEXT,
+                payout_reference TEXT,
+                reviewed_by INTEGER,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                reviewed_at DATETIME,
+                FOREIGN KEY(user_id) REFERENCES users(id),
+                FOREIGN KEY(transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY(refund_transaction_id) REFERENCES transactions(id),
+                FOREIGN KEY(reviewed_by) REFERENCES users(id)
+            )`, columns, columns.map(c => c === 'amount_usd_cents' ? 'CAST(ROUND(amount_usd * 100) AS INTEGER)' : c));
+        }
+
+        // --- Ledger backfill ---
+        // Withdrawal rejections used to be booked as game refunds
+        await run(`UPDATE transactions SET type = 'withdraw_reversal' WHERE type = 'refund' AND external_id LIKE 'withdrawal:%'`);
+
+        const unbooked = await all(
+            `SELECT t.id, t.user_id, t.type, t.amount FROM transactions t
+             WHERE NOT EXISTS (SELECT 1 FROM ledger_entries l WHERE l.transaction_id = t.id)`
+        );
+        for (const t of unbooked) {
+            const amount = CREDIT_TYPES.includes(t.type) ? t.amount : -t.amount;
+            await run(
+                `INSERT INTO ledger_entries (transaction_id, account, amount) VALUES (?, ?, ?), (?, ?, ?)`,
+                [t.id, `user:${t.user_id}`, amount, t.id, HOUSE_ACCOUNTS[t.type] || 'house:opening', -amount]
+            );
+        }
+
+        const gaps = await all(
+            `SELECT u.id, u.balance - COALESCE(SUM(l.amount), 0) AS gap
+             FROM users u LEFT JOIN ledger_entries l ON l.account = 'user:' || u.id
+             GROUP BY u.id HAVING gap != 0`
+        );
+        for (const { id, gap } of gaps) {
+            const { id: transactionId } = await run(
+                `INSERT INTO transactions (user_id, type, amount, external_id) VALUES (?, 'opening_balance', ?, ?)`,
+                [id, Math.abs(gap), `opening:${id}`]
+            );
+            await run(
+                `INSERT INTO ledger_entries (transaction_id, account, amount) VALUES (?, ?, ?), (?, 'house:opening', ?)`,
+                [transactionId, `user:${id}`, gap, transactionId, -gap]
+            );
+        }
+    },
+
+    // The upgrade is one-way; reverting only unrecords it so 001 can be rolled back
+    down: async () => {}
+};
@@ -0,0 +1,25 @@
+/**
+ * Login sessions. Each holds the hash of its current refresh token, which
+ * rotates on every use; access tokens carry the session id so revoking a
+ * session cuts them off too.
+ */
+module.exports = {
+    up: async ({ run }) => {
+        await run(`CREATE TABLE sessions (
+            id TEXT PRIMARY KEY, -- random, embedded in tokens as 'sid'
+            user_id INTEGER NOT NULL,
+            refresh_token_hash TEXT NOT NULL, -- sha256 of the current refresh secret
+            user_agent TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME,
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+        await run(`CREATE INDEX idx_sessions_user ON sessions (user_id)`);
+    },
+
+    down: async ({ run }) => {
+        await run(`DROP TABLE sessions`);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * Failed sign-in tracking for account lockout: consecutive failures since the
+ * last successful login, and the time a lockout ends.
+ */
+module.exports = {
+    up: async ({ addColumn }) => {
+        await addColumn('users', 'failed_logins', 'INTEGER NOT NULL DEFAULT 0');
+        await addColumn('users', 'locked_until', 'DATETIME');
+    },
+
+    down: async ({ run }) => {
+        await run(`ALTER TABLE users DROP COLUMN locked_until`);
+        await run(`ALTER TABLE users DROP COLUMN failed_logins`);
+    }
+};
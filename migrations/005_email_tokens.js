@@ -0,0 +1,25 @@
+/**
+ * Email verification and password reset. user_tokens holds single-use tokens
+ * for both, by sha256 hash; used_at is set when one is redeemed or superseded.
+ */
+module.exports = {
+    up: async ({ run, addColumn }) => {
+        await addColumn('users', 'email_verified_at', 'DATETIME');
+        await run(`CREATE TABLE user_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            purpose TEXT NOT NULL, -- 'verify_email' or 'password_reset'
+            token_hash TEXT NOT NULL UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME,
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+        await run(`CREATE INDEX idx_user_tokens_user ON user_tokens (user_id, purpose)`);
+    },
+
+    down: async ({ run }) => {
+        await run(`DROP TABLE user_tokens`);
+        await run(`ALTER TABLE users DROP COLUMN email_verified_at`);
+    }
+};
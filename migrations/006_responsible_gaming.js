@@ -0,0 +1,30 @@
+/**
+ * Responsible-gaming controls. gaming_limits holds one row per user, kind and
+ * period; a raised or removed limit waits in pending_* until its effective
+ * time. Cool-off, self-exclusion and the reality-check interval live on users.
+ */
+module.exports = {
+    up: async ({ run, addColumn }) => {
+        await run(`CREATE TABLE gaming_limits (
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL, -- 'deposit', 'loss' or 'wager'
+            period TEXT NOT NULL, -- 'day', 'week' or 'month' (rolling 1, 7 and 30 days)
+            amount INTEGER NOT NULL, -- CC
+            pending_amount INTEGER, -- NULL with pending_effective_at set means the limit is being removed
+            pending_effective_at DATETIME,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (user_id, kind, period),
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+        await addColumn('users', 'cool_off_until', 'DATETIME');
+        await addColumn('users', 'self_excluded_until', 'DATETIME');
+        await addColumn('users', 'reality_check_minutes', 'INTEGER');
+    },
+
+    down: async ({ run }) => {
+        await run(`DROP TABLE gaming_limits`);
+        await run(`ALTER TABLE users DROP COLUMN reality_check_minutes`);
+        await run(`ALTER TABLE users DROP COLUMN self_excluded_until`);
+        await run(`ALTER TABLE users DROP COLUMN cool_off_until`);
+    }
+};
@@ -0,0 +1,47 @@
+/**
+ * Leaderboards. leaderboard_stats keeps running totals per user and bucket
+ * ('day:<date>', 'week:<monday>' in UTC, and 'all'), added to as each bet
+ * settles so boards never rescan bets or transactions. Settled bets from
+ * before this migration are backfilled.
+ */
+const BUCKETS = [
+    `'day:' || date(settled_at)`,
+    `'week:' || date(settled_at, 'weekday 0', '-6 days')`,
+    `'all'`
+];
+
+module.exports = {
+    up: async ({ run }) => {
+        await run(`CREATE TABLE leaderboard_stats (
+            bucket TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            total_wagered INTEGER NOT NULL DEFAULT 0,
+            total_profit INTEGER NOT NULL DEFAULT 0,
+            biggest_win INTEGER, -- profit on the best cash-out; NULL until one
+            best_multiplier REAL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (bucket, user_id),
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+        for (const column of ['total_wagered', 'total_profit', 'biggest_win', 'best_multiplier']) {
+            await run(`CREATE INDEX idx_leaderboard_${column} ON leaderboard_stats (bucket, ${column} DESC)`);
+        }
+
+        for (const bucket of BUCKETS) {
+            await run(
+                `INSERT INTO leaderboard_stats (bucket, user_id, total_wagered, total_profit, biggest_win, best_multiplier, updated_at)
+                 SELECT ${bucket}, user_id, SUM(amount), SUM(win_amount - amount),
+                        MAX(CASE WHEN state = 'cashed_out' THEN win_amount - amount END),
+                        MAX(CASE WHEN state = 'cashed_out' THEN multiplier END),
+                        MAX(settled_at)
+                 FROM bets
+                 WHERE state IN ('cashed_out', 'lost')
+                 GROUP BY 1, user_id`
+            );
+        }
+    },
+
+    down: async ({ run }) => {
+        await run(`DROP TABLE leaderboard_stats`);
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * Chat. chat_messages holds the global channel ('global') and one channel per
+ * room (its symbol); 'cash_out' messages carry the shared round in data.
+ * Mutes and bans live on users.
+ */
+module.exports = {
+    up: async ({ run, addColumn }) => {
+        await run(`CREATE TABLE chat_messages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            channel TEXT NOT NULL,
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL DEFAULT 'text', -- 'text' or 'cash_out'
+            body TEXT NOT NULL, -- already filtered
+            data TEXT, -- JSON
+            hidden INTEGER NOT NULL DEFAULT 0, -- 1 once the author is banned
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(user_id) REFERENCES users(id)
+        )`);
+        await run(`CREATE INDEX idx_chat_messages_channel ON chat_messages (channel, id)`);
+        await addColumn('users', 'chat_muted_until', 'DATETIME');
+        await addColumn('users', 'chat_banned', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    down: async ({ run }) => {
+        await run(`DROP TABLE chat_messages`);
+        await run(`ALTER TABLE users DROP COLUMN chat_banned`);
+        await run(`ALTER TABLE users DROP COLUMN chat_muted_until`);
+    }
+};
@@ -0,0 +1,86 @@
+/**
+ * Schema migrations. Each NNN_name.js file in this directory exports
+ *   { up: async (db) => {}, down: async (db) => {} }
+ * where db is { run, get, all, addColumn }. Files apply in version order,
+ * each inside its own transaction, and are recorded in schema_migrations.
+ * Never edit a migration that has shipped; add a new one instead.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const loadMigrations = () => fs.readdirSync(__dirname)
+    .filter(file => /^\d{3}_[a-z0-9_]+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+        version: file.slice(0, 3),
+        name: file.slice(4, -3),
+        ...require(path.join(__dirname, file))
+    }));
+
+// `transaction(work)` runs `work` between BEGIN and COMMIT (ROLLBACK if it throws)
+const createMigrator = ({ run, get, all, transaction }) => {
+    // Idempotent ALTER TABLE ADD COLUMN, for upgrading databases of unknown age
+    const addColumn = async (table, column, definition) => {
+        const columns = await all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    };
+    const helpers = { run, get, all, addColumn };
+
+    const ensureTable = () => run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    const applied = async () => {
+        await ensureTable();
+        return all(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version`);
+    };
+
+    // Every migration with its applied_at, or null if pending
+    const status = async () => {
+        const done = new Map((await applied()).map(m => [m.version, m.applied_at]));
+        return loadMigrations().map(({ version, name }) => ({ version, name, appliedAt: done.get(version) || null }));
+    };
+
+    // Applies pending migrations in order, up to and including `target` if given
+    const up = async (target = null) => {
+        const done = new Set((await applied()).map(m => m.version));
+        const ran = [];
+        for (const migration of loadMigrations()) {
+            if (target && migration.version > target) break;
+            if (done.has(migration.version)) continue;
+
+            await transaction(async () => {
+                await migration.up(helpers);
+                await run(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+            });
+            ran.push(`${migration.version}_${migration.name}`);
+        }
+        return ran;
+    };
+
+    // Reverts the last `steps` applied migrations, newest first
+    const down = async (steps = 1) => {
+        const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+        const done = (await applied()).reverse().slice(0, steps);
+        const reverted = [];
+        for (const { version, name } of done) {
+            const migration = byVersion.get(version);
+            if (!migration) throw new Error(`Migration ${version}_${name} is applied but its file is missing`);
+
+            await transaction(async () => {
+                await migration.down(helpers);
+                await run(`DELETE FROM schema_migrations WHERE version = ?`, [version]);
+            });
+            reverted.push(`${version}_${name}`);
+        }
+        return reverted;
+    };
+
+    return { status, up, down };
+};
+
+module.exports = { createMigrator };
@@ -0,0 +1,16 @@
+/**
+ * Payout provider registry. A provider exposes
+ * sendPayout({ withdrawalId, userId, amountUsdCents }) -> Promise<{ reference }>
+ * and throws if the payout could not be made.
+ */
+const providers = {
+    stub: () => require('./stub-provider')
+};
+
+const getPayoutProvider = () => {
+    const name = process.env.PAYOUT_PROVIDER || 'stub';
+    if (!providers[name]) throw new Error(`Unknown payout provider: ${name}`);
+    return providers[name]();
+};
+
+module.exports = { getPayoutProvider };
@@ -0,0 +1,13 @@
+/**
+ * Local payout provider: records the payout in the console instead of moving money.
+ * Used in development and whenever PAYOUT_PROVIDER is unset.
+ */
+const crypto = require('crypto');
+
+const sendPayout = async ({ withdrawalId, userId, amountUsdCents }) => {
+    const reference = `stub_${withdrawalId}_${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`[payout:stub] $${(amountUsdCents / 100).toFixed(2)} to user ${userId} for withdrawal ${withdrawalId} (${reference})`);
+    return { reference };
+};
+
+module.exports = { name: 'stub', sendPayout };
@@ -0,0 +1,144 @@
+/**
+ * Responsible gaming (responsible-gaming.js)
+ * Player-set limits and exclusions, enforced by place_bet, /api/checkout and
+ * again when the deposit webhook credits a payment.
+ *
+ * Deposit, loss and wager limits run over rolling windows (day = 24 hours,
+ * week = 7 days, month = 30 days) of the transactions table. A new or lower
+ * limit applies at once; raising or removing one waits LIMIT_INCREASE_DELAY_HOURS
+ * so it cannot be undone in the heat of a session. Cool-off and self-exclusion
+ * block betting and deposits until they end and cannot be shortened.
+ */
+const {
+    getGamingLimits,
+    setGamingLimit,
+    scheduleGamingLimit,
+    getGamingRestrictions,
+    getActivityTotals
+} = require('./database');
+
+const LIMIT_KINDS = ['deposit', 'loss', 'wager'];
+const PERIODS = { day: '-1 days', week: '-7 days', month: '-30 days' };
+const PERIOD_LABELS = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const LIMIT_INCREASE_DELAY_HOURS = parseInt(process.env.LIMIT_INCREASE_DELAY_HOURS, 10) || 24;
+const COOL_OFF_DAYS = [1, 7, 30];
+const SELF_EXCLUSION_MONTHS = [6, 12, 60]; // or permanent
+const REALITY_CHECK_OPTIONS = [0, 15, 30, 60, 120]; // minutes, 0 = off
+
+// Reality-check interval for players who have not picked one
+const REALITY_CHECK_MINUTES = parseInt(process.env.REALITY_CHECK_MINUTES, 10) || 60;
+
+// Far-future end stored for a permanent self-exclusion
+const PERMANENT = '9999-12-31 23:59:59';
+
+const describeUntil = (until) => until === PERMANENT ? 'permanently' : `until ${until.slice(0, 16)} UTC`;
+
+// Loss is net of winnings and may go negative while a player is ahead
+const usageOf = (kind, { wagered, won, deposited }) => {
+    if (kind === 'deposit') return deposited;
+    if (kind === 'wager') return wagered;
+    return wagered - won;
+};
+
+// Every limit of the user with `used` filled in for its window
+const getLimitUsage = async (userId) => {
+    const limits = await getGamingLimits(userId);
+    const totals = {};
+    for (const period of new Set(limits.map(l => l.period))) {
+        totals[period] = await getActivityTotals(userId, PERIODS[period]);
+    }
+    return limits.map(l => ({ ...l, used: usageOf(l.kind, totals[l.period]) }));
+};
+
+// Resolves to { code, message } while a cool-off or self-exclusion is running, else null
+const checkRestrictions = async (userId) => {
+    const r = await getGamingRestrictions(userId);
+    if (!r) return null;
+    if (r.self_excluded) {
+        return { code: 'SELF_EXCLUDED', message: `Your account is self-excluded ${describeUntil(r.self_excluded_until)}` };
+    }
+    if (r.cooling_off) {
+        return { code: 'COOLING_OFF', message: `You are taking a break ${describeUntil(r.cool_off_until)}` };
+    }
+    return null;
+};
+
+// Resolves to null if `amount` fits the restrictions and every `kinds` limit, else
+// { code, message, remaining }. Bets count against the loss limit as if they lose.
+const checkLimits = async (userId, amount, kinds) => {
+    const blocked = await checkRestrictions(userId);
+    if (blocked) return blocked;
+
+    for (const limit of await getLimitUsage(userId)) {
+        if (!kinds.includes(limit.kind) || limit.used + amount <= limit.amount) continue;
+        return {
+            code: `${limit.kind.toUpperCase()}_LIMIT`,
+            message: `This would pass your ${PERIOD_LABELS[limit.period]} ${limit.kind} limit of ${limit.amount.toLocaleString()} CC`,
+            remaining: Math.max(limit.amount - limit.used, 0)
+        };
+    }
+    return null;
+};
+
+const checkBet = (userId, amount) => checkLimits(userId, amount, ['loss', 'wager']);
+const checkDeposit = (userId, credits) => checkLimits(userId, credits, ['deposit']);
+
+// One chain of limit-checked tasks per user. A check reads usage from the
+// transactions table, so a bet in another room (or a second deposit) must not
+// start its check until the first one's balance change is written.
+const limitQueues = new Map();
+const enqueueForUser = (userId, task) => {
+    const result = (limitQueues.get(userId) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    limitQueues.set(userId, tail);
+    tail.then(() => {
+        if (limitQueues.get(userId) === tail) limitQueues.delete(userId);
+    });
+    return result;
+};
+
+// Runs `task` only if `amount` fits the `kinds` limits, with no other limit-checked
+// task of the user in between. Resolves to { blocked } or { result: task's result }.
+const withinLimits = (userId, amount, kinds, task) => enqueueForUser(userId, async () => {
+    const blocked = await checkLimits(userId, amount, kinds);
+    if (blocked) return { blocked };
+    return { result: await task() };
+});
+
+const withinBetLimits = (userId, amount, task) => withinLimits(userId, amount, ['loss', 'wager'], task);
+const withinDepositLimits = (userId, credits, task) => withinLimits(userId, credits, ['deposit'], task);
+
+// Sets (or with a null amount removes) a limit; resolves to { pending } telling
+// whether the change waits out the delay
+const changeLimit = async (userId, kind, period, amount) => {
+    const current = (await getGamingLimits(userId)).find(l => l.kind === kind && l.period === period);
+
+    if (amount === null) {
+        if (!current) return { pending: false };
+        await scheduleGamingLimit(userId, kind, period, null, LIMIT_INCREASE_DELAY_HOURS);
+        return { pending: true };
+    }
+    if (!current || amount <= current.amount) {
+        await setGamingLimit(userId, kind, period, amount);
+        return { pending: false };
+    }
+    await scheduleGamingLimit(userId, kind, period, amount, LIMIT_INCREASE_DELAY_HOURS);
+    return { pending: true };
+};
+
+module.exports = {
+    LIMIT_KINDS,
+    PERIODS,
+    LIMIT_INCREASE_DELAY_HOURS,
+    COOL_OFF_DAYS,
+    SELF_EXCLUSION_MONTHS,
+    REALITY_CHECK_OPTIONS,
+    REALITY_CHECK_MINUTES,
+    getLimitUsage,
+    checkBet,
+    checkDeposit,
+    withinBetLimits,
+    withinDepositLimits,
+    changeLimit
+};
@@ -0,0 +1,267 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
+const { MODERATION_ACTIONS, MAX_MUTE_MINUTES } = require('../chat');
+const {
+    transaction,
+    findUserById,
+    searchUsers,
+    setUserFrozen,
+    updateUserBalance,
+    logAdminAction,
+    getAdminAuditLog,
+    getRoomTransactionTotals,
+    getRoomRoundStats
+} = require('../database');
+
+// SQLite CURRENT_TIMESTAMP format (UTC), for comparing against created_at
+const toSqlTime = (value, fallback) => {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) return fallback;
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// Reasons are optional on room controls and required on anything touching a user
+const optionalReason = { type: 'string', optional: true, trim: true, maxLength: 500 };
+const requiredReason = { type: 'string', trim: true, minLength: 1, maxLength: 500, message: 'Reason required' };
+const userParams = { id: { type: 'integer', min: 1, message: 'Invalid user id' } };
+
+const formatUser = (u) => ({
+    id: u.id,
+    username: u.username,
+    email: u.email,
+    balance: u.balance,
+    role: u.role,
+    frozen: Boolean(u.frozen),
+    chatBanned: Boolean(u.chat_banned),
+    chatMutedUntil: u.chat_muted_until,
+    createdAt: u.created_at
+});
+
+const formatAuditEntry = (e) => ({
+    id: e.id,
+    admin: e.admin_username,
+    action: e.action,
+    target: e.target,
+    details: e.details ? JSON.parse(e.details) : null,
+    reason: e.reason,
+    createdAt: e.created_at
+});
+
+// Built per server because room controls need the live GameRoom instances
+// and chat moderation reaches connected sockets
+const createAdminRoutes = ({ rooms, chat }) => {
+    const router = express.Router();
+    router.use('/admin', authenticateToken, requireAdmin);
+
+    const findRoom = (req, res) => {
+        const room = rooms[req.params.room];
+        if (!room) res.status(404).json({ error: 'Room not found' });
+        return room;
+    };
+
+    // --- ROOMS ---
+
+    router.get('/admin/rooms', (req, res) => {
+        res.json({ rooms: Object.values(rooms).map(r => r.getStatus()) });
+    });
+
+    router.post('/admin/rooms/:room/pause', validateBody({ reason: optionalReason }), async (req, res) => {
+        const room = findRoom(req, res);
+        if (!room) return;
+
+        // Audited first, so a failed write leaves the room as it was
+        try {
+            await logAdminAction(req.user.id, 'room.pause', `room:${room.roomName}`, null, req.body.reason);
+            room.pause();
+            res.json(room.getStatus());
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to pause room' });
+        }
+    });
+
+    router.post('/admin/rooms/:room/resume', validateBody({ reason: optionalReason }), async (req, res) => {
+        const room = findRoom(req, res);
+        if (!room) return;
+
+        try {
+            await logAdminAction(req.user.id, 'room.resume', `room:${room.roomName}`, null, req.body.reason);
+            room.resume();
+            res.json(room.getStatus());
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to resume room' });
+        }
+    });
+
+    // Applies from the room's next round
+    router.patch('/admin/rooms/:room', validateBody({
+        lambda: { type: 'number', optional: true, min: 0.01, max: 10, message: 'lambda must be 0.01-10' },
+        bettingPhaseMs: { type: 'integer', optional: true, min: 1000, max: 60000, message: 'bettingPhaseMs must be 1000-60000' },
+        reason: optionalReason
+    }), async (req, res) => {
+        const room = findRoom(req, res);
+        if (!room) return;
+
+        const settings = {};
+        if (req.body.lambda !== null) settings.lambda = req.body.lambda;
+        if (req.body.bettingPhaseMs !== null) settings.bettingPhaseMs = req.body.bettingPhaseMs;
+        if (!Object.keys(settings).length) return res.status(400).json({ error: 'Nothing to update' });
+
+        try {
+            await logAdminAction(req.user.id, 'room.configure', `room:${room.roomName}`, settings, req.body.reason);
+            room.configure(settings);
+            res.json(room.getStatus());
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to update room' });
+        }
+    });
+
+    // --- USERS ---
+
+    router.get('/admin/users', validateQuery({
+        search: { type: 'string', optional: true, default: '', trim: true, maxLength: 100 }
+    }), async (req, res) => {
+        try {
+            const users = await searchUsers(req.query.search);
+            res.json({ users: users.map(formatUser) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to load users' });
+        }
+    });
+
+    // Credit (positive) or debit (negative) a balance; a reason is mandatory for the audit trail.
+    // The change and its audit entry commit together, so neither happens without the other.
+    router.post('/admin/users/:id/adjust', validateParams(userParams), validateBody({
+        amount: { type: 'integer', message: 'Invalid amount' },
+        reason: requiredReason
+    }), async (req, res) => {
+        const userId = req.params.id;
+        const { amount, reason } = req.body;
+        if (amount === 0) return res.status(400).json({ error: 'Invalid amount' });
+
+        try {
+            const balance = await transaction(async () => {
+                const { balance, transactionId } = await updateUserBalance(userId, amount, 'adjustment', `admin:${req.user.id}`);
+                await logAdminAction(req.user.id, 'user.adjust_balance', `user:${userId}`, { amount, transactionId }, reason);
+                return balance;
+            });
+            res.json({ balance });
+        } catch (err) {
+            if (err.message === 'User not found') return res.status(404).json({ error: err.message });
+            if (err.message === 'Insufficient funds') return res.status(400).json({ error: err.message });
+            console.error(err);
+            res.status(500).json({ error: 'Failed to adjust balance' });
+        }
+    });
+
+    router.post('/admin/users/:id/freeze', validateParams(userParams), validateBody({
+        frozen: { type: 'boolean' },
+        reason: requiredReason
+    }), async (req, res) => {
+        const userId = req.params.id;
+        const { frozen, reason } = req.body;
+
+        try {
+            const found = await transaction(async () => {
+                const { changes } = await setUserFrozen(userId, frozen);
+                if (!changes) return false;
+                await logAdminAction(req.user.id, frozen ? 'user.freeze' : 'user.unfreeze', `user:${userId}`, null, reason);
+                return true;
+            });
+            if (!found) return res.status(404).json({ error: 'User not found' });
+            res.json({ id: userId, frozen });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to update user' });
+        }
+    });
+
+    // Same actions as the /mute, /unmute, /ban and /unban chat commands
+    router.post('/admin/users/:id/chat', validateParams(userParams), validateBody({
+        action: { type: 'string', values: MODERATION_ACTIONS },
+        minutes: { type: 'integer', optional: true, default: 10, min: 1, max: MAX_MUTE_MINUTES, message: 'Invalid mute length' },
+        reason: requiredReason
+    }), async (req, res) => {
+        const { action, minutes, reason } = req.body;
+
+        try {
+            const user = await findUserById(req.params.id);
+            if (!user) return res.status(404).json({ error: 'User not found' });
+
+            await chat.moderate(req.user.id, user, action, { minutes, reason });
+            res.json({ id: user.id, action });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to update chat access' });
+        }
+    });
+
+    router.get('/admin/audit', async (req, res) => {
+        try {
+            const entries = await getAdminAuditLog();
+            res.json({ entries: entries.map(formatAuditEntry) });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to load audit log' });
+        }
+    });
+
+    // --- REPORTS ---
+
+    // House P/L, RTP and volume per room over ?from=&to= (any Date-parsable value)
+    router.get('/admin/reports/rooms', validateQuery({
+        from: { type: 'string', optional: true, maxLength: 40 },
+        to: { type: 'string', optional: true, maxLength: 40 }
+    }), async (req, res) => {
+        const from = toSqlTime(req.query.from, '0000-01-01 00:00:00');
+        const to = toSqlTime(req.query.to, '9999-12-31 23:59:59');
+
+        try {
+            const [totals, rounds] = await Promise.all([
+                getRoomTransactionTotals(from, to),
+                getRoomRoundStats(from, to)
+            ]);
+
+            const report = {};
+            const entry = (room) => report[room] || (report[room] = {
+                room, rounds: 0, bets: 0, avgCrashPoint: null, wagered: 0, refunded: 0, paid: 0
+            });
+
+            for (const r of rounds) {
+                Object.assign(entry(r.room), { rounds: r.rounds, bets: r.bets || 0, avgCrashPoint: r.avg_crash_point });
+            }
+            for (const t of totals) {
+                const e = entry(t.room);
+                if (t.type === 'bet') e.wagered = t.total;
+                if (t.type === 'refund') e.refunded = t.total;
+                if (t.type === 'win') e.paid = t.total;
+            }
+
+            res.json({
+                from,
+                to,
+                rooms: Object.values(report).map(e => {
+                    // Refunded stakes never played, so they count toward neither side
+                    const volume = e.wagered - e.refunded;
+                    return {
+                        ...e,
+                        volume,
+                        houseProfit: volume - e.paid,
+                        rtp: volume > 0 ? e.paid / volume : null
+                    };
+                })
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to build report' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createAdminRoutes;
@@ -0,0 +1,361 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const {
+    REFRESH_TOKEN_DAYS,
+    hashToken,
+    signAccessToken,
+    generateRefreshSecret,
+    parseRefreshToken,
+    authenticateToken
+} = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const { sendMail } = require('../mailer');
+const {
+    createUser,
+    findUserByEmail,
+    findUserById,
+    recordFailedLogin,
+    clearFailedLogins,
+    updatePassword,
+    markEmailVerified,
+    createUserToken,
+    consumeUserToken,
+    createSession,
+    findActiveSession,
+    rotateSessionToken,
+    revokeSession,
+    revokeUserSessions
+} = require('../database');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Consecutive failed logins that lock an account, and for how long
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// One answer for an unknown email and a wrong password, so accounts cannot be enumerated
+const LOGIN_FAILED = 'Invalid email or password';
+
+// Compared against when the email is unknown, so both failures take as long as a real check
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const registerSchema = {
+    username: {
+        type: 'string', trim: true, pattern: /^[A-Za-z0-9_]{3,20}$/,
+        message: 'Username must be 3-20 letters, numbers or underscores'
+    },
+    email: {
+        type: 'string', trim: true, lowercase: true, maxLength: 254, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        message: 'Enter a valid email address'
+    },
+    password: {
+        type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 128,
+        message: `Password must be ${MIN_PASSWORD_LENGTH}-128 characters`
+    }
+};
+
+const loginSchema = {
+    email: { type: 'string', trim: true, lowercase: true, minLength: 1, maxLength: 254, message: 'Email and password required' },
+    password: { type: 'string', minLength: 1, maxLength: 128, message: 'Email and password required' }
+};
+
+const refreshSchema = {
+    refreshToken: { type: 'string', maxLength: 200, message: 'Missing refresh token' }
+};
+
+const PUBLIC_URL = process.env.PUBLIC_URL || 'http://localhost:3000';
+const EMAIL_VERIFY_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFY_TOKEN_HOURS, 10) || 48;
+const PASSWORD_RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60;
+
+const emailTokenSchema = {
+    token: { type: 'string', pattern: /^[0-9a-f]{64}$/, message: 'Invalid or expired link' }
+};
+
+const forgotSchema = {
+    email: { type: 'string', trim: true, lowercase: true, minLength: 1, maxLength: 254, message: 'Email required' }
+};
+
+const resetSchema = {
+    ...emailTokenSchema,
+    password: registerSchema.password
+};
+
+// SQLite DATETIME text is UTC without a zone marker
+const parseSqlTime = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+const formatUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    balance: user.balance,
+    referralCode: user.referral_code,
+    emailVerified: Boolean(user.email_verified_at),
+    createdAt: user.created_at
+});
+
+// Sockets join `session:<sid>` and `user:<id>`, so revoking either kind can disconnect them at once
+const createAuthRoutes = ({ io }) => {
+    const router = express.Router();
+
+    const disconnectRoom = (room) => {
+        io.to(room).emit('session_revoked');
+        io.in(room).disconnectSockets(true);
+    };
+
+    const issueTokens = async (user, req) => {
+        const sessionId = crypto.randomUUID();
+        const secret = generateRefreshSecret();
+        await createSession({
+            id: sessionId,
+            userId: user.id,
+            refreshTokenHash: hashToken(secret),
+            userAgent: req.get('user-agent') || null,
+            ttlDays: REFRESH_TOKEN_DAYS
+        });
+        return { token: signAccessToken(user, sessionId), refreshToken: `${sessionId}.${secret}` };
+    };
+
+    // Stores a single-use token for `purpose` and resolves to the raw value for the link
+    const issueEmailToken = async (userId, purpose, ttlMinutes) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        await createUserToken({ userId, purpose, tokenHash: hashToken(token), ttlMinutes });
+        return token;
+    };
+
+    const sendVerificationEmail = async (user) => {
+        const token = await issueEmailToken(user.id, 'verify_email', EMAIL_VERIFY_TOKEN_HOURS * 60);
+        await sendMail('verifyEmail', user.email, {
+            username: user.username,
+            link: `${PUBLIC_URL}/?verify=${token}`,
+            hours: EMAIL_VERIFY_TOKEN_HOURS
+        });
+    };
+
+    // Register: creates the account and signs it in, so the response matches /login
+    router.post('/register', rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: 10,
+        message: 'Too many sign-ups from this address, try again later'
+    }), validateBody(registerSchema), async (req, res) => {
+        const { username, email, password } = req.body;
+
+        try {
+            const { id } = await createUser(username, email, password);
+            const user = await findUserById(id);
+            const tokens = await issueTokens(user, req);
+            res.status(201).json({ ...tokens, user: formatUser(user) });
+
+            // The account works without it, so a mail failure must not fail the sign-up
+            sendVerificationEmail(user).catch(err => console.error(`Verification email to user ${id} failed:`, err));
+        } catch (err) {
+            if (/users\.email/.test(err.message)) {
+                return res.status(409).json({ field: 'email', error: 'An account with this email already exists' });
+            }
+            if (/users\.username/.test(err.message)) {
+                return res.status(409).json({ field: 'username', error: 'Username is taken' });
+            }
+            console.error(err);
+            res.status(500).json({ error: 'Error creating user' });
+        }
+    });
+
+    // Login: opens a session and returns a short-lived access token plus its refresh token.
+    // Limited per IP and per email; an account also locks after LOGIN_MAX_ATTEMPTS failures in a row.
+    // A locked account, an unknown email and a wrong password get the same 401 after the same
+    // bcrypt work, so neither the answer nor its timing tells which one it was.
+    router.post('/login', rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 30,
+        message: 'Too many login attempts, try again later'
+    }), validateBody(loginSchema), rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 10,
+        key: (req) => `email:${req.body.email}`,
+        message: 'Too many login attempts, try again later'
+    }), async (req, res) => {
+        const { email, password } = req.body;
+
+        try {
+            const user = await findUserByEmail(email);
+            const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+            // Even the right password is refused until the lock runs out
+            if (user && user.locked_until && parseSqlTime(user.locked_until) > new Date()) {
+                return res.status(401).json({ error: LOGIN_FAILED });
+            }
+            if (!user || !valid) {
+                if (user) await recordFailedLogin(user.id, LOGIN_MAX_ATTEMPTS, LOGIN_LOCK_MINUTES);
+                return res.status(401).json({ error: LOGIN_FAILED });
+            }
+            if (user.failed_logins || user.locked_until) await clearFailedLogins(user.id);
+
+            const tokens = await issueTokens(user, req);
+            res.json({
+                ...tokens,
+                user: formatUser(user)
+            });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Login failed' });
+        }
+    });
+
+    // Trade a refresh token for a new access token. The refresh token rotates on every
+    // use; presenting an old one means it was copied, so the whole session is revoked.
+    router.post('/token/refresh', rateLimit({
+        windowMs: 60 * 1000,
+        max: 30
+    }), validateBody(refreshSchema), async (req, res) => {
+        const parsed = parseRefreshToken(req.body.refreshToken);
+        if (!parsed) return res.status(400).json({ error: 'Missing refresh token' });
+
+        try {
+            const session = await findActiveSession(parsed.sessionId);
+            if (!session) return res.status(401).json({ error: 'Session expired' });
+
+            const secret = generateRefreshSecret();
+            if (!await rotateSessionToken(session.id, hashToken(parsed.secret), hashToken(secret), REFRESH_TOKEN_DAYS)) {
+                console.warn(`Refresh token reuse on session ${session.id}, revoking it`);
+                await revokeSession(session.id);
+                disconnectRoom(`session:${session.id}`);
+                return res.status(401).json({ error: 'Session revoked' });
+            }
+
+            const user = await findUserById(session.user_id);
+            res.json({ token: signAccessToken(user, session.id), refreshToken: `${session.id}.${secret}` });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Token refresh failed' });
+        }
+    });
+
+    router.post('/logout', authenticateToken, async (req, res) => {
+        try {
+            await revokeSession(req.user.sid);
+            disconnectRoom(`session:${req.user.sid}`);
+            res.json({ message: 'Logged out' });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+
+    // Log out all devices, this one included
+    router.post('/logout/all', authenticateToken, async (req, res) => {
+        try {
+            const { changes } = await revokeUserSessions(req.user.id);
+            disconnectRoom(`user:${req.user.id}`);
+            res.json({ message: 'Logged out everywhere', sessions: changes });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+
+    // --- EMAIL VERIFICATION ---
+
+    router.post('/email/verify', validateBody(emailTokenSchema), async (req, res) => {
+        try {
+            const userId = await consumeUserToken('verify_email', hashToken(req.body.token));
+            if (!userId) return res.status(400).json({ error: 'Invalid or expired link' });
+
+            await markEmailVerified(userId);
+            res.json({ message: 'Email verified' });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Verification failed' });
+        }
+    });
+
+    router.post('/email/verify/resend', authenticateToken, rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: 3,
+        key: (req) => `user:${req.user.id}`,
+        message: 'Verification email already sent, check your inbox'
+    }), async (req, res) => {
+        try {
+            const user = await findUserById(req.user.id);
+            if (user.email_verified_at) return res.status(409).json({ error: 'Email already verified' });
+
+            await sendVerificationEmail(user);
+            res.json({ message: `Verification email sent to ${user.email}` });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Could not send verification email' });
+        }
+    });
+
+    // --- PASSWORD RESET ---
+
+    // Answers the same whether or not the email has an account, so it cannot be used to probe for one
+    router.post('/password/forgot', rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: 10,
+        message: 'Too many reset requests, try again later'
+    }), validateBody(forgotSchema), rateLimit({
+        windowMs: 60 * 60 * 1000,
+        max: 3,
+        key: (req) => `email:${req.body.email}`,
+        message: 'Too many reset requests, try again later'
+    }), async (req, res) => {
+        try {
+            const user = await findUserByEmail(req.body.email);
+            if (user) {
+                const token = await issueEmailToken(user.id, 'password_reset', PASSWORD_RESET_TOKEN_MINUTES);
+                await sendMail('passwordReset', user.email, {
+                    username: user.username,
+                    link: `${PUBLIC_URL}/?reset=${token}`,
+                    minutes: PASSWORD_RESET_TOKEN_MINUTES
+                });
+            }
+            res.json({ message: 'If that email has an account, a reset link is on its way' });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Could not send reset email' });
+        }
+    });
+
+    // Sets the new password, then signs out every session since the old one may have leaked.
+    // The link came through the inbox, so it verifies the email as well.
+    router.post('/password/reset', rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 20
+    }), validateBody(resetSchema), async (req, res) => {
+        try {
+            const userId = await consumeUserToken('password_reset', hashToken(req.body.token));
+            if (!userId) return res.status(400).json({ field: 'token', error: 'Invalid or expired link' });
+
+            await updatePassword(userId, req.body.password);
+            await markEmailVerified(userId);
+            await revokeUserSessions(userId);
+            disconnectRoom(`user:${userId}`);
+
+            const user = await findUserById(userId);
+            sendMail('passwordChanged', user.email, { username: user.username })
+                .catch(err => console.error(`Password change notice to user ${userId} failed:`, err));
+
+            res.json({ message: 'Password updated, sign in with your new password' });
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Password reset failed' });
+        }
+    });
+
+    // Current account; the client calls this on load to restore a stored session
+    router.get('/me', authenticateToken, async (req, res) => {
+        try {
+            const user = await findUserById(req.user.id);
+            if (!user) return res.status(404).json({ error: 'User not found' });
+            res.json(formatUser(user));
+        } catch (err) {
+            console.error(err);
+            res.status(500).json({ error: 'Failed to load profile' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createAuthRoutes;
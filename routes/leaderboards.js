@@ -0,0 +1,32 @@
+const express = require('express');
+const { verifyAccessToken } = require('../middleware/auth');
+const { validateQuery, validateParams } = require('../middleware/validate');
+const { METRICS, PERIODS, getLeaderboard, getPlayerRank, publicEntry } = require('../leaderboards');
+
+const router = express.Router();
+
+// Public; a signed-in caller also gets their own standing as `you` (null when not on the board)
+router.get('/leaderboards/:metric', validateParams({
+    metric: { type: 'string', values: Object.keys(METRICS) }
+}), validateQuery({
+    period: { type: 'string', optional: true, default: 'day', values: PERIODS }
+}), async (req, res) => {
+    const { metric } = req.params;
+    const { period } = req.query;
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    const user = token ? await verifyAccessToken(token).catch(() => null) : null;
+
+    try {
+        const entries = await getLeaderboard(metric, period);
+        const body = { metric, period, entries: entries.map(publicEntry) };
+        if (user) body.you = await getPlayerRank(metric, period, user.id);
+        res.json(body);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+});
+
+module.exports = router;
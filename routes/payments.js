@@ -0,0 +1,156 @@
+const express = require('express');
+const Stripe = require('stripe');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const { checkDeposit, withinDepositLimits } = require('../responsible-gaming');
+const {
+    findTransactionByExternalId,
+    updateUserBalance,
+    recordRefundedDeposit
+} = require('../database');
+
+const router = express.Router();
+
+// Crash Cash packages sold through Stripe Checkout
+const PACKAGES = [
+    { id: 'cc_5k', name: '5,000 Crash Cash', credits: 5000, priceCents: 500 },
+    { id: 'cc_25k', name: '25,000 Crash Cash', credits: 25000, priceCents: 2500 },
+    { id: 'cc_100k', name: '100,000 Crash Cash', credits: 100000, priceCents: 10000 }
+];
+
+const PUBLIC_URL = process.env.PUBLIC_URL || 'http://localhost:3000';
+const WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local fake such as stripe-mock
+const stripe = process.env.STRIPE_SECRET_KEY
+    ? Stripe(process.env.STRIPE_SECRET_KEY, {
+        host: process.env.STRIPE_API_HOST || undefined,
+        port: process.env.STRIPE_API_PORT || undefined,
+        protocol: process.env.STRIPE_API_PROTOCOL || undefined
+    })
+    : null;
+
+// Sends a deposit back through Stripe. The idempotency key lets a retried
+// webhook repeat the call without a second refund.
+const refundPayment = async (session, chargeId) => {
+    if (!stripe || !session.payment_intent) throw new Error(`Session ${session.id} could not be refunded, refund it by hand`);
+    try {
+        await stripe.refunds.create(
+            { payment_intent: session.payment_intent },
+            { idempotencyKey: `deposit-refund:${chargeId}` }
+        );
+    } catch (err) {
+        if (err.code !== 'charge_already_refunded') throw err;
+    }
+};
+
+// Credits a paid Checkout session once; resolves to 'credited', 'duplicate' for a
+// repeat delivery or 'refunded'. Limits are checked again here because they may have
+// changed since checkout, or another session may have finished first; a payment they
+// no longer allow is booked in and straight back out, then refunded.
+const creditDeposit = async (session) => {
+    const pkg = PACKAGES.find(p => p.id === (session.metadata || {}).packageId);
+    const userId = Number(session.client_reference_id);
+    if (!pkg || !userId) throw new Error(`Session ${session.id} has no package or user`);
+    if (session.amount_total !== pkg.priceCents) throw new Error(`Session ${session.id} amount does not match ${pkg.id}`);
+
+    const chargeId = session.payment_intent || session.id;
+    if (await findTransactionByExternalId('deposit', chargeId)) {
+        // A failed refund call makes Stripe redeliver, so try it again
+        const refund = await findTransactionByExternalId('deposit_refund', chargeId);
+        if (!refund) return 'duplicate';
+        await refundPayment(session, chargeId);
+        return 'refunded';
+    }
+
+    let blocked;
+    try {
+        const outcome = await withinDepositLimits(userId, pkg.credits, () => (
+            updateUserBalance(userId, pkg.credits, 'deposit', chargeId)
+        ));
+        if (!outcome.blocked) return 'credited';
+        blocked = outcome.blocked;
+        await recordRefundedDeposit(userId, pkg.credits, chargeId);
+    } catch (err) {
+        // A concurrent delivery of the same event won the unique index
+        if (/UNIQUE constraint failed/.test(err.message)) return 'duplicate';
+        throw err;
+    }
+
+    console.warn(`Session ${session.id} refunded: ${blocked.message}`);
+    await refundPayment(session, chargeId);
+    return 'refunded';
+};
+
+router.get('/packages', (req, res) => {
+    res.json({ packages: PACKAGES });
+});
+
+// Start a Checkout session; the client redirects to the returned url
+router.post('/checkout', authenticateToken, validateBody({
+    packageId: { type: 'string', maxLength: 64, message: 'Unknown package' }
+}), async (req, res) => {
+    if (!stripe) return res.status(503).json({ error: 'Payments are not configured' });
+
+    const pkg = PACKAGES.find(p => p.id === req.body.packageId);
+    if (!pkg) return res.status(400).json({ error: 'Unknown package' });
+
+    try {
+        // Deposit limits, cool-off and self-exclusion; checked again when the payment lands
+        const blocked = await checkDeposit(req.user.id, pkg.credits);
+        if (blocked) return res.status(403).json({ error: blocked.message, code: blocked.code });
+
+        const session = await stripe.checkout.sessions.create({
+            mode: 'payment',
+            line_items: [{
+                price_data: {
+                    currency: 'usd',
+                    unit_amount: pkg.priceCents,
+                    product_data: { name: pkg.name }
+                },
+                quantity: 1
+            }],
+            client_reference_id: String(req.user.id),
+            metadata: { packageId: pkg.id },
+            success_url: `${PUBLIC_URL}/?deposit=success`,
+            cancel_url: `${PUBLIC_URL}/?deposit=cancelled`
+        });
+        res.json({ id: session.id, url: session.url });
+    } catch (err) {
+        console.error(err);
+        res.status(502).json({ error: 'Could not start checkout' });
+    }
+});
+
+// Stripe webhook (raw body; server.js skips JSON parsing for this path)
+router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+    if (!WEBHOOK_SECRET) return res.status(503).json({ error: 'Webhook secret not configured' });
+
+    let event;
+    try {
+        event = Stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], WEBHOOK_SECRET);
+    } catch (err) {
+        return res.status(400).json({ error: `Webhook signature verification failed: ${err.message}` });
+    }
+
+    try {
+        switch (event.type) {
+            case 'checkout.session.completed':
+            case 'checkout.session.async_payment_succeeded': {
+                const session = event.data.object;
+                // Delayed payment methods complete unpaid and follow up with async_payment_succeeded
+                if (session.payment_status !== 'paid') break;
+                const outcome = await creditDeposit(session);
+                console.log(`Deposit ${outcome} for session ${session.id}`);
+                break;
+            }
+        }
+        res.json({ received: true });
+    } catch (err) {
+        // Non-2xx makes Stripe retry the delivery
+        console.error(`Webhook ${event.id} failed:`, err);
+        res.status(500).json({ error: 'Webhook handling failed' });
+    }
+});
+
+module.exports = router;
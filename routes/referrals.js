@@ -0,0 +1,37 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const {
+    findUserByReferralCode,
+    redeemReferral
+} = require('../database');
+
+const router = express.Router();
+
+const REFERRAL_BONUS = 400;
+
+// Redeem another player's code; both accounts receive the bonus once
+router.post('/referrals/redeem', authenticateToken, validateBody({
+    code: { type: 'string', trim: true, uppercase: true, minLength: 1, maxLength: 32, message: 'Referral code required' }
+}), async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const referrer = await findUserByReferralCode(code);
+        if (!referrer) return res.status(404).json({ error: 'Invalid referral code' });
+        if (referrer.id === req.user.id) return res.status(400).json({ error: 'You cannot redeem your own code' });
+
+        // Sets the referrer and credits both bonuses together, or nothing at all. Repeat or
+        // racing requests, and the code of anyone you (indirectly) referred, are refused.
+        const { balance, error } = await redeemReferral(req.user.id, referrer.id, REFERRAL_BONUS);
+        if (error === 'already_redeemed') return res.status(409).json({ error: 'Referral code already redeemed' });
+        if (error === 'circular') return res.status(400).json({ error: 'Circular referrals are not allowed' });
+
+        res.json({ bonus: REFERRAL_BONUS, balance });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to redeem referral code' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateBody } = require('../middleware/validate');
+const {
+    LIMIT_KINDS,
+    PERIODS,
+    LIMIT_INCREASE_DELAY_HOURS,
+    COOL_OFF_DAYS,
+    SELF_EXCLUSION_MONTHS,
+    REALITY_CHECK_OPTIONS,
+    REALITY_CHECK_MINUTES,
+    getLimitUsage,
+    changeLimit
+} = require('../responsible-gaming');
+const {
+    getGamingRestrictions,
+    extendCoolOff,
+    extendSelfExclusion,
+    setRealityCheckMinutes
+} = require('../database');
+
+const router = express.Router();
+router.use('/responsible-gaming', authenticateToken);
+
+const formatLimit = (l) => ({
+    kind: l.kind,
+    period: l.period,
+    amount: l.amount,
+    used: Math.max(l.used, 0),
+    pendingAmount: l.pending_amount,
+    pendingEffectiveAt: l.pending_effective_at,
+    pendingRemoval: l.pending_effective_at !== null && l.pending_amount === null
+});
+
+// Everything the profile section shows, including the choices it offers
+const loadStatus = async (userId) => {
+    const [limits, r] = await Promise.all([getLimitUsage(userId), getGamingRestrictions(userId)]);
+    return {
+        limits: limits.map(formatLimit),
+        coolOffUntil: r.cooling_off ? r.cool_off_until : null,
+        selfExcludedUntil: r.self_excluded ? r.self_excluded_until : null,
+        realityCheckMinutes: r.reality_check_minutes ?? REALITY_CHECK_MINUTES,
+        options: {
+            kinds: LIMIT_KINDS,
+            periods: Object.keys(PERIODS),
+            increaseDelayHours: LIMIT_INCREASE_DELAY_HOURS,
+            coolOffDays: COOL_OFF_DAYS,
+            selfExclusionMonths: SELF_EXCLUSION_MONTHS,
+            realityCheckMinutes: REALITY_CHECK_OPTIONS
+        }
+    };
+};
+
+router.get('/responsible-gaming', async (req, res) => {
+    try {
+        res.json(await loadStatus(req.user.id));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load limits' });
+    }
+});
+
+// Lower or new limits apply now; raising or removing one (amount null) is delayed
+router.put('/responsible-gaming/limits', validateBody({
+    kind: { type: 'string', values: LIMIT_KINDS },
+    period: { type: 'string', values: Object.keys(PERIODS) },
+    amount: { type: 'integer', optional: true, min: 1, message: 'Limit must be a whole number of CC' }
+}), async (req, res) => {
+    const { kind, period, amount } = req.body;
+
+    try {
+        const { pending } = await changeLimit(req.user.id, kind, period, amount);
+        res.json({ pending, ...await loadStatus(req.user.id) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update limit' });
+    }
+});
+
+router.post('/responsible-gaming/cool-off', validateBody({
+    days: { type: 'integer', message: `Cool-off must be ${COOL_OFF_DAYS.join(', ')} days` }
+}), async (req, res) => {
+    if (!COOL_OFF_DAYS.includes(req.body.days)) {
+        return res.status(400).json({ error: `Cool-off must be ${COOL_OFF_DAYS.join(', ')} days`, field: 'days' });
+    }
+
+    try {
+        await extendCoolOff(req.user.id, req.body.days);
+        res.json(await loadStatus(req.user.id));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to start cool-off' });
+    }
+});
+
+// { months } from SELF_EXCLUSION_MONTHS, or { permanent: true }. A permanent exclusion
+// cannot be undone, so it is never inferred from a missing or null months.
+router.post('/responsible-gaming/self-exclusion', validateBody({
+    months: { type: 'integer', optional: true },
+    permanent: { type: 'boolean', optional: true, default: false }
+}), async (req, res) => {
+    const { months, permanent } = req.body;
+    const valid = permanent ? months === null : SELF_EXCLUSION_MONTHS.includes(months);
+    if (!valid) {
+        return res.status(400).json({ error: `Self-exclusion must be ${SELF_EXCLUSION_MONTHS.join(', ')} months or permanent`, field: 'months' });
+    }
+
+    try {
+        await extendSelfExclusion(req.user.id, permanent ? null : months);
+        res.json(await loadStatus(req.user.id));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to self-exclude' });
+    }
+});
+
+router.put('/responsible-gaming/reality-check', validateBody({
+    minutes: { type: 'integer', message: 'Invalid interval' }
+}), async (req, res) => {
+    if (!REALITY_CHECK_OPTIONS.includes(req.body.minutes)) {
+        return res.status(400).json({ error: 'Invalid interval', field: 'minutes' });
+    }
+
+    try {
+        await setRealityCheckMinutes(req.user.id, req.body.minutes);
+        res.json(await loadStatus(req.user.id));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to update reality check' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    getPlayerRoomTotals,
+    getPlayerRoundStats,
+    getProfitHistory
+} = require('../database');
+
+const router = express.Router();
+
+// Money comes from the ledger's game transactions, rounds and best cash-outs from settled bets
+const formatRoomStats = (room, totals = {}, rounds = {}) => {
+    const totalWagered = totals.wagered || 0;
+    const totalWon = totals.won || 0;
+    return {
+        room,
+        totalWagered,
+        totalWon,
+        netProfit: totalWon - totalWagered,
+        roundsPlayed: rounds.rounds_played || 0,
+        biggestWin: rounds.biggest_win ?? null,
+        bestMultiplier: rounds.best_multiplier ?? null
+    };
+};
+
+const maxOf = (values) => {
+    const present = values.filter(v => v !== null);
+    return present.length ? Math.max(...present) : null;
+};
+
+// Lifetime totals, a per-room breakdown and the running P/L behind the profile chart
+router.get('/me/stats', authenticateToken, async (req, res) => {
+    try {
+        const [totals, rounds, history] = await Promise.all([
+            getPlayerRoomTotals(req.user.id),
+            getPlayerRoundStats(req.user.id),
+            getProfitHistory(req.user.id)
+        ]);
+
+        const names = new Set([...totals.map(t => t.room), ...rounds.map(r => r.room)]);
+        const rooms = [...names]
+            .map(room => formatRoomStats(room, totals.find(t => t.room === room), rounds.find(r => r.room === room)))
+            .sort((a, b) => b.totalWagered - a.totalWagered);
+
+        const totalWagered = rooms.reduce((sum, r) => sum + r.totalWagered, 0);
+        const totalWon = rooms.reduce((sum, r) => sum + r.totalWon, 0);
+        res.json({
+            totalWagered,
+            totalWon,
+            netProfit: totalWon - totalWagered,
+            roundsPlayed: rooms.reduce((sum, r) => sum + r.roundsPlayed, 0),
+            biggestWin: maxOf(rooms.map(r => r.biggestWin)),
+            bestMultiplier: maxOf(rooms.map(r => r.bestMultiplier)),
+            rooms,
+            history: history.map(h => ({ at: h.settled_at, profit: h.profit }))
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load stats' });
+    }
+});
+
+module.exports = router;
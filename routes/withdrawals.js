@@ -0,0 +1,179 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validate');
+const { getPayoutProvider } = require('../payouts');
+const {
+    transaction,
+    findUserById,
+    updateUserBalance,
+    updateTransactionStatus,
+    createWithdrawal,
+    findWithdrawalById,
+    getUserWithdrawals,
+    getWithdrawalsByStatus,
+    setWithdrawalStatus,
+    finalizeWithdrawal
+} = require('../database');
+
+const router = express.Router();
+
+const MIN_WITHDRAWAL = parseInt(process.env.MIN_WITHDRAWAL_CC, 10) || 50000;
+const CC_PER_USD = parseFloat(process.env.CC_PER_USD) || 1000;
+
+// Whole cents, rounded down in the house's favour
+const toUsdCents = (amount) => Math.floor((amount * 100) / CC_PER_USD);
+
+const idParams = { id: { type: 'integer', min: 1, message: 'Invalid withdrawal id' } };
+
+const formatWithdrawal = (w) => ({
+    id: w.id,
+    username: w.username,
+    amount: w.amount,
+    amountUsd: w.amount_usd_cents / 100,
+    status: w.status,
+    reason: w.reason,
+    payoutReference: w.payout_reference,
+    createdAt: w.created_at,
+    reviewedAt: w.reviewed_at
+});
+
+// --- PLAYER ROUTES ---
+
+// Request a withdrawal: the Crash Cash is debited now and held until an admin reviews it
+router.post('/withdrawals', authenticateToken, validateBody({
+    amount: { type: 'integer', min: MIN_WITHDRAWAL, message: `Minimum withdrawal is ${MIN_WITHDRAWAL.toLocaleString()} CC` }
+}), async (req, res) => {
+    const { amount } = req.body;
+
+    try {
+        // Payouts go to whoever controls the email, so it has to be confirmed first
+        const user = await findUserById(req.user.id);
+        if (!user.email_verified_at) return res.status(403).json({ error: 'Verify your email before withdrawing' });
+
+        // The debit, the withdrawal row and their link land together, so held funds
+        // always have a withdrawal an admin can review
+        const { balance, withdrawal } = await transaction(async () => {
+            const { balance, transactionId } = await updateUserBalance(req.user.id, -amount, 'withdraw', null, 'pending');
+            const withdrawal = await createWithdrawal({
+                userId: req.user.id,
+                amount,
+                amountUsdCents: toUsdCents(amount),
+                transactionId
+            });
+            await updateTransactionStatus(transactionId, 'pending', `withdrawal:${withdrawal.id}`);
+            return { balance, withdrawal };
+        });
+
+        res.status(201).json({ withdrawal: formatWithdrawal(withdrawal), balance });
+    } catch (err) {
+        if (err.message === 'Insufficient funds' || err.message === 'Account frozen') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error(err);
+        res.status(500).json({ error: 'Failed to request withdrawal' });
+    }
+});
+
+router.get('/withdrawals', authenticateToken, async (req, res) => {
+    try {
+        const rows = await getUserWithdrawals(req.user.id);
+        res.json({
+            withdrawals: rows.map(formatWithdrawal),
+            minAmount: MIN_WITHDRAWAL,
+            ccPerUsd: CC_PER_USD
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load withdrawals' });
+    }
+});
+
+// --- ADMIN ROUTES ---
+
+router.get('/admin/withdrawals', authenticateToken, requireAdmin, validateQuery({
+    status: { type: 'string', optional: true, default: 'pending', values: ['pending', 'processing', 'completed', 'rejected'] }
+}), async (req, res) => {
+    try {
+        const rows = await getWithdrawalsByStatus(req.query.status);
+        res.json({ withdrawals: rows.map(formatWithdrawal) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load withdrawals' });
+    }
+});
+
+// Approve: send the payout, then complete the held transaction
+router.post('/admin/withdrawals/:id/approve', authenticateToken, requireAdmin, validateParams(idParams), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        // Claiming first means a double-click or a second admin cannot pay out twice
+        if (!await setWithdrawalStatus(id, 'pending', 'processing')) {
+            return res.status(409).json({ error: 'Withdrawal is not pending' });
+        }
+        const withdrawal = await findWithdrawalById(id);
+        const provider = getPayoutProvider();
+
+        let reference;
+        try {
+            ({ reference } = await provider.sendPayout({
+                withdrawalId: withdrawal.id,
+                userId: withdrawal.user_id,
+                amountUsdCents: withdrawal.amount_usd_cents
+            }));
+        } catch (err) {
+            console.error(`Payout failed for withdrawal ${id}:`, err);
+            await setWithdrawalStatus(id, 'processing', 'pending');
+            return res.status(502).json({ error: 'Payout failed, withdrawal left pending' });
+        }
+
+        await transaction(async () => {
+            await updateTransactionStatus(withdrawal.transaction_id, 'completed', reference);
+            await finalizeWithdrawal(id, {
+                status: 'completed',
+                reviewedBy: req.user.id,
+                payoutProvider: provider.name,
+                payoutReference: reference
+            });
+        });
+        res.json({ withdrawal: formatWithdrawal(await findWithdrawalById(id)) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to approve withdrawal' });
+    }
+});
+
+// Reject: refund the held Crash Cash. The claim, the refund and the status change are
+// one transaction, so a failed refund leaves the withdrawal pending for another try.
+router.post('/admin/withdrawals/:id/reject', authenticateToken, requireAdmin, validateParams(idParams), validateBody({
+    reason: { type: 'string', optional: true, trim: true, maxLength: 500 }
+}), async (req, res) => {
+    const { id } = req.params;
+    const reason = req.body.reason || null;
+
+    try {
+        const rejected = await transaction(async () => {
+            if (!await setWithdrawalStatus(id, 'pending', 'processing')) return false;
+            const withdrawal = await findWithdrawalById(id);
+
+            const { transactionId } = await updateUserBalance(
+                withdrawal.user_id, withdrawal.amount, 'withdraw_reversal', `withdrawal:${id}`
+            );
+            await updateTransactionStatus(withdrawal.transaction_id, 'rejected');
+            await finalizeWithdrawal(id, {
+                status: 'rejected',
+                reviewedBy: req.user.id,
+                reason,
+                refundTransactionId: transactionId
+            });
+            return true;
+        });
+        if (!rejected) return res.status(409).json({ error: 'Withdrawal is not pending' });
+        res.json({ withdrawal: formatWithdrawal(await findWithdrawalById(id)) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to reject withdrawal' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Schema migration CLI (see migrations/index.js):
+ *
+ *   node scripts/migrate.js status        list migrations and when they were applied
+ *   node scripts/migrate.js up [version]  apply pending migrations, optionally stopping at version
+ *   node scripts/migrate.js down [steps]  revert the last applied migration(s), default 1
+ *
+ * Uses DB_PATH like the server. The server also applies pending migrations on
+ * startup, so `up` is only needed to migrate without booting it.
+ */
+require('dotenv').config();
+process.env.DB_AUTO_MIGRATE = '0';
+const { db, ready, migrator } = require('../database');
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+const main = async () => {
+    await ready;
+
+    if (command === 'status') {
+        for (const m of await migrator.status()) {
+            console.log(`${m.appliedAt ? 'applied ' + m.appliedAt : 'pending            '}  ${m.version}_${m.name}`);
+        }
+    } else if (command === 'up') {
+        const ran = await migrator.up(arg || null);
+        console.log(ran.length ? `Applied: ${ran.join(', ')}` : 'Nothing to apply');
+    } else if (command === 'down') {
+        const steps = parseInt(arg, 10) || 1;
+        const reverted = await migrator.down(steps);
+        console.log(reverted.length ? `Reverted: ${reverted.join(', ')}` : 'Nothing to revert');
+    } else {
+        throw new Error(`Unknown command: ${command} (expected status, up or down)`);
+    }
+};
+
+main()
+    .then(() => db.close())
+    .catch((err) => {
+        console.error(err.message);
+        db.close(() => process.exit(1));
+    });
@@ -0,0 +1,40 @@
+/**
+ * Checks the books against the double-entry ledger and exits non-zero on any
+ * difference, so it can run from cron or CI:
+ *
+ *   node scripts/reconcile.js
+ *
+ * Every users.balance must equal the sum of its 'user:<id>' ledger entries,
+ * every transaction must have two entries netting to zero, and the ledger as
+ * a whole must net to zero. House account balances are printed for reference.
+ */
+require('dotenv').config();
+const { db, ready, reconcileLedger } = require('../database');
+
+const main = async () => {
+    await ready;
+    const report = await reconcileLedger();
+
+    console.log('House accounts:');
+    for (const { account, balance } of report.houseAccounts) {
+        console.log(`  ${account.padEnd(24)} ${balance.toLocaleString()} CC`);
+    }
+    console.log(`Ledger total: ${report.ledgerTotal} CC`);
+
+    for (const u of report.walletMismatches) {
+        console.log(`MISMATCH user ${u.id} (${u.username}): balance ${u.balance}, ledger ${u.ledger}`);
+    }
+    for (const t of report.unbalancedTransactions) {
+        console.log(`UNBALANCED transaction ${t.id} (${t.type} ${t.amount}): ${t.entries} entries, net ${t.net}`);
+    }
+
+    console.log(report.ok ? 'OK: balances match the ledger' : 'FAILED: books do not reconcile');
+    return report.ok;
+};
+
+main()
+    .then((ok) => db.close(() => process.exit(ok ? 0 : 1)))
+    .catch((err) => {
+        console.error(err);
+        db.close(() => process.exit(2));
+    });
@@ -0,0 +1,47 @@
+/**
+ * Sends a signed Stripe fixture event to the local webhook, so the deposit flow
+ * can be exercised without Stripe. Signs with STRIPE_WEBHOOK_SECRET from .env.
+ *
+ *   node scripts/stripe-webhook.js [fixture.json] [--user=<id>] [--url=<webhook url>]
+ *
+ * Defaults to fixtures/stripe/checkout.session.completed.json and
+ * http://localhost:3000/api/webhook. Sending the same fixture twice must
+ * credit the deposit only once.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const args = process.argv.slice(2);
+const option = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+
+const fixturePath = args.find(a => !a.startsWith('--'))
+    || path.join(__dirname, '..', 'fixtures', 'stripe', 'checkout.session.completed.json');
+const url = option('url') || 'http://localhost:3000/api/webhook';
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set');
+    process.exit(1);
+}
+
+const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+if (option('user')) event.data.object.client_reference_id = option('user');
+
+const payload = JSON.stringify(event);
+const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+})
+    .then(async (res) => console.log(res.status, await res.text()))
+    .catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
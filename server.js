@@ -4,24 +4,52 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const CryptoJS = require('crypto-js');
+const crypto = require('crypto');
 const path = require('path');
-const jwt = require('jsonwebtoken');
 const bodyParser = require('body-parser');
 const paymentRoutes = require('./routes/payments');
+const referralRoutes = require('./routes/referrals');
+const withdrawalRoutes = require('./routes/withdrawals');
+const responsibleGamingRoutes = require('./routes/responsible-gaming');
+const statsRoutes = require('./routes/stats');
+const leaderboardRoutes = require('./routes/leaderboards');
+const createAdminRoutes = require('./routes/admin');
+const createAuthRoutes = require('./routes/auth');
+const { verifyAccessToken } = require('./middleware/auth');
+const { validate, validateQuery } = require('./middleware/validate');
+const { createRateLimiter } = require('./middleware/rate-limit');
+const { CHAIN_LENGTH, seedIndex, crashPointFromHash } = require('./fairness');
+const { multiplierAt, timeToReach, payoutFor, maxWinMultiplier } = require('./curve');
+const { ROOMS_CONFIG, loadRooms } = require('./config');
+const { withinBetLimits } = require('./responsible-gaming');
+const { createLeaderboardWatcher } = require('./leaderboards');
+const { GLOBAL_CHANNEL, createChat } = require('./chat');
 
 const {
-    createUser,
-    findUserByEmail,
-    findUserById,
-    updateUserBalance
+    ready,
+    updateUserBalance,
+    recordGameRound,
+    getGameHistory,
+    createBet,
+    settleBet,
+    linkBetsToRound,
+    getOpenBets,
+    createSeedChain,
+    getActiveSeedChain,
+    findSeedChainByNonce,
+    updateSeedChainNonce
 } = require('./database');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
+const leaderboards = createLeaderboardWatcher(io);
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev_secret_key_123';
+// Fixed client seed for new chains; a random one is generated per chain when unset
+const FAIRNESS_CLIENT_SEED = process.env.FAIRNESS_CLIENT_SEED || null;
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see client IPs
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
 app.use(cors());
 
@@ -35,280 +63,875 @@ app.use('/api', (req, res, next) => {
 });
 
 app.use(express.static(path.join(__dirname, 'public')));
+// The room file itself, for the offline mock (game-server.js) when /api/rooms fails
+app.get('/config/rooms.json', (req, res) => res.sendFile(path.resolve(ROOMS_CONFIG)));
 app.use('/api', paymentRoutes);
+app.use('/api', referralRoutes);
+app.use('/api', withdrawalRoutes);
+app.use('/api', responsibleGamingRoutes);
+app.use('/api', statsRoutes);
+app.use('/api', leaderboardRoutes);
 
 // serve the main page on root
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// --- AUTH MIDDLEWARE ---
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    if (!token) return res.sendStatus(401);
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
-        req.user = user;
-        next();
-    });
-};
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
 
 // --- API ROUTES ---
 
-// Register
-app.post('/api/register', async (req, res) => {
-    try {
-        const { username, email, password } = req.body;
-        if (!username || !email || !password) return res.status(400).json({ error: 'Missing fields' });
-
-        await createUser(username, email, password);
-        res.status(201).json({ message: 'User created' });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Error creating user (email/username might be taken)' });
-    }
-});
-
-// Login
-app.post('/api/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        const user = await findUserByEmail(email);
-        if (!user) return res.status(400).json({ error: 'User not found' });
+app.use('/api', createAuthRoutes({ io }));
 
-        const valid = await require('bcrypt').compare(password, user.password_hash);
-        if (!valid) return res.status(400).json({ error: 'Invalid password' });
+// --- PROVABLY FAIR ---
 
-        const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET);
-        res.json({ token, user: { id: user.id, username: user.username, balance: user.balance } });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ error: 'Login failed' });
-    }
-});
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmacSha256 = (key, value) => crypto.createHmac('sha256', key).update(value).digest('hex');
 
-// Get Profile
-app.get('/api/me', authenticateToken, async (req, res) => {
-    const user = await findUserById(req.user.id);
-    res.json(user);
-});
+// seeds[0] is the root, seeds[length] the published commitment
+const buildSeedChain = (root, length) => {
+    const seeds = [root];
+    for (let i = 1; i <= length; i++) seeds.push(sha256(seeds[i - 1]));
+    return seeds;
+};
 
 // --- GAME LOGIC ---
 
+// Ticks kept for the snapshot a rejoining client redraws its chart from
+const SNAPSHOT_TICKS = 200;
+
+// The running phase settles auto cash-outs and exposure every SETTLE_INTERVAL_MS but
+// only broadcasts a tick every TICK_INTERVAL_MS; clients draw the curve in between
+const SETTLE_INTERVAL_MS = 50;
+const TICK_INTERVAL_MS = parseInt(process.env.TICK_INTERVAL_MS, 10) || 250;
+
+// Round phases and the moves between them. A room is 'idle' until its first deal,
+// deals betting -> running -> crashed and back to betting, rests in 'paused' between
+// rounds once an admin pauses it, and ends in 'stopped' when drained for shutdown.
+const PHASE_TRANSITIONS = {
+    idle: ['betting', 'paused', 'stopped'],
+    betting: ['running', 'stopped'],
+    running: ['crashed'],
+    crashed: ['betting', 'paused', 'stopped'],
+    paused: ['betting', 'stopped'],
+    stopped: []
+};
+
 class GameRoom {
-    constructor(ticker, lambda, roomName) {
-        this.ticker = ticker;
+    constructor({ symbol, name, badge, lambda, bettingPhaseMs, minBet, maxBet, maxMultiplier, maxWin, maxExposure }) {
+        this.ticker = `$${symbol}`;
+        this.roomName = symbol;
+        this.name = name;
+        this.badge = badge;
         this.lambda = lambda;
-        this.roomName = roomName;
+        this.bettingPhaseMs = bettingPhaseMs;
+        this.minBet = minBet;
+        this.maxBet = maxBet;
+        this.maxMultiplier = maxMultiplier;
+        this.maxWin = maxWin; // Cap on a single bet's payout
+        this.maxExposure = maxExposure; // Cap on a round's total payout, see enforceExposure()
+
+        // Admin controls: a paused room finishes its round and deals no more;
+        // setting changes wait for the next round so a live curve never changes shape
+        this.paused = false;
+        this.pendingSettings = {};
+
+        this.phase = 'idle'; // see PHASE_TRANSITIONS; only changed by setPhase()
+        this.phaseAt = Date.now();
+        this.dealing = false; // Next round's seed is rotating, see startGame()
+        this.crashed = false; // The current nonce's round has crashed, so its seed is public
+        this.draining = null; // Promise of drain() once shutting down
+        this.onDrained = null;
+        this.timer = null; // Pending betting-phase end or next deal
+        this.loop = null; // Tick interval of the running phase
+        this.writes = new Set(); // Payouts and settlements still being written, see track()
 
-        this.isRunning = false;
         this.multiplier = 1.00;
-        this.startTime = 0;
+        this.startTime = 0; // End of the betting phase, then t = 0 of the curve once running
         this.crashPoint = 0;
+        this.crashAt = 0; // When the running curve reaches crashPoint
+        this.ticks = []; // Latest { elapsed, multiplier } of the round, up to SNAPSHOT_TICKS
 
-        // Active bets: userId -> { amount, cashedOut: false, winAmount: 0 }
+        // Active bets: userId -> { id, username, amount, autoCashOut, cashedOut: false, winAmount: 0, multiplier: null }
         this.bets = new Map();
+        this.placing = new Set(); // Users whose place_bet is still awaiting the database
 
         // Provably Fair
+        this.chain = null; // { id, seeds, clientSeed, startNonce, length, terminalHash }
         this.serverSeed = null;
         this.serverSeedHash = null;
-        this.nonce = 0;
+        this.nonce = 0; // last nonce dealt
 
-        this.rotateSeed();
         this.startDateLoop();
     }
 
-    rotateSeed() {
-        const chars = 'abcdef0123456789';
-        let result = '';
-        for (let i = 0; i < 64; i++) result += chars.charAt(Math.floor(Math.random() * chars.length));
-        this.serverSeed = result;
-        this.serverSeedHash = CryptoJS.SHA256(this.serverSeed).toString();
-        this.nonce++;
+    async rotateSeed() {
+        const nonce = this.nonce + 1;
+        if (!this.chain || nonce >= this.chain.startNonce + this.chain.length) {
+            await this.createSeedChain(nonce);
+        }
+
+        this.serverSeed = this.chain.seeds[seedIndex(nonce - this.chain.startNonce, this.chain.length)];
+        // Hash of this round's seed is the previous round's seed (or the chain commitment)
+        this.serverSeedHash = sha256(this.serverSeed);
+        this.nonce = nonce;
+        await updateSeedChainNonce(this.chain.id, nonce);
+    }
+
+    async createSeedChain(startNonce) {
+        const root = crypto.randomBytes(32).toString('hex');
+        const seeds = buildSeedChain(root, CHAIN_LENGTH);
+        const clientSeed = FAIRNESS_CLIENT_SEED || crypto.randomBytes(16).toString('hex');
+
+        const row = await createSeedChain(this.roomName, root, seeds[CHAIN_LENGTH], clientSeed, CHAIN_LENGTH, startNonce);
+        this.useSeedChain(row, seeds);
+    }
+
+    useSeedChain(row, seeds = buildSeedChain(row.seed, row.length)) {
+        this.chain = {
+            id: row.id,
+            seeds,
+            clientSeed: row.client_seed,
+            startNonce: row.start_nonce,
+            length: row.length,
+            terminalHash: row.terminal_hash
+        };
     }
 
     getCrashPoint() {
-        // Standard PF logic
-        const combo = `${this.serverSeed}:${this.nonce}`;
-        const hash = CryptoJS.HmacSHA256(combo, this.serverSeed).toString(); // simplified chain
+        return crashPointFromHash(hmacSha256(this.serverSeed, this.chain.clientSeed), this.maxMultiplier);
+    }
 
-        // 1 in 13 instant crash (1.00x)
-        if (parseInt(hash.substring(0, 13), 16) % 13 === 0) return 1.00;
+    async startDateLoop() {
+        await booted;
 
-        const h = parseInt(hash.substring(0, 8), 16);
-        const e = Math.pow(2, 32);
-        const result = Math.floor((100 * 0.99) / (1 - (h / e))) / 100;
-        return Math.max(1.00, result);
+        // Resume the room's chain after a restart; an interrupted round's nonce is skipped
+        const row = await getActiveSeedChain(this.roomName);
+        if (row) {
+            this.useSeedChain(row);
+            this.nonce = row.last_nonce;
+        }
+        this.startGame();
     }
 
-    startDateLoop() {
-        this.startGame();
+    // Every phase change is timestamped and broadcast as 'phase_change' { room, phase, nonce, at }
+    setPhase(phase) {
+        if (!PHASE_TRANSITIONS[this.phase].includes(phase)) {
+            throw new Error(`${this.roomName}: no transition from ${this.phase} to ${phase}`);
+        }
+        this.phase = phase;
+        this.phaseAt = Date.now();
+        io.to(this.roomName).emit('phase_change', { room: this.roomName, phase, nonce: this.nonce, at: this.phaseAt });
+    }
+
+    // The current nonce has been dealt and not yet crashed, so its seed stays secret
+    roundInPlay() {
+        return this.dealing || this.phase === 'betting' || this.phase === 'running';
     }
 
-    startGame() {
-        if (this.isRunning) return;
-        this.rotateSeed();
+    // Parks the room between rounds: 'stopped' when draining, else 'paused'
+    rest() {
+        clearTimeout(this.timer);
+        const phase = this.draining ? 'stopped' : 'paused';
+        if (this.phase !== phase) this.setPhase(phase);
+        if (this.draining) Promise.all(this.writes).then(this.onDrained);
+    }
+
+    // Takes effect between rounds; a round in play finishes first
+    pause() {
+        this.paused = true;
+        io.to(this.roomName).emit('room_status', { paused: true });
+        if (!this.roundInPlay()) this.rest();
+    }
+
+    resume() {
+        if (this.draining) return;
+        this.paused = false;
+        io.to(this.roomName).emit('room_status', { paused: false });
+        if (this.phase === 'paused') this.startGame();
+    }
+
+    // Shutdown: a round still taking bets is called off and refunded, a running one
+    // plays out. Resolves once the room is stopped and its writes are done.
+    drain() {
+        if (this.draining) return this.draining;
+
+        this.draining = new Promise((resolve) => { this.onDrained = resolve; });
+        if (this.phase === 'betting') this.cancelRound();
+        else if (!this.roundInPlay()) this.rest();
+        return this.draining;
+    }
+
+    // Refunds every bet of a round that never left the betting phase. Its nonce
+    // is skipped, as after a restart, and its crash point never revealed.
+    async cancelRound() {
+        clearTimeout(this.timer);
+        this.setPhase('stopped');
+
+        // place_bet calls still awaiting the database refund themselves (see its phase guard)
+        while (this.placing.size) await new Promise((resolve) => setTimeout(resolve, 50));
+
+        for (const [userId, bet] of this.bets) {
+            this.track(this.refundBet(userId, bet));
+        }
+        this.rest();
+    }
+
+    async refundBet(userId, bet) {
+        try {
+            const { balance, transactionId } = await updateUserBalance(
+                userId, bet.amount, 'refund', `room:${this.roomName}:nonce:${this.nonce}`
+            );
+            await settleBet(bet.id, { state: 'refunded', transactionId });
+            io.to(`user:${userId}`).emit('balance_update', balance);
+        } catch (err) {
+            console.error(`Failed to refund bet ${bet.id} for user ${userId}:`, err);
+        }
+    }
+
+    // Keeps a database write in view until it settles, so drain() can wait for it
+    track(promise) {
+        const settled = promise.catch((err) => console.error(err));
+        this.writes.add(settled);
+        settled.then(() => this.writes.delete(settled));
+        return settled;
+    }
+
+    configure({ lambda, bettingPhaseMs }) {
+        if (lambda !== undefined) this.pendingSettings.lambda = lambda;
+        if (bettingPhaseMs !== undefined) this.pendingSettings.bettingPhaseMs = bettingPhaseMs;
+    }
+
+    getStatus() {
+        return {
+            room: this.roomName,
+            ticker: this.ticker,
+            lambda: this.lambda,
+            bettingPhaseMs: this.bettingPhaseMs,
+            pendingSettings: this.pendingSettings,
+            paused: this.paused,
+            phase: this.phase,
+            phaseAt: this.phaseAt,
+            multiplier: this.multiplier,
+            nonce: this.nonce,
+            players: io.sockets.adapter.rooms.get(this.roomName)?.size || 0,
+            bets: this.bets.size
+        };
+    }
+
+    // Everything a (re)joining client needs to pick the round up where it is,
+    // including the player's own bet; the crash point and seed only once it has crashed
+    snapshot(userId) {
+        const crashed = this.crashed && !this.roundInPlay();
+        const bet = this.bets.get(userId);
+        return {
+            room: this.roomName,
+            phase: this.phase,
+            phaseAt: this.phaseAt,
+            paused: this.paused,
+            nonce: this.nonce,
+            hash: this.serverSeedHash,
+            startTime: this.startTime,
+            serverTime: Date.now(),
+            lambda: this.lambda,
+            multiplier: this.multiplier,
+            crashPoint: crashed ? this.crashPoint : null,
+            serverSeed: crashed ? this.serverSeed : null,
+            ticks: this.ticks,
+            roster: this.getRoster(),
+            bet: bet && bet.id ? {
+                amount: bet.amount,
+                autoCashOut: bet.autoCashOut,
+                cashedOut: bet.cashedOut,
+                multiplier: bet.multiplier,
+                winAmount: bet.winAmount
+            } : null
+        };
+    }
+
+    async startGame() {
+        if (this.dealing || this.paused || this.draining || !PHASE_TRANSITIONS[this.phase].includes('betting')) return;
+        // Claimed before rotating so the new nonce is never verifiable while pending
+        this.dealing = true;
+        this.bets.clear();
+        Object.assign(this, this.pendingSettings);
+        this.pendingSettings = {};
+
+        try {
+            await this.rotateSeed();
+        } catch (err) {
+            console.error(`Seed rotation failed for ${this.roomName}:`, err);
+            this.dealing = false;
+            if (this.paused || this.draining) return this.rest();
+            this.timer = setTimeout(() => this.startGame(), 3000);
+            return;
+        }
+        this.dealing = false;
+        // Paused or shut down while the seed rotated; the nonce is skipped
+        if (this.paused || this.draining) return this.rest();
+
+        this.crashed = false;
         this.crashPoint = this.getCrashPoint();
         this.multiplier = 1.00;
-        this.isRunning = true;
-        this.startTime = Date.now() + 6000; // 6 seconds betting phase
-        this.bets.clear();
+        this.ticks = [];
+        this.startTime = Date.now() + this.bettingPhaseMs;
+        this.setPhase('betting');
 
         io.to(this.roomName).emit('game_start', {
             ticker: this.ticker,
             nonce: this.nonce,
             hash: this.serverSeedHash,
-            startTime: this.startTime
+            startTime: this.startTime,
+            lambda: this.lambda
         });
 
-        // Betting Phase
-        setTimeout(() => {
-            this.runGameLoop();
-        }, 6000);
+        this.timer = setTimeout(() => this.runGameLoop(), this.bettingPhaseMs);
+    }
+
+    // Multiplier on this round's curve at `time` (ms since epoch), capped at the crash point
+    curveAt(time) {
+        return Math.min(multiplierAt(time - this.startTime, this.lambda), this.crashPoint);
     }
 
     runGameLoop() {
-        const loopStart = Date.now();
-        const interval = setInterval(() => {
-            const elapsed = (Date.now() - loopStart) / 1000;
-
-            // Growth function
-            const k = 0.065 * (2.0 / this.lambda);
-            const M = Math.pow(Math.E, k * elapsed * 2.5);
-            this.multiplier = Math.max(1.00, parseFloat(M.toFixed(2)));
-
-            if (this.multiplier >= this.crashPoint) {
-                this.crashGame();
-                clearInterval(interval);
-            } else {
-                io.to(this.roomName).emit('tick', this.multiplier);
+        this.setPhase('running');
+        // t = 0 is when the phase actually began, and the crash follows from the curve alone
+        this.startTime = this.phaseAt;
+        this.crashAt = this.startTime + timeToReach(this.crashPoint, this.lambda);
+
+        let lastTick = 0;
+        this.loop = setInterval(() => {
+            const now = Date.now();
+
+            if (now >= this.crashAt) {
+                // Targets up to the crash point still win, even if no tick landed on them
+                this.multiplier = this.crashPoint;
+                this.settleAutoCashOuts(this.crashPoint);
+                return this.crashGame();
+            }
+
+            this.multiplier = this.curveAt(now);
+            this.settleAutoCashOuts(this.multiplier);
+            this.enforceExposure();
+
+            if (now - lastTick < TICK_INTERVAL_MS) return;
+            lastTick = now;
+            this.ticks.push({ elapsed: (now - this.startTime) / 1000, multiplier: this.multiplier });
+            if (this.ticks.length > SNAPSHOT_TICKS) this.ticks.shift();
+            io.to(this.roomName).emit('tick', this.multiplier);
+        }, SETTLE_INTERVAL_MS);
+    }
+
+    // Auto cash-out targets, and the multiplier at which a bet reaches maxWin
+    settleAutoCashOuts(reached) {
+        for (const [userId, bet] of this.bets) {
+            if (bet.cashedOut || !bet.id) continue;
+            if (bet.autoCashOut && bet.autoCashOut <= Math.min(reached, bet.maxWinAt)) {
+                this.cashOut(userId, bet.autoCashOut, 'auto');
+            } else if (bet.maxWinAt <= reached) {
+                this.cashOut(userId, bet.maxWinAt, 'max_win');
             }
-        }, 50);
+        }
+    }
+
+    // Once paid plus still-riding value reaches maxExposure, every open bet is cashed at the current multiplier
+    enforceExposure() {
+        let liability = 0;
+        for (const bet of this.bets.values()) {
+            liability += bet.cashedOut ? bet.winAmount : payoutFor(bet.amount, this.multiplier);
+        }
+        if (liability < this.maxExposure) return;
+
+        for (const [userId, bet] of this.bets) {
+            if (!bet.cashedOut && bet.id) this.cashOut(userId, this.multiplier, 'exposure');
+        }
+    }
+
+    // Pays out at `multiplier`; results go to the player's own channel so they
+    // arrive on any connected socket, or are just booked if none is.
+    // `reason` tells the player why a bet closed: manual, auto, max_win or exposure.
+    cashOut(userId, multiplier, reason = 'manual') {
+        return this.track(this.payOut(userId, multiplier, reason));
+    }
+
+    async payOut(userId, multiplier, reason) {
+        const bet = this.bets.get(userId);
+        const winAmount = Math.min(payoutFor(bet.amount, multiplier), this.maxWin);
+        bet.cashedOut = true;
+        bet.winAmount = winAmount;
+        bet.multiplier = multiplier;
+        io.to(this.roomName).emit('roster_update', this.rosterEntry(bet));
+
+        try {
+            const { balance, transactionId } = await updateUserBalance(
+                userId, winAmount, 'win', `room:${this.roomName}:nonce:${this.nonce}`
+            );
+            await settleBet(bet.id, { state: 'cashed_out', multiplier, winAmount, transactionId });
+
+            io.to(`user:${userId}`).emit('cash_out_success', { room: this.roomName, multiplier, winAmount, reason });
+            io.to(`user:${userId}`).emit('balance_update', balance);
+        } catch (err) {
+            console.error(err); // Should not happen on credit
+        }
     }
 
     crashGame() {
-        this.isRunning = false;
+        clearInterval(this.loop);
+        this.crashed = true;
+        this.setPhase('crashed');
         io.to(this.roomName).emit('crash', {
             multiplier: this.crashPoint,
-            serverSeed: this.serverSeed
+            nonce: this.nonce,
+            serverSeed: this.serverSeed,
+            clientSeed: this.chain.clientSeed
         });
+        this.settleLostBets();
+        this.track(this.recordRound());
+        if (this.bets.size) leaderboards.schedule();
+
+        if (this.paused || this.draining) return this.rest();
+        this.timer = setTimeout(() => this.startGame(), 3000);
+    }
+
+    // Public view of a bet for the room-wide roster
+    rosterEntry(bet) {
+        return {
+            username: bet.username,
+            amount: bet.amount,
+            multiplier: bet.multiplier,
+            profit: bet.cashedOut ? bet.winAmount - bet.amount : null
+        };
+    }
+
+    getRoster() {
+        return Array.from(this.bets.values(), bet => this.rosterEntry(bet));
+    }
 
-        // Loop next game
-        setTimeout(() => {
-            this.startGame();
-        }, 3000);
+    settleLostBets() {
+        for (const [userId, bet] of this.bets) {
+            if (bet.cashedOut || !bet.id) continue;
+            this.track(settleBet(bet.id, { state: 'lost', multiplier: this.crashPoint })
+                .catch((err) => console.error(`Failed to settle bet ${bet.id} for user ${userId}:`, err)));
+        }
+    }
+
+    recordRound() {
+        let totalWagered = 0;
+        let totalPaid = 0;
+        for (const bet of this.bets.values()) {
+            totalWagered += bet.amount;
+            totalPaid += bet.winAmount;
+        }
+
+        return recordGameRound({
+            room: this.roomName,
+            nonce: this.nonce,
+            crashPoint: this.crashPoint,
+            serverSeed: this.serverSeed,
+            hash: this.serverSeedHash,
+            clientSeed: this.chain.clientSeed,
+            betCount: this.bets.size,
+            totalWagered,
+            totalPaid
+        })
+            .then(({ id }) => linkBetsToRound(this.roomName, this.nonce, id))
+            .catch((err) => console.error(`Failed to record ${this.roomName} round ${this.nonce}:`, err));
     }
 }
 
-const rooms = {
-    'CORLA': new GameRoom('$CORLA', 2.5, 'CORLA'),
-    'BRKR': new GameRoom('$BRKR', 1.75, 'BRKR'),
-    'NFTX': new GameRoom('$NFTX', 1.4, 'NFTX'),
-    'ETHRX': new GameRoom('$ETHRX', 1.0, 'ETHRX'),
-    'TSLR': new GameRoom('$TSLR', 0.75, 'TSLR')
+// Settle bets left 'placed' by a restart. A bet whose win is in the ledger was cashed
+// out before its row caught up; otherwise rounds that were recorded had crashed
+// (lost) and rounds that never finished are refunded.
+const recoverOpenBets = async () => {
+    const openBets = await getOpenBets();
+    for (const bet of openBets) {
+        try {
+            if (bet.win_transaction_id) {
+                // Lowest two-decimal multiplier that pays the credited amount
+                const multiplier = Math.ceil((bet.win_amount * 100) / bet.amount) / 100;
+                await settleBet(bet.id, {
+                    state: 'cashed_out', multiplier, winAmount: bet.win_amount, transactionId: bet.win_transaction_id
+                });
+                if (bet.history_id) await linkBetsToRound(bet.room, bet.nonce, bet.history_id);
+            } else if (bet.history_id) {
+                await settleBet(bet.id, { state: 'lost', multiplier: bet.crash_point });
+                await linkBetsToRound(bet.room, bet.nonce, bet.history_id);
+            } else {
+                const { transactionId } = await updateUserBalance(
+                    bet.user_id, bet.amount, 'refund', `room:${bet.room}:nonce:${bet.nonce}`
+                );
+                await settleBet(bet.id, { state: 'refunded', transactionId });
+            }
+        } catch (err) {
+            console.error(`Failed to recover bet ${bet.id}:`, err);
+        }
+    }
+    if (openBets.length) console.log(`Recovered ${openBets.length} open bet(s).`);
 };
 
+// Rooms start dealing only once the schema exists and open bets are settled
+const booted = ready
+    .then(recoverOpenBets)
+    .catch((err) => console.error('Bet recovery failed:', err));
+
+// Baseline for the rank changes pushed after each round
+booted.then(() => leaderboards.refresh()).catch((err) => console.error('Leaderboard refresh failed:', err));
+
+// One GameRoom per entry in config/rooms.json, keyed by symbol. No prototype, so
+// client-supplied names like '__proto__' look up nothing.
+const rooms = Object.create(null);
+for (const config of loadRooms()) rooms[config.symbol] = new GameRoom(config);
+
+const chat = createChat({ io, rooms });
+
+app.use('/api', createAdminRoutes({ rooms, chat }));
+
+// --- ROOM ROUTES ---
+
+// Room definitions in config order, with live player counts for the ticker grid
+app.get('/api/rooms', (req, res) => {
+    res.json({
+        rooms: Object.values(rooms).map(r => ({
+            symbol: r.roomName,
+            ticker: r.ticker,
+            name: r.name,
+            badge: r.badge,
+            lambda: r.lambda,
+            bettingPhaseMs: r.bettingPhaseMs,
+            minBet: r.minBet,
+            maxBet: r.maxBet,
+            maxMultiplier: r.maxMultiplier,
+            maxWin: r.maxWin,
+            paused: r.paused,
+            players: io.sockets.adapter.rooms.get(r.roomName)?.size || 0
+        }))
+    });
+});
+
+// Finished rounds, newest first, paginated by ?cursor=<id of last row>
+app.get('/api/rooms/:room/history', validateQuery({
+    limit: { type: 'integer', optional: true, default: 20, min: 1, max: 100 },
+    cursor: { type: 'integer', optional: true, min: 1 }
+}), async (req, res) => {
+    const room = rooms[req.params.room];
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+
+    const { limit, cursor } = req.query;
+
+    try {
+        const rows = await getGameHistory(room.roomName, { cursor, limit });
+        res.json({
+            rounds: rows.map(r => ({
+                id: r.id,
+                nonce: r.nonce,
+                crashPoint: r.crash_point,
+                serverSeed: r.server_seed,
+                hash: r.hash,
+                clientSeed: r.client_seed,
+                betCount: r.bet_count,
+                totalWagered: r.total_wagered,
+                totalPaid: r.total_paid,
+                createdAt: r.created_at
+            })),
+            nextCursor: rows.length === limit ? rows[rows.length - 1].id : null
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Failed to load history' });
+    }
+});
+
+// --- FAIRNESS ROUTES ---
+
+// Current chain commitment, published before any of its rounds are played
+app.get('/api/fairness/commitment', validateQuery({
+    room: { type: 'string', maxLength: 16, message: 'Room not found' }
+}), (req, res) => {
+    const room = rooms[req.query.room];
+    if (!room || !room.chain) return res.status(404).json({ error: 'Room not found' });
+
+    res.json({
+        room: room.roomName,
+        terminalHash: room.chain.terminalHash,
+        clientSeed: room.chain.clientSeed,
+        startNonce: room.chain.startNonce,
+        length: room.chain.length,
+        nonce: room.nonce
+    });
+});
+
+// Recompute a finished round from its revealed seed
+app.get('/api/fairness/verify', validateQuery({
+    room: { type: 'string', maxLength: 16, message: 'Invalid room or nonce' },
+    nonce: { type: 'integer', min: 1, message: 'Invalid room or nonce' }
+}), async (req, res) => {
+    const room = rooms[req.query.room];
+    const { nonce } = req.query;
+    if (!room) return res.status(400).json({ error: 'Invalid room or nonce' });
+    if (nonce > room.nonce || (nonce === room.nonce && room.roundInPlay())) {
+        return res.status(403).json({ error: 'Round not finished' });
+    }
+
+    try {
+        const chain = await findSeedChainByNonce(room.roomName, nonce);
+        if (!chain) return res.status(404).json({ error: 'Round not found' });
+
+        const seeds = room.chain && room.chain.id === chain.id
+            ? room.chain.seeds
+            : buildSeedChain(chain.seed, chain.length);
+        const serverSeed = seeds[seedIndex(nonce - chain.start_nonce, chain.length)];
+        const hash = hmacSha256(serverSeed, chain.client_seed);
+
+        res.json({
+            room: room.roomName,
+            nonce,
+            serverSeed,
+            serverSeedHash: sha256(serverSeed),
+            clientSeed: chain.client_seed,
+            hash,
+            crashPoint: crashPointFromHash(hash, room.maxMultiplier),
+            maxMultiplier: room.maxMultiplier,
+            terminalHash: chain.terminal_hash
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
+// --- SOCKET LIMITS ---
+
+// Events one socket may send per second; a client over it is disconnected
+const SOCKET_EVENTS_PER_SECOND = parseInt(process.env.SOCKET_EVENTS_PER_SECOND, 10) || 20;
+const socketFloodLimiter = createRateLimiter({ windowMs: 1000, max: SOCKET_EVENTS_PER_SECOND });
+
+// Bets per user across all of their sockets
+const BETS_PER_MINUTE = parseInt(process.env.BETS_PER_MINUTE, 10) || 30;
+const betLimiter = createRateLimiter({ windowMs: 60 * 1000, max: BETS_PER_MINUTE });
+
+const roomField = { type: 'string', maxLength: 16, message: 'Unknown market' };
+
+// Payload schemas per socket event; join_room and leave_room take the bare room name
+const socketSchemas = {
+    place_bet: {
+        room: roomField,
+        amount: { type: 'integer', min: 1, message: 'Invalid amount' },
+        autoCashOut: { type: 'number', optional: true, min: 1.01, message: 'Auto cash-out must be at least 1.01x' }
+    },
+    cash_out: { room: roomField }
+};
+
+// Field of a rejected place_bet payload -> bet_error code
+const betFieldCodes = { room: 'UNKNOWN_ROOM', amount: 'INVALID_AMOUNT', autoCashOut: 'INVALID_AUTO_CASH_OUT' };
+
 // --- SOCKET HANDLERS ---
 io.use((socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) return next(new Error('Authentication error'));
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
-        if (err) return next(new Error('Authentication error'));
-        socket.user = decoded;
-        next();
-    });
+    verifyAccessToken(token)
+        .then((decoded) => {
+            socket.user = decoded;
+            next();
+        })
+        .catch(() => next(new Error('Authentication error')));
 });
 
 io.on('connection', (socket) => {
     console.log(`User ${socket.user.username} connected`);
+    socket.join(`user:${socket.user.id}`);
+    socket.join(`session:${socket.user.sid}`);
+
+    socket.use((packet, next) => {
+        if (socketFloodLimiter.hit(socket.id).allowed) return next();
+
+        console.warn(`Disconnecting ${socket.user.username}: more than ${SOCKET_EVENTS_PER_SECOND} events/s`);
+        socket.emit('error', 'Too many requests');
+        socket.disconnect(true);
+    });
+    socket.on('disconnect', () => socketFloodLimiter.reset(socket.id));
+
+    // Chat: global history now, a room's on join_room
+    chat.sendHistory(socket, GLOBAL_CHANNEL);
+    socket.on('chat_message', (payload) => chat.handleMessage(socket, payload));
+    socket.on('chat_share', (payload) => chat.handleShare(socket, payload));
 
     // Join Room
     socket.on('join_room', (roomName) => {
-        if (rooms[roomName]) {
+        if (typeof roomName === 'string' && rooms[roomName]) {
             socket.join(roomName);
-            const r = rooms[roomName];
-            socket.emit('current_game_state', {
-                isRunning: r.isRunning,
-                multiplier: r.multiplier,
-                hash: r.serverSeedHash
-            });
+            socket.emit('current_game_state', rooms[roomName].snapshot(socket.user.id));
+            chat.sendHistory(socket, roomName);
         }
     });
 
+    // Leave Room
+    socket.on('leave_room', (roomName) => {
+        if (typeof roomName === 'string' && rooms[roomName]) socket.leave(roomName);
+    });
+
+    // Leaderboard page: pushes 'leaderboard_update' while it is open
+    socket.on('watch_leaderboards', () => socket.join('leaderboards'));
+    socket.on('unwatch_leaderboards', () => socket.leave('leaderboards'));
+
     // Place Bet
-    socket.on('place_bet', async ({ room, amount }) => {
-        if (!rooms[room]) return;
+    // Rejections are emitted as bet_error { code, message, ...limits } so the client can show them inline
+    socket.on('place_bet', async (payload) => {
+        const reject = (code, message, details = {}) => socket.emit('bet_error', { code, message, ...details });
+
+        const { value, field, error } = validate(socketSchemas.place_bet, payload);
+        if (error) return reject(betFieldCodes[field], error);
+        const { room, amount } = value;
+        let { autoCashOut } = value;
+
+        const { allowed, retryAfterMs } = betLimiter.hit(socket.user.id);
+        if (!allowed) {
+            return reject('RATE_LIMITED', 'Too many trades, slow down', { retryAfterMs });
+        }
+
         const game = rooms[room];
+        if (!game) return reject('UNKNOWN_ROOM', 'Unknown market');
+
+        // Bets are only taken in the betting phase; between rounds, paused or stopped the market is closed
+        const closed = () => game.phase === 'running'
+            ? reject('ROUND_IN_PROGRESS', 'Round already started')
+            : reject('MARKET_CLOSED', 'Market closed');
+        if (game.phase !== 'betting') return closed();
 
-        // Check phase (must be betting phase, i.e., before loop starts but isRunning is true? 
-        // Logic adjust: isRunning=true meant game loop running in old code. 
-        // New logic: Betting phase is implicit before 'tick' starts?
-        // Let's simplify: If multiplier > 1.0, it's too late.
-        if (game.multiplier > 1.0) {
-            return socket.emit('bet_error', 'Game already started');
+        const userId = socket.user.id;
+        if (game.bets.has(userId) || game.placing.has(userId)) {
+            return reject('ALREADY_IN_ROUND', 'You already have a trade in this round');
         }
 
-        if (amount <= 0) return socket.emit('bet_error', 'Invalid amount');
+        if (amount < game.minBet) {
+            return reject('BELOW_MIN_BET', `Minimum trade on ${game.ticker} is ${game.minBet} CC`, { minBet: game.minBet });
+        }
+        if (amount > game.maxBet) {
+            return reject('ABOVE_MAX_BET', `Maximum trade on ${game.ticker} is ${game.maxBet} CC`, { maxBet: game.maxBet });
+        }
+        // Whole hundredths: flooring autoCashOut * 100 would turn 1.15 into 1.14
+        if (autoCashOut !== null) autoCashOut = Math.round(autoCashOut * 100) / 100;
 
+        let staked = 0;
+        for (const bet of game.bets.values()) staked += bet.amount;
+        if (staked + amount > game.maxExposure) {
+            return reject('EXPOSURE_LIMIT', 'This round is full, try the next one');
+        }
+
+        // Held across the awaits below so a double submit cannot place two bets
+        game.placing.add(userId);
         try {
-            // Deduct balance
-            await updateUserBalance(socket.user.id, -amount, 'bet', `room:${room}:nonce:${game.nonce}`);
+            const nonce = game.nonce;
+
+            // Player-set limits, cool-off and self-exclusion. The stake is taken before the
+            // user's next bet is checked, so bets in two rooms cannot both pass the same limit.
+            const placed = await withinBetLimits(userId, amount, () => {
+                if (game.phase !== 'betting') return null;
+                return updateUserBalance(userId, -amount, 'bet', `room:${room}:nonce:${nonce}`);
+            });
+            if (placed.blocked) {
+                const { code, message, ...details } = placed.blocked;
+                return reject(code, message, details);
+            }
+            if (!placed.result) return closed();
+            const { balance, transactionId } = placed.result;
+
+            // Betting closed while the stake was taken: it never rides, so give it back
+            if (game.phase !== 'betting') {
+                const refund = await updateUserBalance(userId, amount, 'refund', `room:${room}:nonce:${nonce}`);
+                socket.emit('balance_update', refund.balance);
+                return closed();
+            }
 
-            // Record bet
-            game.bets.set(socket.user.id, { amount, cashedOut: false, winAmount: 0 });
-            socket.emit('bet_success', { amount });
+            // Record bet; it joins the round only once its row exists, so every bet in
+            // the map can be settled. Without the row the stake goes back.
+            let betId;
+            try {
+                betId = await createBet({ userId, room, nonce, amount, autoCashOut, transactionId });
+            } catch (err) {
+                console.error(`Failed to record bet for user ${userId}, refunding:`, err);
+                const refund = await updateUserBalance(userId, amount, 'refund', `room:${room}:nonce:${nonce}`);
+                socket.emit('balance_update', refund.balance);
+                return reject('BET_FAILED', 'Trade could not be placed');
+            }
 
-            // Get new balance to update UI
-            const user = await findUserById(socket.user.id);
-            socket.emit('balance_update', user.balance);
+            const bet = {
+                id: betId,
+                username: socket.user.username,
+                amount,
+                autoCashOut,
+                maxWinAt: maxWinMultiplier(game.maxWin, amount), // Multiplier that pays maxWin
+                cashedOut: false,
+                winAmount: 0,
+                multiplier: null
+            };
+            game.bets.set(userId, bet);
+            socket.emit('bet_success', { amount, autoCashOut });
+            io.to(room).emit('roster_update', game.rosterEntry(bet));
+            socket.emit('balance_update', balance);
 
         } catch (err) {
-            socket.emit('bet_error', err.message);
+            if (err.message === 'Insufficient funds') return reject('INSUFFICIENT_FUNDS', err.message);
+            if (err.message === 'Account frozen') return reject('ACCOUNT_FROZEN', err.message);
+            console.error(err);
+            reject('BET_FAILED', 'Trade could not be placed');
+        } finally {
+            game.placing.delete(userId);
         }
     });
 
     // Cash Out
-    socket.on('cash_out', async ({ room }) => {
-        if (!rooms[room]) return;
-        const game = rooms[room];
+    // Settles at the curve's value when the request arrived, whatever the tick timing
+    socket.on('cash_out', async (payload) => {
+        const receivedAt = Date.now();
+        const { value, error } = validate(socketSchemas.cash_out, payload);
+        if (error || !rooms[value.room]) return;
+        const game = rooms[value.room];
 
-        if (!game.isRunning) return socket.emit('error', 'Game not running');
-        // If crash just happened, strict check:
-        // Actually crashGame sets isRunning=false. So this check passes if we are essentially alive.
+        // Only while the curve runs; crashGame leaves 'running' before anything else happens
+        if (game.phase !== 'running') return socket.emit('error', 'Game not running');
 
         // Get user bet
         const bet = game.bets.get(socket.user.id);
-        if (!bet) return socket.emit('error', 'No active bet');
+        if (!bet || !bet.id) return socket.emit('error', 'No active bet');
         if (bet.cashedOut) return socket.emit('error', 'Already cashed out');
 
-        const currentMult = game.multiplier;
-        if (currentMult > game.crashPoint) {
-            // Too late! (Race condition check)
-            return socket.emit('error', 'Crashed!');
-        }
-
-        // Calculate Win
-        const winAmount = Math.floor(bet.amount * currentMult);
-        bet.cashedOut = true;
-        bet.winAmount = winAmount;
+        // Arrived after the crash moment, before the loop noticed it
+        if (receivedAt >= game.crashAt) return socket.emit('error', 'Crashed!');
 
-        try {
-            await updateUserBalance(socket.user.id, winAmount, 'win', `room:${room}:nonce:${game.nonce}`);
-            socket.emit('cash_out_success', { multiplier: currentMult, winAmount });
-
-            // Get new balance
-            const user = await findUserById(socket.user.id);
-            socket.emit('balance_update', user.balance);
-        } catch (err) {
-            console.error(err); // Should not happen on credit
-        }
+        await game.cashOut(socket.user.id, game.curveAt(receivedAt));
     });
 });
 
-const PORT = 3000;
+// PORT=0 picks a free port, which the test suite reads back from this line
+const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+    console.log(`Server running on port ${server.address().port}`);
 });
+
+// --- SHUTDOWN ---
+
+// Longest wait for running rounds to crash; bets still open after it are settled
+// by recoverOpenBets() on the next start
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 60000;
+
+let shuttingDown = false;
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} received, draining rooms...`);
+
+    setTimeout(() => {
+        console.error(`Rooms still in play after ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    await Promise.all(Object.values(rooms).map(room => room.drain()));
+    console.log('All rooms stopped.');
+    io.close(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,731 @@
+/**
+ * Socket Game Server (socket-game-server.js)
+ * Transport adapter that drives the real socket.io GameRoom backend
+ * behind the same public API as the mock GameServer.
+ */
+
+class SocketGameServer {
+    constructor(options = {}) {
+        this._url = options.url || window.CS_SERVER_URL || '';
+
+        this._state = {
+            token: null, // short-lived access token
+            refreshToken: null,
+            user: null, // { id, username, balance, referralCode, totalProfit, sessionProfit }
+            room: null,
+            game: {
+                id: null,
+                phase: null, // betting, running, crashed, paused or stopped, from the server
+                running: false,
+                multiplier: 1.00,
+                startTime: 0, // local clock; end of betting, then t = 0 of the curve once running
+                lambda: null, // curve steepness of the round, see curve.js
+                hash: null,
+                history: []
+            },
+            roster: [], // { username, amount, multiplier, profit } for every bet in the round
+            bet: null, // { amount, cashedOut, profit } for the current round
+            lastCashOut: null, // { room, nonce } of the latest cash-out, see shareCashOut()
+            clockOffset: 0, // server clock minus ours, from the latest snapshot
+            connection: 'disconnected', // or 'connecting' / 'connected' / 'reconnecting', see _setConnection()
+            watchingLeaderboards: false // leaderboard page open, see watchLeaderboards()
+        };
+
+        this._subscribers = [];
+        this._socket = null;
+        this._refreshing = null; // in-flight token refresh, shared by concurrent callers
+
+        this._loadSession();
+        if (this._state.token) this._restoreSession();
+    }
+
+    // --- Public API (mirrors GameServer) ---
+
+    subscribe(callback) {
+        this._subscribers.push(callback);
+        this._emit('INITIAL_STATE', this._getPublicState());
+    }
+
+    async login({ email, password } = {}) {
+        if (!email || !password) return { error: "Email and password required" };
+
+        const { body, error } = await this._api('POST', '/api/login', { email, password });
+        if (error) return { error };
+
+        this._startSession(body);
+        return { success: true };
+    }
+
+    // Creates the account and signs straight in; `field` names the input a rejection is about
+    async register({ username, email, password } = {}) {
+        const { body, error, field } = await this._api('POST', '/api/register', { username, email, password });
+        if (error) return { error, field };
+
+        this._startSession(body);
+        return { success: true };
+    }
+
+    // Redeems the link from the verification email; works signed in or out
+    async verifyEmail(token) {
+        const { body, error } = await this._api('POST', '/api/email/verify', { token });
+        if (error) return { error };
+
+        if (this._state.user) {
+            this._state.user.emailVerified = true;
+            this._saveSession();
+            this._emit('USER_UPDATE', this._state.user);
+        }
+        return { success: true, message: body.message };
+    }
+
+    async resendVerification() {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { body, error } = await this._api('POST', '/api/email/verify/resend');
+        return error ? { error } : { success: true, message: body.message };
+    }
+
+    async forgotPassword(email) {
+        if (!email) return { error: "Email required", field: 'email' };
+
+        const { body, error, field } = await this._api('POST', '/api/password/forgot', { email });
+        return error ? { error, field } : { success: true, message: body.message };
+    }
+
+    // Every session is revoked by a reset, this one included, so sign in again afterwards
+    async resetPassword(token, password) {
+        const { body, error, field } = await this._api('POST', '/api/password/reset', { token, password });
+        if (error) return { error, field };
+
+        if (this._state.token) this._endSession();
+        return { success: true, message: body.message };
+    }
+
+    // Revokes this session on the server; local state is cleared without waiting for it
+    logout() {
+        if (this._state.token) this._api('POST', '/api/logout');
+        this._endSession();
+    }
+
+    // Revokes every session of the account, signing out other devices too
+    async logoutAll() {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { error } = await this._api('POST', '/api/logout/all');
+        if (error) return { error };
+
+        this._endSession();
+        return { success: true };
+    }
+
+    // Requests a withdrawal; the amount is held until an admin approves or rejects it
+    async redeem(amount) {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { body, error } = await this._api('POST', '/api/withdrawals', { amount });
+        if (error) return { error };
+
+        this._state.user.balance = body.balance;
+        this._saveSession();
+        this._emit('USER_UPDATE', this._state.user);
+        return { success: true, message: `Withdrawal of $${body.withdrawal.amountUsd.toFixed(2)} submitted for review` };
+    }
+
+    async getPackages() {
+        const { body, error } = await this._api('GET', '/api/packages');
+        return error ? { error } : body;
+    }
+
+    // Resolves to the Stripe Checkout url to redirect to; the deposit is credited by webhook
+    async createCheckout(packageId) {
+        if (!this._state.user) return { error: "Login required" };
+
+        const { body, error } = await this._api('POST', '/api/checkout', { packageId });
+        return error ? { error } : { success: true, url: body.url };
+    }
+
+    async getWithdrawals() {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { body, error } = await this._api('GET', '/api/withdrawals');
+        return error ? { error } : body;
+    }
+
+    async redeemReferral(code) {
+        if (!this._state.user) return { error: "Login required" };
+
+        const { body, error } = await this._api('POST', '/api/referrals/redeem', { code });
+        if (error) return { error };
+
+        this._state.user.balance = body.balance;
+        this._saveSession();
+        this._emit('USER_UPDATE', this._state.user);
+        return { success: true, message: `+${body.bonus} CC referral bonus` };
+    }
+
+    // --- Responsible gaming ---
+    // Each call resolves to the full status (limits, breaks, options) or { error }
+
+    // Lifetime totals, per-room breakdown and running P/L, see GET /api/me/stats
+    async getStats() {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { body, error } = await this._api('GET', '/api/me/stats');
+        return error ? { error } : body;
+    }
+
+    // channel is 'global' or 'room' (the market being played). Results arrive as
+    // CHAT_MESSAGE, or CHAT_ERROR { error, code } when refused.
+    sendChat(channel, text) {
+        const target = channel === 'room' ? this._state.room : channel;
+        if (!this._socket || !this._socket.connected || !target) return { error: "Chat is not connected" };
+
+        this._socket.emit('chat_message', { channel: target, text });
+        return { success: true };
+    }
+
+    // The server builds the card from its own records, once the round has ended
+    shareCashOut(channel) {
+        const target = channel === 'room' ? this._state.room : channel;
+        const last = this._state.lastCashOut;
+        if (!last) return { error: "No cash-out to share yet" };
+        if (!this._socket || !this._socket.connected || !target) return { error: "Chat is not connected" };
+
+        this._socket.emit('chat_share', { channel: target, room: last.room, nonce: last.nonce });
+        return { success: true };
+    }
+
+    // Public board for 'biggest-win', 'best-multiplier', 'total-profit' or 'total-wagered'
+    // over 'day', 'week' or 'all'; signed-in players also get their own rank as `you`
+    async getLeaderboard(metric, period) {
+        const { body, error } = await this._api('GET', `/api/leaderboards/${metric}?period=${period}`);
+        return error ? { error } : body;
+    }
+
+    // While on, changed boards arrive as LEADERBOARD_UPDATE (signed-in players only)
+    watchLeaderboards(on) {
+        this._state.watchingLeaderboards = on;
+        if (this._socket) this._socket.emit(on ? 'watch_leaderboards' : 'unwatch_leaderboards');
+    }
+
+    async getResponsibleGaming() {
+        if (!this._state.user) return { error: "Not logged in" };
+
+        const { body, error } = await this._api('GET', '/api/responsible-gaming');
+        return error ? { error } : body;
+    }
+
+    // A null amount removes the limit
+    async setGamingLimit(kind, period, amount) {
+        const { body, error } = await this._api('PUT', '/api/responsible-gaming/limits', { kind, period, amount });
+        return error ? { error } : body;
+    }
+
+    async setRealityCheck(minutes) {
+        const { body, error } = await this._api('PUT', '/api/responsible-gaming/reality-check', { minutes });
+        return error ? { error } : body;
+    }
+
+    async startCoolOff(days) {
+        const { body, error } = await this._api('POST', '/api/responsible-gaming/cool-off', { days });
+        return error ? { error } : body;
+    }
+
+    // A null months excludes permanently
+    // A null `months` asks for a permanent exclusion
+    async selfExclude(months) {
+        const payload = months === null ? { permanent: true } : { months };
+        const { body, error } = await this._api('POST', '/api/responsible-gaming/self-exclusion', payload);
+        return error ? { error } : body;
+    }
+
+    // Market definitions with live player counts, in display order
+    async getRooms() {
+        const { body, error } = await this._api('GET', '/api/rooms');
+        return error ? { error } : body;
+    }
+
+    startGame(room) {
+        if (!room || room === this._state.room) return;
+
+        if (this._socket && this._state.room) this._socket.emit('leave_room', this._state.room);
+        this._state.room = room;
+        this._state.bet = null;
+        this._state.game.history = [];
+        this._emit('HISTORY_UPDATE', this._state.game.history);
+        this._loadHistory(room);
+
+        if (this._socket && this._socket.connected) this._socket.emit('join_room', room);
+    }
+
+    placeBet(amount, { autoCashOut = null } = {}) {
+        if (!this._state.user) return { error: "Login required", code: 'LOGIN_REQUIRED' };
+        if (!this._state.room || !this._socket) return { error: "Not connected to a market", code: 'NOT_CONNECTED' };
+        // socket.io would buffer the emit and send it whenever the connection is back
+        if (!this._socket.connected) return { error: "Connection lost, reconnecting", code: 'NOT_CONNECTED' };
+
+        this._socket.emit('place_bet', { room: this._state.room, amount, autoCashOut });
+        return { pending: true };
+    }
+
+    cashOut() {
+        if (!this._state.game.running) return { error: "Game not running" };
+        if (!this._state.bet || this._state.bet.cashedOut) return { error: "No active bet" };
+        if (!this._socket || !this._socket.connected) return { error: "Connection lost, reconnecting" };
+
+        this._socket.emit('cash_out', { room: this._state.room });
+        return { pending: true };
+    }
+
+    // --- Private Methods ---
+
+    _connect() {
+        if (this._socket || typeof io !== 'function') return;
+
+        // Dropped connections retry with randomised exponential backoff, 1s up to 10s
+        const socket = io(this._url, {
+            auth: { token: this._state.token },
+            reconnectionDelay: 1000,
+            reconnectionDelayMax: 10000,
+            randomizationFactor: 0.5
+        });
+        this._socket = socket;
+        this._setConnection('connecting');
+
+        socket.on('connect', () => {
+            this._setConnection('connected');
+            // The room's snapshot (current_game_state) catches up on anything missed
+            if (this._state.room) socket.emit('join_room', this._state.room);
+            if (this._state.watchingLeaderboards) socket.emit('watch_leaderboards');
+            this._refreshUser();
+        });
+
+        socket.on('connect_error', async (err) => {
+            if (err.message !== 'Authentication error') return;
+
+            // A rejected handshake usually means the access token expired
+            if (await this._refreshTokens()) {
+                socket.auth.token = this._state.token;
+                socket.connect();
+            } else {
+                this._endSession();
+            }
+        });
+
+        // Logged out from another tab or device; the server drops this socket right after
+        socket.on('session_revoked', () => {
+            this._endSession();
+        });
+
+        socket.on('disconnect', (reason) => {
+            if (this._socket !== socket) return; // signed out
+            this._setConnection('reconnecting');
+
+            // socket.io only retries by itself when the server did not drop us on purpose,
+            // e.g. for flooding; try again after the longest backoff step
+            if (reason === 'io server disconnect') {
+                setTimeout(() => {
+                    if (this._socket === socket && !socket.connected) socket.connect();
+                }, 10000);
+            }
+        });
+
+        socket.io.on('reconnect_attempt', (attempt) => {
+            if (this._socket === socket) this._setConnection('reconnecting', attempt);
+        });
+
+        // Sent on every join_room, so also after a reconnect
+        socket.on('current_game_state', (snapshot) => {
+            if (snapshot.room === this._state.room) this._applySnapshot(snapshot);
+        });
+
+        // { room, phase, nonce, at }; a room stopped for shutdown during betting refunds its bets
+        socket.on('phase_change', ({ room, phase, at }) => {
+            if (room !== this._state.room) return;
+            const refunded = phase === 'stopped' && Boolean(this._state.bet) && !this._state.game.running;
+            this._state.game.phase = phase;
+            this._state.game.running = phase === 'running';
+            // The curve starts when the phase actually did, a moment after the scheduled startTime
+            if (phase === 'running') this._state.game.startTime = at - this._state.clockOffset;
+            if (refunded) this._state.bet = null;
+            this._emit('PHASE_CHANGE', { phase, at: at - this._state.clockOffset, refunded });
+        });
+
+        // An admin paused or resumed the room; a paused room finishes its round and then idles
+        socket.on('room_status', ({ paused }) => {
+            this._emit('ROOM_STATUS', { paused });
+        });
+
+        socket.on('roster_update', (entry) => {
+            const idx = this._state.roster.findIndex(r => r.username === entry.username);
+            if (idx === -1) this._state.roster.push(entry);
+            else this._state.roster[idx] = entry;
+            this._emit('ROSTER_UPDATE', this._state.roster);
+        });
+
+        socket.on('game_start', ({ nonce, hash, startTime, lambda }) => {
+            this._state.game.id = nonce;
+            this._state.game.hash = hash;
+            this._state.game.startTime = startTime - this._state.clockOffset;
+            this._state.game.lambda = lambda;
+            this._state.game.running = false;
+            this._state.game.multiplier = 1.00;
+            this._state.bet = null;
+            this._state.roster = [];
+            this._emit('ROSTER_UPDATE', this._state.roster);
+            this._emit('GAME_START', {
+                id: nonce,
+                room: this._state.room,
+                hash,
+                startTime: this._state.game.startTime,
+                lambda
+            });
+        });
+
+        socket.on('tick', (multiplier) => {
+            // startTime marks the end of the betting phase, i.e. t = 0 of the curve
+            const elapsed = Math.max(0, (Date.now() - this._state.game.startTime) / 1000);
+            this._state.game.running = true;
+            this._state.game.multiplier = multiplier;
+            this._emit('TICK', { multiplier, elapsed });
+        });
+
+        socket.on('crash', ({ multiplier, nonce, serverSeed }) => {
+            this._settleRound(nonce, multiplier, serverSeed);
+        });
+
+        socket.on('bet_success', ({ amount }) => {
+            this._state.bet = { amount, cashedOut: false, profit: 0 };
+            this._emit('BET_PLACED', { amount });
+        });
+
+        // { code, message, ...limits }, e.g. { code: 'ABOVE_MAX_BET', maxBet }
+        socket.on('bet_error', ({ code, message, ...details }) => {
+            this._emit('BET_ERROR', { error: message, code, ...details });
+        });
+
+        socket.on('cash_out_success', ({ room, multiplier, winAmount, reason }) => {
+            // Delivered for every room the player has a bet in, e.g. from another tab
+            if (room === this._state.room) this._settleCashOut(multiplier, winAmount, reason);
+        });
+
+        socket.on('balance_update', (balance) => {
+            if (!this._state.user) return;
+            this._state.user.balance = balance;
+            this._saveSession();
+            this._emit('USER_UPDATE', this._state.user);
+        });
+
+        // Sent for 'global' on connect and for a room on join_room
+        socket.on('chat_history', ({ channel, messages }) => {
+            this._emit('CHAT_HISTORY', { channel, messages });
+        });
+
+        socket.on('chat_message', (message) => {
+            this._emit('CHAT_MESSAGE', message);
+        });
+
+        socket.on('chat_error', ({ code, message, ...details }) => {
+            this._emit('CHAT_ERROR', { error: message, code, ...details });
+        });
+
+        socket.on('chat_notice', ({ message }) => {
+            this._emit('CHAT_NOTICE', { message });
+        });
+
+        // A banned player's messages are withdrawn everywhere
+        socket.on('chat_purge', ({ username }) => {
+            this._emit('CHAT_PURGE', { username });
+        });
+
+        socket.on('leaderboard_update', (board) => {
+            this._emit('LEADERBOARD_UPDATE', board);
+        });
+
+        // { metric, period, rank, previousRank }; rank is null once off the board
+        socket.on('rank_change', (change) => {
+            this._emit('RANK_CHANGE', change);
+        });
+
+        socket.on('error', (error) => {
+            this._emit('SERVER_ERROR', { error });
+        });
+    }
+
+    // JSON request against the REST API; resolves to { body } or { error }.
+    // A 401 on an authenticated request refreshes the access token and retries once.
+    async _api(method, path, payload, retry = true) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = this._state.token;
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+
+        try {
+            const res = await fetch(`${this._url}${path}`, {
+                method,
+                headers,
+                body: payload ? JSON.stringify(payload) : undefined
+            });
+            const body = await res.json().catch(() => ({}));
+            if (res.status === 401 && token && retry) {
+                if (await this._refreshTokens()) return this._api(method, path, payload, false);
+                this._endSession();
+            }
+            if (!res.ok) return { error: body.error || `Request failed (${res.status})`, field: body.field, status: res.status };
+            return { body };
+        } catch (e) {
+            return { error: "Server unreachable" };
+        }
+    }
+
+    // Swaps the refresh token for a new token pair; resolves to false once the session is gone
+    _refreshTokens() {
+        if (!this._state.refreshToken) return Promise.resolve(false);
+        if (this._refreshing) return this._refreshing;
+
+        this._refreshing = (async () => {
+            const { body, error } = await this._api('POST', '/api/token/refresh', { refreshToken: this._state.refreshToken }, false);
+            if (error) return false;
+
+            this._state.token = body.token;
+            this._state.refreshToken = body.refreshToken;
+            if (this._socket) this._socket.auth.token = body.token;
+            this._saveSession();
+            return true;
+        })().finally(() => {
+            this._refreshing = null;
+        });
+        return this._refreshing;
+    }
+
+    // Adopts the token pair and user from a /api/login or /api/register response
+    _startSession({ token, refreshToken, user }) {
+        this._state.token = token;
+        this._state.refreshToken = refreshToken;
+        this._state.user = { ...user, totalProfit: 0, sessionProfit: 0 };
+        this._saveSession();
+        this._connect();
+        this._emit('USER_UPDATE', this._state.user);
+        this._loadProfit();
+    }
+
+    // Stored tokens are only trusted once /api/me accepts them; the cached user is
+    // shown meanwhile. When the server is unreachable the socket keeps retrying.
+    async _restoreSession() {
+        const { body, error, status } = await this._api('GET', '/api/me');
+        if (!this._state.token) return; // the stored session was rejected and already ended
+        if (error && status) return this._endSession();
+
+        if (body) {
+            // A reload starts a new session; the lifetime figure follows from /api/me/stats
+            this._state.user = { ...body, totalProfit: this._state.user ? this._state.user.totalProfit : 0, sessionProfit: 0 };
+            this._saveSession();
+            this._emit('USER_UPDATE', this._state.user);
+            this._loadProfit();
+        }
+        this._connect();
+    }
+
+    // Catches up on a round from its current_game_state snapshot: the curve so far,
+    // and the player's bet, including a cash-out or crash missed while disconnected
+    _applySnapshot({ phase, nonce, hash, startTime, serverTime, lambda, multiplier, crashPoint, serverSeed, ticks, roster, paused, bet }) {
+        const game = this._state.game;
+        const crashed = crashPoint !== null;
+        this._state.clockOffset = serverTime - Date.now();
+
+        // The round of our open bet ended out of sight; the ledger has how it went
+        if (this._state.bet && game.id !== nonce) {
+            this._state.bet = null;
+            this._loadProfit(true);
+        }
+
+        game.id = nonce;
+        game.hash = hash;
+        game.startTime = startTime - this._state.clockOffset;
+        game.lambda = lambda;
+        game.phase = phase;
+        game.running = phase === 'running';
+        game.multiplier = multiplier;
+
+        if (!bet) {
+            this._state.bet = null;
+        } else if (this._state.bet) {
+            if (bet.cashedOut && !this._state.bet.cashedOut) this._settleCashOut(bet.multiplier, bet.winAmount);
+        } else if (!crashed) {
+            // Placed before a reload or from another tab: shown, but not this session's result
+            this._state.bet = { amount: bet.amount, cashedOut: bet.cashedOut, profit: bet.cashedOut ? bet.winAmount - bet.amount : 0 };
+            if (bet.cashedOut) this._state.lastCashOut = { room: this._state.room, nonce };
+        }
+
+        this._state.roster = roster || [];
+        this._emit('ROSTER_UPDATE', this._state.roster);
+        this._emit('ROOM_STATUS', { paused: Boolean(paused) });
+        this._emit('GAME_SNAPSHOT', {
+            room: this._state.room,
+            phase,
+            id: nonce,
+            hash,
+            startTime: game.startTime,
+            lambda,
+            multiplier,
+            crashPoint,
+            ticks: ticks || [],
+            bet: this._state.bet
+        });
+
+        // Crashed while we were away and not yet settled here
+        if (crashed && !game.history.some(h => h.nonce === nonce)) {
+            this._settleRound(nonce, crashPoint, serverSeed);
+        }
+    }
+
+    _settleCashOut(multiplier, winAmount, reason) {
+        const bet = this._state.bet;
+        const profit = bet ? winAmount - bet.amount : 0;
+        if (bet) {
+            bet.cashedOut = true;
+            bet.profit = profit;
+        }
+        this._state.lastCashOut = { room: this._state.room, nonce: this._state.game.id };
+        this._addProfit(profit);
+        this._emit('CASHOUT_SUCCESS', { multiplier, winAmount, profit, reason });
+    }
+
+    _settleRound(nonce, multiplier, serverSeed) {
+        this._state.game.running = false;
+
+        const bet = this._state.bet;
+        if (bet && !bet.cashedOut) {
+            this._addProfit(-bet.amount);
+            this._emit('BET_LOST', { amount: bet.amount });
+            this._addToHistory(nonce, multiplier, -bet.amount, 'lost');
+        } else if (bet && bet.cashedOut) {
+            this._addToHistory(nonce, multiplier, bet.profit, 'won');
+        } else {
+            this._addToHistory(nonce, multiplier, 0, 'none');
+        }
+        this._state.bet = null;
+
+        this._emit('GAME_CRASHED', { crashPoint: multiplier, serverSeed });
+        this._emit('USER_UPDATE', this._state.user);
+    }
+
+    // CONNECTION_STATUS { status, attempt } for the header; attempt counts reconnects
+    _setConnection(status, attempt = 0) {
+        this._state.connection = status;
+        this._emit('CONNECTION_STATUS', { status, attempt });
+    }
+
+    // Local half of logging out: drops the socket, tokens and cached user
+    _endSession() {
+        if (this._socket) this._socket.disconnect();
+        this._socket = null;
+        this._setConnection('disconnected');
+        this._state.token = null;
+        this._state.refreshToken = null;
+        this._state.user = null;
+        this._state.room = null;
+        this._state.bet = null;
+        this._state.lastCashOut = null;
+        this._clearSession();
+        this._emit('USER_UPDATE', null);
+    }
+
+    // Picks up balance changes made outside the socket, e.g. a deposit credited by webhook
+    async _refreshUser() {
+        const { body, error } = await this._api('GET', '/api/me');
+        if (error || !this._state.token) return;
+
+        this._state.user = { totalProfit: 0, sessionProfit: 0, ...this._state.user, ...body };
+        this._saveSession();
+        this._emit('USER_UPDATE', this._state.user);
+    }
+
+    // Lifetime P/L for the header, from the ledger rather than this browser's own tally.
+    // With `missed`, bets settled while disconnected also count towards the session.
+    async _loadProfit(missed = false) {
+        const { body, error } = await this._api('GET', '/api/me/stats');
+        if (error || !this._state.user) return;
+
+        if (missed) this._state.user.sessionProfit += body.netProfit - this._state.user.totalProfit;
+        this._state.user.totalProfit = body.netProfit;
+        this._saveSession();
+        this._emit('USER_UPDATE', this._state.user);
+    }
+
+    // Settled bets move both the lifetime and the session P/L
+    _addProfit(profit) {
+        this._state.user.totalProfit += profit;
+        this._state.user.sessionProfit = (this._state.user.sessionProfit || 0) + profit;
+        this._saveSession();
+    }
+
+    async _loadHistory(room) {
+        const { body, error } = await this._api('GET', `/api/rooms/${room}/history?limit=50`);
+        if (error) return console.error("Failed to load room history:", error);
+        if (room !== this._state.room) return;
+
+        // Rounds that crashed while the request was in flight are already listed
+        const seen = new Set(this._state.game.history.map(h => h.nonce));
+        const past = body.rounds
+            .filter(r => !seen.has(r.nonce))
+            .map(r => ({ nonce: r.nonce, mult: r.crashPoint, profit: 0, status: 'none' }));
+
+        this._state.game.history = this._state.game.history.concat(past).slice(0, 50);
+        this._emit('HISTORY_UPDATE', this._state.game.history);
+    }
+
+    _addToHistory(nonce, mult, profit, status) {
+        this._state.game.history.unshift({ nonce, mult, profit, status });
+        if (this._state.game.history.length > 50) this._state.game.history.pop();
+        this._emit('HISTORY_UPDATE', this._state.game.history);
+    }
+
+    _emit(event, data) {
+        this._subscribers.forEach(cb => cb(event, data));
+    }
+
+    _getPublicState() {
+        return {
+            user: this._state.user,
+            history: this._state.game.history
+        };
+    }
+
+    _saveSession() {
+        if (this._state.token) {
+            localStorage.setItem('cs_token', this._state.token);
+            localStorage.setItem('cs_refresh_token', this._state.refreshToken || '');
+            localStorage.setItem('cs_session_user', JSON.stringify(this._state.user));
+        }
+    }
+
+    _loadSession() {
+        const token = localStorage.getItem('cs_token');
+        const saved = localStorage.getItem('cs_session_user');
+        if (!token) return;
+        try {
+            this._state.token = token;
+            this._state.refreshToken = localStorage.getItem('cs_refresh_token') || null;
+            this._state.user = saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.error("Session corrupted");
+            this._clearSession();
+            this._state.token = null;
+        }
+    }
+
+    _clearSession() {
+        localStorage.removeItem('cs_token');
+        localStorage.removeItem('cs_refresh_token');
+        localStorage.removeItem('cs_session_user');
+    }
+}
+
+// Online mode replaces the mock singleton unless offline play was requested
+// (?offline in the URL or localStorage cs_mode = 'offline').
+const offlineMode = new URLSearchParams(window.location.search).has('offline') ||
+    localStorage.getItem('cs_mode') === 'offline';
+
+if (!offlineMode && typeof io === 'function') {
+    window.gameServer = new SocketGameServer();
+}
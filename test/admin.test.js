@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request, createPlayer, signIn, balanceOf, sql } = require('./helpers');
+const { searchUsers } = require('../database');
+const createAdminRoutes = require('../routes/admin');
+
+let api;
+let adminToken;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', createAdminRoutes({ rooms: {}, chat: null }));
+    });
+    const admin = await createPlayer();
+    await sql(`UPDATE users SET role = 'admin' WHERE id = ?`, [admin.id]);
+    adminToken = await signIn(admin);
+});
+after(() => api.close());
+
+const admin = (method, path, body) => request(`${api.url}/api/admin${path}`, method, body, { token: adminToken });
+const isFrozen = async (player) => Boolean((await searchUsers(player.username)).find(u => u.id === player.id).frozen);
+
+// Audit entries cannot be written until the returned function is called
+const failAudit = async () => {
+    await sql(`CREATE TRIGGER fail_audit BEFORE INSERT ON admin_audit_log BEGIN SELECT RAISE(ABORT, 'forced failure'); END`);
+    return () => sql(`DROP TRIGGER fail_audit`);
+};
+
+test('players cannot use the admin API', async () => {
+    const player = await createPlayer();
+    const res = await request(`${api.url}/api/admin/audit`, 'GET', undefined, { token: await signIn(player) });
+    assert.strictEqual(res.status, 403);
+});
+
+test('a balance adjustment needs a reason and is audited', async () => {
+    const player = await createPlayer();
+
+    const unreasoned = await admin('POST', `/users/${player.id}/adjust`, { amount: 500 });
+    assert.strictEqual(unreasoned.status, 400);
+
+    const res = await admin('POST', `/users/${player.id}/adjust`, { amount: 500, reason: 'goodwill' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.balance, player.balance + 500);
+
+    const { body } = await admin('GET', '/audit');
+    const entry = body.entries.find(e => e.target === `user:${player.id}`);
+    assert.strictEqual(entry.action, 'user.adjust_balance');
+    assert.strictEqual(entry.reason, 'goodwill');
+});
+
+test('no balance adjustment is made when its audit entry cannot be written', async () => {
+    const player = await createPlayer();
+    const restore = await failAudit();
+    try {
+        const res = await admin('POST', `/users/${player.id}/adjust`, { amount: 500, reason: 'goodwill' });
+        assert.strictEqual(res.status, 500);
+    } finally {
+        await restore();
+    }
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('no account is frozen when its audit entry cannot be written', async () => {
+    const player = await createPlayer();
+    const restore = await failAudit();
+    try {
+        const res = await admin('POST', `/users/${player.id}/freeze`, { frozen: true, reason: 'chargeback' });
+        assert.strictEqual(res.status, 500);
+    } finally {
+        await restore();
+    }
+    assert.strictEqual(await isFrozen(player), false);
+
+    const res = await admin('POST', `/users/${player.id}/freeze`, { frozen: true, reason: 'chargeback' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await isFrozen(player), true);
+});
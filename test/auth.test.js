@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request, createPlayer } = require('./helpers');
+const createAuthRoutes = require('../routes/auth');
+
+// Session revocation only broadcasts to sockets, and there are none here
+const io = {
+    to: () => ({ emit: () => {} }),
+    in: () => ({ disconnectSockets: () => {} })
+};
+
+let api;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', createAuthRoutes({ io }));
+    });
+});
+after(() => api.close());
+
+const login = (email, password) => request(`${api.url}/api/login`, 'POST', { email, password });
+
+test('login with the right password opens a session', async () => {
+    const player = await createPlayer();
+    const res = await login(player.email, player.password);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.user.id, player.id);
+
+    const me = await request(`${api.url}/api/me`, 'GET', undefined, { token: res.body.token });
+    assert.strictEqual(me.status, 200);
+    assert.strictEqual(me.body.username, player.username);
+});
+
+test('an unknown email and a wrong password get the same answer', async () => {
+    const player = await createPlayer();
+    const unknown = await login('nobody@example.com', 'password123');
+    const wrong = await login(player.email, 'not-the-password');
+
+    assert.strictEqual(unknown.status, 401);
+    assert.deepStrictEqual(wrong, unknown);
+});
+
+test('a locked account refuses the right password with the generic failure', async () => {
+    const player = await createPlayer();
+    for (let i = 0; i < 5; i++) await login(player.email, 'not-the-password');
+
+    const locked = await login(player.email, player.password);
+    const unknown = await login('nobody@example.com', player.password);
+
+    assert.strictEqual(locked.status, 401);
+    assert.deepStrictEqual(locked, unknown);
+});
+
+test('an access token stops working once its session is logged out', async () => {
+    const player = await createPlayer();
+    const { body } = await login(player.email, player.password);
+
+    const out = await request(`${api.url}/api/logout`, 'POST', {}, { token: body.token });
+    assert.strictEqual(out.status, 200);
+
+    const me = await request(`${api.url}/api/me`, 'GET', undefined, { token: body.token });
+    assert.strictEqual(me.status, 401);
+});
+
+test('a refresh token cannot be used twice', async () => {
+    const player = await createPlayer();
+    const { body } = await login(player.email, player.password);
+
+    const first = await request(`${api.url}/api/token/refresh`, 'POST', { refreshToken: body.refreshToken });
+    assert.strictEqual(first.status, 200);
+
+    const reused = await request(`${api.url}/api/token/refresh`, 'POST', { refreshToken: body.refreshToken });
+    assert.strictEqual(reused.status, 401);
+
+    // Reuse revokes the whole session, so the rotated token is dead as well
+    const rotated = await request(`${api.url}/api/token/refresh`, 'POST', { refreshToken: first.body.refreshToken });
+    assert.strictEqual(rotated.status, 401);
+});
+
+test('a refreshed access token works and logging out everywhere ends every session', async () => {
+    const player = await createPlayer();
+    const phone = (await login(player.email, player.password)).body;
+    const laptop = (await login(player.email, player.password)).body;
+
+    const refreshed = await request(`${api.url}/api/token/refresh`, 'POST', { refreshToken: phone.refreshToken });
+    assert.strictEqual((await request(`${api.url}/api/me`, 'GET', undefined, { token: refreshed.body.token })).status, 200);
+
+    const out = await request(`${api.url}/api/logout/all`, 'POST', {}, { token: laptop.token });
+    assert.deepStrictEqual([out.status, out.body.sessions], [200, 2]);
+
+    for (const token of [refreshed.body.token, laptop.token]) {
+        assert.strictEqual((await request(`${api.url}/api/me`, 'GET', undefined, { token })).status, 401);
+    }
+    const again = await request(`${api.url}/api/token/refresh`, 'POST', { refreshToken: refreshed.body.refreshToken });
+    assert.strictEqual(again.status, 401);
+});
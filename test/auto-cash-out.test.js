@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { request, FAST_ROOM, startServerWithRooms, waitFor, next, nextPhase, joinRoom } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+const TIMEOUT = { timeout: 30000 };
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+test('an auto cash-out below 1.01x or not a number is refused', async () => {
+    const player = await joinRoom(server.url, ROOM);
+    for (const autoCashOut of [1, 0.5, '2']) {
+        player.socket.emit('place_bet', { room: ROOM, amount: 50, autoCashOut });
+        const refused = await next(player.socket, 'bet_error');
+        assert.strictEqual(refused.code, 'INVALID_AUTO_CASH_OUT', String(autoCashOut));
+    }
+    assert.strictEqual(player.balance, 1000);
+    player.socket.close();
+});
+
+test('an auto cash-out is taken to the nearest hundredth', TIMEOUT, async () => {
+    const player = await joinRoom(server.url, ROOM);
+    await nextPhase(player.socket, 'betting');
+    player.socket.emit('place_bet', { room: ROOM, amount: 50, autoCashOut: 1.157 });
+    assert.deepStrictEqual(await next(player.socket, 'bet_success'), { amount: 50, autoCashOut: 1.16 });
+    player.socket.close();
+});
+
+test('an auto cash-out pays at exactly its target after the socket is gone', TIMEOUT, async () => {
+    const player = await joinRoom(server.url, ROOM);
+    const { nonce } = await nextPhase(player.socket, 'betting');
+    player.socket.emit('place_bet', { room: ROOM, amount: 100, autoCashOut: 1.2 });
+    await next(player.socket, 'bet_success');
+    player.socket.close();
+
+    const round = await waitFor(async () => {
+        const { body } = await request(`${server.url}/api/rooms/${ROOM}/history`, 'GET');
+        return body.rounds.find(r => r.nonce === nonce);
+    });
+    const { body } = await request(`${server.url}/api/me`, 'GET', undefined, { token: player.token });
+    assert.strictEqual(body.balance, 1000 - 100 + (round.crashPoint >= 1.2 ? 120 : 0));
+});
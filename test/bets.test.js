@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom, withFile, tempDatabase } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+
+test('a settled bet is tied to its round, its stake and its outcome', { timeout: 30000 }, async () => {
+    const { file, remove } = tempDatabase('bets');
+    let server = null;
+    try {
+        server = await startServerWithRooms([FAST_ROOM], { DB_PATH: file });
+        const player = await joinRoom(server.url, ROOM);
+        const { nonce } = await nextPhase(player.socket, 'betting');
+        player.socket.emit('place_bet', { room: ROOM, amount: 100, autoCashOut: 1.5 });
+        await next(player.socket, 'bet_success');
+        await nextPhase(player.socket, 'betting');
+        player.socket.close();
+        await server.stop();
+        server = null;
+
+        const [bet] = await withFile(file, ({ all }) => all(
+            `SELECT b.state, b.multiplier, b.win_amount, h.nonce AS round_nonce, h.crash_point,
+                    stake.type AS stake_type, stake.amount AS stake, payout.type AS payout_type, payout.amount AS payout
+             FROM bets b
+             JOIN game_history h ON h.id = b.round_id
+             JOIN transactions stake ON stake.id = b.bet_transaction_id
+             LEFT JOIN transactions payout ON payout.id = b.settle_transaction_id
+             WHERE b.room = ? AND b.nonce = ?`,
+            [ROOM, nonce]
+        ));
+        assert.deepStrictEqual([bet.round_nonce, bet.stake_type, bet.stake], [nonce, 'bet', 100]);
+        if (bet.crash_point >= 1.5) {
+            assert.deepStrictEqual(
+                [bet.state, bet.multiplier, bet.win_amount, bet.payout_type, bet.payout],
+                ['cashed_out', 1.5, 150, 'win', 150]
+            );
+        } else {
+            // A lost bet is settled at the crash point with nothing paid
+            assert.deepStrictEqual(
+                [bet.state, bet.multiplier, bet.win_amount, bet.payout_type],
+                ['lost', bet.crash_point, 0, null]
+            );
+        }
+    } finally {
+        if (server) await server.stop();
+        remove();
+    }
+});
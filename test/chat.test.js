@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlayer, sql } = require('./helpers');
+const { getAdminAuditLog } = require('../database');
+const { GLOBAL_CHANNEL, filterMessage, createChat } = require('../chat');
+
+// Records what chat sends: `sent` to everyone or a socket.io room, `emitted` per socket
+const sent = [];
+const io = {
+    emit: (event, data) => sent.push({ to: '*', event, data }),
+    to: (to) => ({ emit: (event, data) => sent.push({ to, event, data }) })
+};
+const chat = createChat({ io, rooms: { CORLA: {} } });
+
+const connect = (user, joined = []) => {
+    const emitted = [];
+    return {
+        user: { id: user.id, username: user.username },
+        rooms: new Set(joined),
+        emitted,
+        emit: (event, data) => emitted.push({ event, data }),
+        last: (event) => emitted.filter(e => e.event === event).pop()?.data
+    };
+};
+
+const say = (socket, text, channel = GLOBAL_CHANNEL) => chat.handleMessage(socket, { channel, text });
+
+const historyFor = async (channel) => {
+    const socket = connect(await createPlayer());
+    await chat.sendHistory(socket, channel);
+    return socket.last('chat_history').messages.map(m => `${m.username}: ${m.text}`);
+};
+
+test('profanity is masked, links refused and whitespace collapsed', () => {
+    assert.deepStrictEqual(filterMessage('what  the\u0007 fucking\nround'), { text: 'what the ******* round' });
+    assert.strictEqual(filterMessage('free CC at crash-cash.gg').code, 'LINK_BLOCKED');
+    assert.strictEqual(filterMessage('see www.example.org/x').code, 'LINK_BLOCKED');
+    assert.strictEqual(filterMessage('\u0000 ').code, 'INVALID_MESSAGE');
+});
+
+test('a message is broadcast and kept for players who join later', async () => {
+    const player = await createPlayer();
+    await say(connect(player), 'to the moon');
+
+    const { to, event, data } = sent.at(-1);
+    assert.deepStrictEqual([to, event], ['*', 'chat_message']);
+    assert.deepStrictEqual(
+        { channel: data.channel, username: data.username, kind: data.kind, text: data.text },
+        { channel: GLOBAL_CHANNEL, username: player.username, kind: 'text', text: 'to the moon' }
+    );
+    assert.deepStrictEqual((await historyFor(GLOBAL_CHANNEL)).slice(-1), [`${player.username}: to the moon`]);
+});
+
+test('a room channel takes messages only from sockets in the room', async () => {
+    const player = await createPlayer();
+    const outside = connect(player);
+    await say(outside, 'hello', 'CORLA');
+    assert.strictEqual(outside.last('chat_error').code, 'UNKNOWN_CHANNEL');
+
+    await say(connect(player, ['CORLA']), 'hello', 'CORLA');
+    assert.deepStrictEqual(await historyFor('CORLA'), [`${player.username}: hello`]);
+});
+
+test('posting is rate limited per player', async () => {
+    const socket = connect(await createPlayer());
+    for (let i = 0; i < 12; i++) await say(socket, `message ${i}`);
+    assert.strictEqual(socket.last('chat_error'), undefined);
+
+    await say(socket, 'one too many');
+    assert.strictEqual(socket.last('chat_error').code, 'RATE_LIMITED');
+});
+
+test('only admins moderate, and a ban hides the player and is audited', async () => {
+    const [admin, player] = await Promise.all([createPlayer(), createPlayer()]);
+    const playerSocket = connect(player);
+    await say(playerSocket, 'first');
+
+    await say(playerSocket, `/ban ${admin.username}`);
+    assert.strictEqual(playerSocket.last('chat_error').code, 'FORBIDDEN');
+
+    await sql(`UPDATE users SET role = 'admin' WHERE id = ?`, [admin.id]);
+    const adminSocket = connect(admin);
+    await say(adminSocket, `/mute ${player.username} 5 spamming`);
+    assert.deepStrictEqual(adminSocket.last('chat_notice'), { message: `/mute ${player.username} done` });
+    await say(playerSocket, 'still here?');
+    assert.strictEqual(playerSocket.last('chat_error').code, 'CHAT_MUTED');
+
+    await say(adminSocket, `/ban ${player.username}`);
+    await say(playerSocket, 'and now?');
+    assert.strictEqual(playerSocket.last('chat_error').code, 'CHAT_BANNED');
+    assert.ok(sent.some(s => s.event === 'chat_purge' && s.data.username === player.username));
+    assert.ok(!(await historyFor(GLOBAL_CHANNEL)).some(line => line.startsWith(`${player.username}:`)));
+
+    const audit = (await getAdminAuditLog()).filter(a => a.target === `user:${player.id}`).map(a => a.action);
+    assert.deepStrictEqual(audit, ['chat.ban', 'chat.mute']);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { multiplierAt, timeToReach, payoutFor, maxWinMultiplier } = require('../curve');
+
+test('payouts are exact at two-decimal multipliers', () => {
+    // 100 * 1.15 is 114.99999999999999 in floating point
+    assert.strictEqual(payoutFor(100, 1.15), 115);
+    assert.strictEqual(payoutFor(100, 2.07), 207);
+    assert.strictEqual(payoutFor(333, 1.5), 499);
+    assert.strictEqual(payoutFor(10, 1), 10);
+});
+
+test('the max-win multiplier never pays more than maxWin', () => {
+    for (const amount of [3, 7, 30, 70, 99, 1000, 25000]) {
+        const at = maxWinMultiplier(1000000, amount);
+        assert.ok(payoutFor(amount, at) <= 1000000, `${amount} at ${at}`);
+    }
+    assert.strictEqual(maxWinMultiplier(1000, 70), 14.28);
+});
+
+test('the curve starts at 1.00 and reaches a multiplier when timeToReach says', () => {
+    assert.strictEqual(multiplierAt(0, 2), 1);
+    for (const lambda of [0.75, 1, 2.5]) {
+        for (const target of [1.01, 2, 10, 100]) {
+            assert.strictEqual(multiplierAt(timeToReach(target, lambda), lambda), target);
+        }
+    }
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const { listen, request, createPlayer, signIn } = require('./helpers');
+const { transaction, createUserToken, consumeUserToken, findUserById, setUserFrozen } = require('../database');
+const { hashToken } = require('../middleware/auth');
+const createAuthRoutes = require('../routes/auth');
+
+const io = {
+    to: () => ({ emit: () => {} }),
+    in: () => ({ disconnectSockets: () => {} })
+};
+
+let api;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', createAuthRoutes({ io }));
+    });
+});
+after(() => api.close());
+
+// Stores a fresh token for `purpose` and resolves to the raw value a link would carry
+const issueToken = async (userId, purpose, ttlMinutes = 60) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await createUserToken({ userId, purpose, tokenHash: hashToken(token), ttlMinutes });
+    return token;
+};
+
+test('a verification link works once', async () => {
+    const player = await createPlayer();
+    const token = await issueToken(player.id, 'verify_email');
+
+    const first = await request(`${api.url}/api/email/verify`, 'POST', { token });
+    assert.strictEqual(first.status, 200);
+    assert.ok((await findUserById(player.id)).email_verified_at);
+
+    const again = await request(`${api.url}/api/email/verify`, 'POST', { token });
+    assert.strictEqual(again.status, 400);
+});
+
+test('a reset link sets the password once and signs out every session', async () => {
+    const player = await createPlayer();
+    const token = await issueToken(player.id, 'password_reset');
+    const session = await signIn(player);
+
+    const reset = await request(`${api.url}/api/password/reset`, 'POST', { token, password: 'new-password-1' });
+    assert.strictEqual(reset.status, 200);
+
+    const replay = await request(`${api.url}/api/password/reset`, 'POST', { token, password: 'new-password-2' });
+    assert.strictEqual(replay.status, 400);
+
+    assert.strictEqual((await request(`${api.url}/api/me`, 'GET', undefined, { token: session })).status, 401);
+    const login = (password) => request(`${api.url}/api/login`, 'POST', { email: player.email, password });
+    assert.strictEqual((await login('new-password-1')).status, 200);
+    assert.strictEqual((await login(player.password)).status, 401);
+});
+
+test('a token used while another transaction rolls back stays used', async () => {
+    const player = await createPlayer();
+    const token = await issueToken(player.id, 'password_reset');
+
+    let release;
+    const held = new Promise((resolve) => { release = resolve; });
+    const failing = transaction(async () => {
+        await setUserFrozen(player.id, true);
+        await held;
+        throw new Error('rolled back');
+    });
+
+    // Issued while the transaction above is open; it must not be part of it
+    const consumed = consumeUserToken('password_reset', hashToken(token));
+    release();
+    await assert.rejects(failing, /rolled back/);
+
+    assert.strictEqual(await consumed, player.id);
+    assert.strictEqual(await consumeUserToken('password_reset', hashToken(token)), null);
+});
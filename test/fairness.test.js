@@ -0,0 +1,54 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { crashPointFromHash } = require('../fairness');
+const { request, FAST_ROOM, startServerWithRooms, waitFor } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+test('every finished round verifies against the published commitment', { timeout: 30000 }, async () => {
+    const rounds = await waitFor(async () => {
+        const { body } = await request(`${server.url}/api/rooms/${ROOM}/history`, 'GET');
+        return body.rounds.length >= 2 && body.rounds.slice().reverse();
+    });
+    const { body: commitment } = await request(`${server.url}/api/fairness/commitment?room=${ROOM}`, 'GET');
+
+    let previousSeed = commitment.terminalHash;
+    for (const round of rounds) {
+        const { status, body } = await request(`${server.url}/api/fairness/verify?room=${ROOM}&nonce=${round.nonce}`, 'GET');
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.serverSeed, round.serverSeed);
+        assert.strictEqual(body.crashPoint, round.crashPoint);
+        assert.strictEqual(body.terminalHash, commitment.terminalHash);
+
+        // Each revealed seed hashes to the one before it, the first to the commitment
+        assert.strictEqual(sha256(body.serverSeed), previousSeed);
+        const hash = crypto.createHmac('sha256', body.serverSeed).update(commitment.clientSeed).digest('hex');
+        assert.strictEqual(crashPointFromHash(hash, FAST_ROOM.maxMultiplier), round.crashPoint);
+        previousSeed = body.serverSeed;
+    }
+});
+
+test('a round that has not finished cannot be verified', async () => {
+    const { body: commitment } = await waitFor(async () => {
+        const res = await request(`${server.url}/api/fairness/commitment?room=${ROOM}`, 'GET');
+        return res.status === 200 && res;
+    });
+    const { status } = await request(`${server.url}/api/fairness/verify?room=${ROOM}&nonce=${commitment.nonce + 1}`, 'GET');
+    assert.strictEqual(status, 403);
+});
+
+test('crash points follow the house-edge formula and the room cap', () => {
+    // 13 leading hex digits divisible by 13: instant crash
+    assert.strictEqual(crashPointFromHash('0000000000000' + 'f'.repeat(51)), 1.00);
+    // h = 2^31 of 2^32: 0.99 / 0.5
+    assert.strictEqual(crashPointFromHash('80000000' + '1'.repeat(56)), 1.98);
+    assert.strictEqual(crashPointFromHash('fffffff0' + '1'.repeat(56), 3), 3);
+});
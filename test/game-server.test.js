@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const ROOMS_FILE = path.join(__dirname, '..', 'config', 'rooms.json');
+
+// game-server.js is a browser script: run it against stand-ins for the globals it touches
+const loadMock = (fetch) => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'game-server.js'), 'utf8');
+    const store = new Map();
+    const localStorage = {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key)
+    };
+    const window = {};
+    new Function('window', 'localStorage', 'fetch', source)(window, localStorage, fetch);
+    return window.gameServer;
+};
+
+const unreachable = () => Promise.reject(new TypeError('Failed to fetch'));
+
+// Static hosting without the API: only the deployed config/rooms.json answers
+const staticHost = (url) => (url === 'config/rooms.json'
+    ? Promise.resolve(new Response(fs.readFileSync(ROOMS_FILE)))
+    : unreachable());
+
+test('offline play loads config/rooms.json when /api/rooms is unreachable', async () => {
+    const { rooms, error } = await loadMock(staticHost).getRooms();
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(rooms.map(r => r.symbol), JSON.parse(fs.readFileSync(ROOMS_FILE)).map(r => r.symbol));
+    assert.strictEqual(rooms[0].ticker, '$CORLA');
+});
+
+test('offline play reports an error when no room definitions can be fetched', async () => {
+    const { rooms, error } = await loadMock(unreachable).getRooms();
+
+    assert.strictEqual(rooms, undefined);
+    assert.ok(error);
+});
+
+test('server.js serves the room file at the path the mock falls back to', async () => {
+    const server = await startServer();
+    try {
+        const res = await fetch(`${server.url}/config/rooms.json`);
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(await res.json(), JSON.parse(fs.readFileSync(ROOMS_FILE)));
+    } finally {
+        await server.stop();
+    }
+});
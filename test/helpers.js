@@ -0,0 +1,218 @@
+/**
+ * Shared setup for the node:test suite (npm test). Each test file runs in its
+ * own process, so requiring this first gives every file a fresh in-memory
+ * database and test secrets before any app module reads process.env.
+ */
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { io } = require('socket.io-client');
+const { db, ready, createUser, findUserById, createSession, updateUserBalance, createBet, settleBet } = require('../database');
+const { signAccessToken } = require('../middleware/auth');
+
+// Serves `mount(app)` on a free port; resolves to { url, close }
+const listen = (mount) => new Promise((resolve) => {
+    const app = express();
+    mount(app);
+    const server = app.listen(0, () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        });
+    });
+});
+
+// JSON request; resolves to { status, body }
+const request = async (url, method, body, { token, headers = {} } = {}) => {
+    const res = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+};
+
+let players = 0;
+// A new account with the signup bonus; resolves to the user row plus its password
+const createPlayer = async (password = 'password123') => {
+    await ready;
+    const n = ++players;
+    const { id } = await createUser(`player${n}`, `player${n}@example.com`, password);
+    return { ...(await findUserById(id)), password };
+};
+
+// An access token on a fresh session, as /api/login would issue
+const signIn = async (user) => {
+    const sessionId = crypto.randomUUID();
+    await createSession({ id: sessionId, userId: user.id, refreshTokenHash: '', userAgent: null, ttlDays: 1 });
+    return signAccessToken(user, sessionId);
+};
+
+let nonce = 0;
+// A bet booked and settled the way a GameRoom does it; multiplier null for a loss
+const playRound = async (userId, room, amount, multiplier) => {
+    const externalId = `room:${room}:nonce:${++nonce}`;
+    const { transactionId } = await updateUserBalance(userId, -amount, 'bet', externalId);
+    const betId = await createBet({ userId, room, nonce, amount, transactionId });
+    if (multiplier === null) return settleBet(betId, { state: 'lost', multiplier: 1.5 });
+
+    const winAmount = Math.floor(amount * multiplier);
+    const win = await updateUserBalance(userId, winAmount, 'win', externalId);
+    return settleBet(betId, { state: 'cashed_out', multiplier, winAmount, transactionId: win.transactionId });
+};
+
+const balanceOf = async (userId) => (await findUserById(userId)).balance;
+
+// Raw SQL for test setup the app has no method for (roles, failure triggers)
+const sql = (statement, params = []) => new Promise((resolve, reject) => {
+    db.run(statement, params, (err) => (err ? reject(err) : resolve()));
+});
+
+// Raw query rows, for checks the app has no method for
+const all = (statement, params = []) => new Promise((resolve, reject) => {
+    db.all(statement, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+// Raw access to a database file a spawned server runs on, opened only while it is stopped
+const withFile = async (file, work) => {
+    const db = new sqlite3.Database(file);
+    const call = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+        db[method](sql, params, function (err, rows) {
+            if (err) reject(err);
+            else resolve(method === 'run' ? this.lastID : rows);
+        });
+    });
+    try {
+        return await work({ run: call('run'), all: call('all') });
+    } finally {
+        await new Promise(resolve => db.close(resolve));
+    }
+};
+
+// A database file in the temp directory and a function removing it with its journals
+const tempDatabase = (name) => {
+    const file = path.join(os.tmpdir(), `crash-street-${name}-${process.pid}.db`);
+    const remove = () => {
+        for (const suffix of ['', '-journal', '-wal', '-shm']) fs.rmSync(`${file}${suffix}`, { force: true });
+    };
+    return { file, remove };
+};
+
+// One market fast enough that a whole round fits in a few seconds
+const FAST_ROOM = {
+    symbol: 'TEST', name: 'Test Market', badge: 'test', lambda: 0.5, bettingPhaseMs: 1500,
+    minBet: 10, maxBet: 1000, maxMultiplier: 3, maxWin: 100000, maxExposure: 100000
+};
+
+// server.js with only the given room definitions (as ROOMS_CONFIG); resolves like startServer
+const startServerWithRooms = async (rooms, env = {}) => {
+    const file = path.join(os.tmpdir(), `crash-street-rooms-${process.pid}-${crypto.randomUUID()}.json`);
+    fs.writeFileSync(file, JSON.stringify(rooms));
+    const server = await startServer({ ...env, ROOMS_CONFIG: file }).catch((err) => {
+        fs.unlinkSync(file);
+        throw err;
+    });
+    const cleanUp = (code) => {
+        fs.rmSync(file, { force: true });
+        return code;
+    };
+    return {
+        url: server.url,
+        stop: () => server.stop().then(cleanUp),
+        terminate: () => server.terminate().then(cleanUp)
+    };
+};
+
+// Polls `check` until it returns something truthy (every 250ms, up to timeoutMs)
+const waitFor = async (check, timeoutMs = 20000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(done => setTimeout(done, 250));
+    }
+};
+
+// Resolves to the next `event` on `socket` whose payload passes `match`
+const next = (socket, event, match = () => true) => new Promise((resolve) => {
+    const handler = (data) => {
+        if (!match(data)) return;
+        socket.off(event, handler);
+        resolve(data);
+    };
+    socket.on(event, handler);
+});
+
+const nextPhase = (socket, phase) => next(socket, 'phase_change', d => d.phase === phase);
+
+let traders = 0;
+// A player registered on `url` whose socket has joined `room`; `balance` follows balance_update
+const joinRoom = async (url, room) => {
+    const n = ++traders;
+    const { body } = await request(`${url}/api/register`, 'POST', {
+        username: `trader${n}`, email: `trader${n}@example.com`, password: 'password123'
+    });
+    const socket = io(url, { auth: { token: body.token }, reconnection: false });
+    const player = { socket, token: body.token, username: body.user.username, balance: body.user.balance };
+    socket.on('balance_update', (balance) => { player.balance = balance; });
+    await next(socket, 'connect');
+    socket.emit('join_room', room);
+    player.state = await next(socket, 'current_game_state');
+    return player;
+};
+
+// Runs server.js on a free port with its own in-memory database; resolves to { url, stop, terminate }.
+// stop() kills it outright, terminate() sends SIGTERM for a graceful shutdown; both resolve to the exit code
+const startServer = (env = {}) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: '0', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const exited = new Promise(done => child.on('exit', done));
+    let output = '';
+    child.stderr.on('data', (chunk) => { output += chunk; });
+    child.stdout.on('data', (chunk) => {
+        output += chunk;
+        const match = /Server running on port (\d+)/.exec(output);
+        if (!match) return;
+        resolve({
+            url: `http://127.0.0.1:${match[1]}`,
+            stop: () => { child.kill('SIGKILL'); return exited; },
+            terminate: () => { child.kill('SIGTERM'); return exited; }
+        });
+    });
+    exited.then(code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+});
+
+module.exports = {
+    listen,
+    request,
+    createPlayer,
+    signIn,
+    playRound,
+    balanceOf,
+    sql,
+    all,
+    startServer,
+    withFile,
+    tempDatabase,
+    FAST_ROOM,
+    startServerWithRooms,
+    waitFor,
+    next,
+    nextPhase,
+    joinRoom
+};
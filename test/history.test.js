@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { request, FAST_ROOM, startServerWithRooms, waitFor } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+const history = (query = '') => request(`${server.url}/api/rooms/${ROOM}/history${query}`, 'GET');
+
+test('finished rounds page newest first by cursor without gaps or repeats', { timeout: 30000 }, async () => {
+    const { body: all } = await waitFor(async () => {
+        const res = await history();
+        return res.body.rounds.length >= 2 && res;
+    });
+    const newest = all.rounds.slice(0, 2);
+    assert.ok(newest[0].nonce > newest[1].nonce);
+    assert.strictEqual(all.nextCursor, null);
+
+    // Anchored past the newest row so a round finishing meanwhile does not shift the pages
+    const first = await history(`?limit=1&cursor=${newest[0].id + 1}`);
+    assert.deepStrictEqual(first.body.rounds, [newest[0]]);
+    assert.strictEqual(first.body.nextCursor, newest[0].id);
+
+    const second = await history(`?limit=1&cursor=${first.body.nextCursor}`);
+    assert.deepStrictEqual(second.body.rounds, [newest[1]]);
+
+    const round = newest[0];
+    assert.strictEqual(round.betCount, 0);
+    assert.strictEqual(round.totalWagered, 0);
+    assert.strictEqual(round.totalPaid, 0);
+    assert.ok(round.crashPoint >= 1 && round.crashPoint <= FAST_ROOM.maxMultiplier);
+});
+
+test('history of an unknown room is a 404 and a bad page size a 400', async () => {
+    assert.strictEqual((await request(`${server.url}/api/rooms/NOPE/history`, 'GET')).status, 404);
+    assert.strictEqual((await history('?limit=0')).status, 400);
+    assert.strictEqual((await history('?limit=101')).status, 400);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { listen, request, createPlayer, signIn, playRound, sql } = require('./helpers');
+const { createLeaderboardWatcher } = require('../leaderboards');
+const leaderboardRoutes = require('../routes/leaderboards');
+
+let api;
+before(async () => {
+    api = await listen(app => app.use('/api', leaderboardRoutes));
+});
+after(() => api.close());
+
+const board = (metric, period, token) => request(`${api.url}/api/leaderboards/${metric}?period=${period}`, 'GET', undefined, { token });
+
+test('boards rank settled bets, ties share a rank and a signed-in caller sees their own', async () => {
+    const [first, second, third, loser] = await Promise.all([createPlayer(), createPlayer(), createPlayer(), createPlayer()]);
+    await playRound(first.id, 'CORLA', 100, 5);
+    await playRound(second.id, 'CORLA', 200, 2);
+    await playRound(third.id, 'TSLR', 50, 3);
+    await playRound(loser.id, 'TSLR', 500, null);
+
+    const { status, body } = await board('biggest-win', 'day', await signIn(third));
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.entries, [
+        { rank: 1, username: first.username, value: 400 },
+        { rank: 2, username: second.username, value: 200 },
+        { rank: 3, username: third.username, value: 100 }
+    ]);
+    assert.deepStrictEqual(body.you, { rank: 3, value: 100 });
+
+    // A loss counts towards wagered and profit but wins nothing
+    const wagered = await board('total-wagered', 'all', await signIn(loser));
+    assert.deepStrictEqual(wagered.body.entries[0], { rank: 1, username: loser.username, value: 500 });
+    const biggest = await board('biggest-win', 'all', await signIn(loser));
+    assert.strictEqual(biggest.body.you, null);
+
+    const tied = await createPlayer();
+    await playRound(tied.id, 'CORLA', 100, 2);
+    const ranks = (await board('biggest-win', 'day')).body.entries.map(e => e.rank);
+    assert.deepStrictEqual(ranks, [1, 2, 3, 3]);
+});
+
+test("yesterday's totals stay off today's board but count all-time", async () => {
+    const player = await createPlayer();
+    await playRound(player.id, 'CORLA', 1000, 10);
+    await sql(`UPDATE leaderboard_stats SET bucket = 'day:2000-01-01' WHERE user_id = ? AND bucket LIKE 'day:%'`, [player.id]);
+
+    const today = await board('biggest-win', 'day');
+    const allTime = await board('biggest-win', 'all');
+    assert.ok(!today.body.entries.some(e => e.username === player.username));
+    assert.deepStrictEqual(allTime.body.entries[0], { rank: 1, username: player.username, value: 9000 });
+});
+
+test('an unknown board or period is a 400', async () => {
+    assert.strictEqual((await board('luckiest', 'day')).status, 400);
+    assert.strictEqual((await board('biggest-win', 'year')).status, 400);
+});
+
+test('the watcher pushes changed boards and tells players who moved', async () => {
+    const emitted = [];
+    const io = { to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }) };
+    const watcher = createLeaderboardWatcher(io);
+    await watcher.refresh();
+    assert.deepStrictEqual(emitted, []);
+
+    const player = await createPlayer();
+    await playRound(player.id, 'CORLA', 1000, 50);
+    await watcher.refresh();
+
+    const update = emitted.find(e => e.event === 'leaderboard_update' && e.data.metric === 'biggest-win' && e.data.period === 'day');
+    assert.strictEqual(update.room, 'leaderboards');
+    assert.deepStrictEqual(update.data.entries[0], { rank: 1, username: player.username, value: 49000 });
+
+    const moved = emitted.find(e => e.room === `user:${player.id}` && e.data.metric === 'biggest-win' && e.data.period === 'day');
+    assert.deepStrictEqual(moved.data, { metric: 'biggest-win', period: 'day', rank: 1, previousRank: null });
+    // Whoever led before is told they went down a place
+    assert.ok(emitted.some(e => e.event === 'rank_change' && e.data.metric === 'biggest-win' && e.data.period === 'day'
+        && e.data.previousRank === 1 && e.data.rank === 2));
+});
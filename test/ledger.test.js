@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPlayer, balanceOf } = require('./helpers');
+const { updateUserBalance, reconcileLedger, setUserFrozen } = require('../database');
+
+test('concurrent debits cannot take a balance below zero', async () => {
+    const player = await createPlayer();
+    const bets = Array.from({ length: 5 }, (_, i) => updateUserBalance(player.id, -300, 'bet', `test:${player.id}:${i}`));
+    const results = await Promise.allSettled(bets);
+
+    const placed = results.filter(r => r.status === 'fulfilled').length;
+    assert.strictEqual(placed, Math.floor(player.balance / 300));
+    assert.strictEqual(await balanceOf(player.id), player.balance - placed * 300);
+    for (const r of results.filter(r => r.status === 'rejected')) assert.match(r.reason.message, /Insufficient funds/);
+});
+
+test('amounts must be non-zero whole credits', async () => {
+    const player = await createPlayer();
+    for (const amount of [0, 1.5, NaN]) {
+        await assert.rejects(updateUserBalance(player.id, amount, 'win'), /Invalid amount/);
+    }
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('a frozen account accepts credits but not debits', async () => {
+    const player = await createPlayer();
+    await setUserFrozen(player.id, true);
+
+    await assert.rejects(updateUserBalance(player.id, -10, 'bet'), /Account frozen/);
+    await updateUserBalance(player.id, 10, 'win');
+    assert.strictEqual(await balanceOf(player.id), player.balance + 10);
+});
+
+test('every balance change is booked in the ledger', async () => {
+    const player = await createPlayer();
+    await updateUserBalance(player.id, -100, 'bet');
+    await updateUserBalance(player.id, 250, 'win');
+    await updateUserBalance(player.id, 5000, 'deposit', `test:deposit:${player.id}`);
+
+    const report = await reconcileLedger();
+    assert.ok(report.ok, JSON.stringify(report));
+});
@@ -0,0 +1,63 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom } = require('./helpers');
+
+// A round takes 150 CC at most: one 100 CC bet fills it
+const ROOM = { ...FAST_ROOM, minBet: 20, maxBet: 100, maxWin: 150, maxExposure: 150 };
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([ROOM]);
+});
+after(() => server.stop());
+
+test('stakes outside the room limits are refused with the limit', { timeout: 30000 }, async () => {
+    const player = await joinRoom(server.url, ROOM.symbol);
+    const { socket } = player;
+    await nextPhase(socket, 'betting');
+
+    socket.emit('place_bet', { room: ROOM.symbol, amount: 10 });
+    assert.deepStrictEqual(await next(socket, 'bet_error'), {
+        code: 'BELOW_MIN_BET', message: `Minimum trade on $${ROOM.symbol} is 20 CC`, minBet: 20
+    });
+    socket.emit('place_bet', { room: ROOM.symbol, amount: 101 });
+    const tooLarge = await next(socket, 'bet_error');
+    assert.deepStrictEqual([tooLarge.code, tooLarge.maxBet], ['ABOVE_MAX_BET', 100]);
+    assert.strictEqual(player.balance, 1000);
+    socket.close();
+});
+
+test('a bet that would take the round over its exposure is refused', { timeout: 30000 }, async () => {
+    const first = await joinRoom(server.url, ROOM.symbol);
+    const second = await joinRoom(server.url, ROOM.symbol);
+    // Both wait for the same betting phase
+    await Promise.all([nextPhase(first.socket, 'betting'), nextPhase(second.socket, 'betting')]);
+
+    first.socket.emit('place_bet', { room: ROOM.symbol, amount: 100 });
+    await next(first.socket, 'bet_success');
+    second.socket.emit('place_bet', { room: ROOM.symbol, amount: 60 });
+    assert.strictEqual((await next(second.socket, 'bet_error')).code, 'EXPOSURE_LIMIT');
+    assert.strictEqual(second.balance, 1000);
+
+    first.socket.close();
+    second.socket.close();
+});
+
+test('MIN_BET_CC, MAX_BET_CC and MAX_WIN_CC tighten every room and never loosen one', () => {
+    const file = path.join(os.tmpdir(), `crash-street-limits-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify([ROOM, { ...FAST_ROOM, symbol: 'WIDE', maxBet: 5000, maxWin: 100000 }]));
+    Object.assign(process.env, { ROOMS_CONFIG: file, MIN_BET_CC: '15', MAX_BET_CC: '1000', MAX_WIN_CC: '50000' });
+    try {
+        const [narrow, wide] = require('../config').loadRooms();
+        assert.deepStrictEqual([narrow.minBet, narrow.maxBet, narrow.maxWin], [20, 100, 150]);
+        assert.deepStrictEqual([wide.minBet, wide.maxBet, wide.maxWin], [15, 1000, 50000]);
+
+        fs.writeFileSync(file, JSON.stringify([{ ...ROOM, minBet: 2000 }]));
+        assert.throws(() => require('../config').loadRooms(), /minBet exceeds maxBet/);
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
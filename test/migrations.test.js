@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { all } = require('./helpers');
+const { ready, migrator } = require('../database');
+
+const schema = async () => (await all(
+    `SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name`
+)).filter(entry => entry.name !== 'schema_migrations');
+
+test('a new database has every migration applied and nothing left to run', async () => {
+    await ready;
+    const status = await migrator.status();
+    assert.ok(status.length > 0);
+    assert.ok(status.every(m => m.appliedAt !== null));
+    assert.deepStrictEqual(await migrator.up(), []);
+});
+
+test('reverting every migration and reapplying them rebuilds the same schema', async () => {
+    await ready;
+    const before = await schema();
+    const versions = (await migrator.status()).map(m => `${m.version}_${m.name}`);
+
+    assert.deepStrictEqual(await migrator.down(versions.length), versions.slice().reverse());
+    assert.deepStrictEqual(await schema(), []);
+
+    // Stopping at a version applies it and everything before it only
+    assert.deepStrictEqual(await migrator.up(versions[2].slice(0, 3)), versions.slice(0, 3));
+    assert.deepStrictEqual(await migrator.up(), versions.slice(3));
+    assert.deepStrictEqual(await schema(), before);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const Stripe = require('stripe');
+const { listen, request, createPlayer, balanceOf } = require('./helpers');
+const { setGamingLimit, reconcileLedger } = require('../database');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'stripe', 'checkout.session.completed.json');
+
+// Stands in for the Stripe API and remembers every refund asked of it
+const refunds = [];
+let stripeApi;
+let api;
+before(async () => {
+    stripeApi = await listen((app) => {
+        app.use(express.urlencoded({ extended: true }));
+        app.post('/v1/refunds', (req, res) => {
+            refunds.push({ paymentIntent: req.body.payment_intent, idempotencyKey: req.get('idempotency-key') });
+            res.json({ id: `re_test_${refunds.length}`, object: 'refund', status: 'succeeded' });
+        });
+    });
+    const { port } = new URL(stripeApi.url);
+    Object.assign(process.env, {
+        STRIPE_SECRET_KEY: 'sk_test_fake',
+        STRIPE_API_HOST: '127.0.0.1',
+        STRIPE_API_PORT: port,
+        STRIPE_API_PROTOCOL: 'http'
+    });
+
+    // Required only now, as the Stripe client is built from the env on load
+    const paymentRoutes = require('../routes/payments');
+    api = await listen((app) => {
+        // Same wiring as server.js: the webhook needs the raw body to check the signature
+        app.use('/api', (req, res, next) => (req.originalUrl === '/api/webhook' ? next() : express.json()(req, res, next)));
+        app.use('/api', paymentRoutes);
+    });
+});
+after(async () => {
+    await api.close();
+    await stripeApi.close();
+});
+
+// The fixture event paid by `userId`, with `edit` applied to its session
+const fixtureFor = (userId, edit = () => {}) => {
+    const event = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+    const session = event.data.object;
+    session.client_reference_id = String(userId);
+    // Unique per player so deliveries in one test do not collide with another's
+    session.id = `${session.id}_${userId}`;
+    session.payment_intent = `${session.payment_intent}_${userId}`;
+    edit(session);
+    return event;
+};
+
+const deliver = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+    const payload = JSON.stringify(event);
+    const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+    return request(`${api.url}/api/webhook`, 'POST', payload, { headers: { 'Stripe-Signature': signature } });
+};
+
+test('a signed checkout.session.completed credits the package once', async () => {
+    const player = await createPlayer();
+    const res = await deliver(fixtureFor(player.id));
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance + 5000);
+});
+
+test('a replayed event does not credit the deposit again', async () => {
+    const player = await createPlayer();
+    const event = fixtureFor(player.id);
+
+    await deliver(event);
+    const replays = await Promise.all([deliver(event), deliver(event)]);
+
+    for (const res of replays) assert.strictEqual(res.status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance + 5000);
+});
+
+test('a session whose amount does not match its package is not credited', async () => {
+    const player = await createPlayer();
+    const res = await deliver(fixtureFor(player.id, (session) => { session.amount_total = 100; }));
+
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('an event with a bad signature is rejected', async () => {
+    const player = await createPlayer();
+    const res = await deliver(fixtureFor(player.id), 'whsec_not_the_secret');
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('an unpaid session is acknowledged without a credit', async () => {
+    const player = await createPlayer();
+    const res = await deliver(fixtureFor(player.id, (session) => { session.payment_status = 'unpaid'; }));
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('a payment over the deposit limit by the time it lands is refunded, not credited', async () => {
+    const player = await createPlayer();
+    await setGamingLimit(player.id, 'deposit', 'day', 3000);
+    const event = fixtureFor(player.id);
+
+    const res = await deliver(event);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+
+    const paymentIntent = event.data.object.payment_intent;
+    const sent = refunds.filter(r => r.paymentIntent === paymentIntent);
+    assert.strictEqual(sent.length, 1);
+
+    // A redelivery repeats the refund call under the same key, so Stripe refunds once
+    await deliver(event);
+    const resent = refunds.filter(r => r.paymentIntent === paymentIntent);
+    assert.strictEqual(resent.length, 2);
+    assert.strictEqual(resent[1].idempotencyKey, sent[0].idempotencyKey);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+
+    assert.ok((await reconcileLedger()).ok);
+});
+
+test('two payments landing together cannot both pass the deposit limit', async () => {
+    const player = await createPlayer();
+    await setGamingLimit(player.id, 'deposit', 'day', 7000);
+
+    const first = fixtureFor(player.id, (session) => { session.payment_intent += '_a'; });
+    const second = fixtureFor(player.id, (session) => { session.payment_intent += '_b'; });
+    const results = await Promise.all([deliver(first), deliver(second)]);
+
+    for (const res of results) assert.strictEqual(res.status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance + 5000);
+
+    const intents = [first, second].map(e => e.data.object.payment_intent);
+    assert.strictEqual(refunds.filter(r => intents.includes(r.paymentIntent)).length, 1);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { startServer, request, withFile, tempDatabase } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a restart settles open bets from the ledger', { timeout: 60000 }, async () => {
+    const { file, remove } = tempDatabase('recovery');
+    const env = { DB_PATH: file };
+
+    try {
+        let server = await startServer(env);
+        const { body } = await request(`${server.url}/api/register`, 'POST', {
+            username: 'restarter', email: 'restarter@example.com', password: 'password123'
+        });
+        await server.stop();
+        const userId = body.user.id;
+
+        // Two bets a crash left 'placed' in a round that was never recorded: one had
+        // already been paid its win, the other had not
+        await withFile(file, async ({ run }) => {
+            for (const nonce of [1, 2]) {
+                const betTx = await run(
+                    `INSERT INTO transactions (user_id, type, amount, external_id, status) VALUES (?, 'bet', 100, ?, 'completed')`,
+                    [userId, `room:ZZZ:nonce:${nonce}`]
+                );
+                await run(
+                    `INSERT INTO bets (user_id, room, nonce, amount, bet_transaction_id) VALUES (?, 'ZZZ', ?, 100, ?)`,
+                    [userId, nonce, betTx]
+                );
+            }
+            await run(
+                `INSERT INTO transactions (user_id, type, amount, external_id, status) VALUES (?, 'win', 115, 'room:ZZZ:nonce:1', 'completed')`,
+                [userId]
+            );
+        });
+
+        server = await startServer(env);
+        // Recovery runs once the schema is ready, around when the server starts listening
+        const open = () => withFile(file, ({ all }) => all(`SELECT id FROM bets WHERE state = 'placed'`));
+        while ((await open()).length) await sleep(100);
+        await server.stop();
+
+        const bets = await withFile(file, ({ all }) => all(
+            `SELECT b.nonce, b.state, b.multiplier, b.win_amount, t.type AS settled_by
+             FROM bets b LEFT JOIN transactions t ON t.id = b.settle_transaction_id
+             WHERE b.room = 'ZZZ' ORDER BY b.nonce`
+        ));
+        assert.deepStrictEqual(bets.map(b => ({ ...b })), [
+            { nonce: 1, state: 'cashed_out', multiplier: 1.15, win_amount: 115, settled_by: 'win' },
+            { nonce: 2, state: 'refunded', multiplier: null, win_amount: 0, settled_by: 'refund' }
+        ]);
+    } finally {
+        remove();
+    }
+});
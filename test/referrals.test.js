@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request, createPlayer, signIn, balanceOf } = require('./helpers');
+const { reconcileLedger } = require('../database');
+const referralRoutes = require('../routes/referrals');
+
+let api;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', referralRoutes);
+    });
+});
+after(() => api.close());
+
+const redeem = async (player, code) => request(`${api.url}/api/referrals/redeem`, 'POST', { code }, { token: await signIn(player) });
+
+test('redeeming a code pays both players once', async () => {
+    const referrer = await createPlayer();
+    const player = await createPlayer();
+
+    const res = await redeem(player, referrer.referral_code);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.balance, player.balance + 400);
+    assert.strictEqual(await balanceOf(referrer.id), referrer.balance + 400);
+
+    const again = await redeem(player, referrer.referral_code);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(await balanceOf(player.id), player.balance + 400);
+    assert.ok((await reconcileLedger()).ok);
+});
+
+test("two players redeeming each other's codes at once cannot both succeed", async () => {
+    const a = await createPlayer();
+    const b = await createPlayer();
+
+    const results = await Promise.all([redeem(a, b.referral_code), redeem(b, a.referral_code)]);
+    assert.deepStrictEqual(results.map(r => r.status).sort(), [200, 400]);
+    assert.strictEqual((await balanceOf(a.id)) + (await balanceOf(b.id)), a.balance + b.balance + 800);
+});
+
+test('a code from further down your own referral chain is refused', async () => {
+    const top = await createPlayer();
+    const middle = await createPlayer();
+    const bottom = await createPlayer();
+    await redeem(middle, top.referral_code);
+    await redeem(bottom, middle.referral_code);
+
+    const res = await redeem(top, bottom.referral_code);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(await balanceOf(top.id), top.balance + 400);
+});
+
+test('racing redemptions of different codes credit only one', async () => {
+    const [first, second, player] = [await createPlayer(), await createPlayer(), await createPlayer()];
+
+    const results = await Promise.all([redeem(player, first.referral_code), redeem(player, second.referral_code)]);
+    assert.deepStrictEqual(results.map(r => r.status).sort(), [200, 409]);
+    assert.strictEqual(await balanceOf(player.id), player.balance + 400);
+    assert.strictEqual((await balanceOf(first.id)) + (await balanceOf(second.id)), first.balance + second.balance + 400);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request, createPlayer, signIn, balanceOf } = require('./helpers');
+const { setGamingLimit, updateUserBalance, extendCoolOff, getGamingRestrictions } = require('../database');
+const { withinBetLimits } = require('../responsible-gaming');
+const responsibleGamingRoutes = require('../routes/responsible-gaming');
+
+let api;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', responsibleGamingRoutes);
+    });
+});
+after(() => api.close());
+
+const placeBet = (userId, amount, room) => withinBetLimits(userId, amount, () => (
+    updateUserBalance(userId, -amount, 'bet', `room:${room}:nonce:1`)
+));
+
+test('bets in two rooms at once cannot both pass the wager limit', async () => {
+    const player = await createPlayer();
+    await setGamingLimit(player.id, 'wager', 'day', 150);
+
+    const [first, second] = await Promise.all([placeBet(player.id, 100, 'AAA'), placeBet(player.id, 100, 'BBB')]);
+
+    assert.ok(first.result);
+    assert.strictEqual(second.blocked.code, 'WAGER_LIMIT');
+    assert.strictEqual(second.blocked.remaining, 50);
+    assert.strictEqual(await balanceOf(player.id), player.balance - 100);
+});
+
+test('winnings make room under the loss limit', async () => {
+    const player = await createPlayer();
+    await setGamingLimit(player.id, 'loss', 'day', 100);
+
+    assert.ok((await placeBet(player.id, 100, 'AAA')).result);
+    assert.strictEqual((await placeBet(player.id, 10, 'AAA')).blocked.code, 'LOSS_LIMIT');
+
+    await updateUserBalance(player.id, 150, 'win', 'room:AAA:nonce:1');
+    assert.ok((await placeBet(player.id, 100, 'AAA')).result);
+});
+
+test('no bet goes through during a cool-off', async () => {
+    const player = await createPlayer();
+    await extendCoolOff(player.id, 1);
+
+    const { blocked } = await placeBet(player.id, 10, 'AAA');
+    assert.strictEqual(blocked.code, 'COOLING_OFF');
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+const selfExclude = async (player, body) => request(
+    `${api.url}/api/responsible-gaming/self-exclusion`, 'POST', body, { token: await signIn(player) }
+);
+
+test('self-exclusion without an explicit choice is refused and excludes nobody', async () => {
+    const player = await createPlayer();
+    for (const body of [{}, { months: null }, { months: 3 }, { permanent: false }, { permanent: true, months: 6 }]) {
+        const res = await selfExclude(player, body);
+        assert.strictEqual(res.status, 400, JSON.stringify(body));
+    }
+    assert.strictEqual((await getGamingRestrictions(player.id)).self_excluded_until, null);
+});
+
+test('self-exclusion takes a listed number of months or an explicit permanent', async () => {
+    const months = await selfExclude(await createPlayer(), { months: 6 });
+    assert.strictEqual(months.status, 200);
+    assert.ok(months.body.selfExcludedUntil < '9999');
+
+    const permanent = await selfExclude(await createPlayer(), { permanent: true });
+    assert.strictEqual(permanent.status, 200);
+    assert.match(permanent.body.selfExcludedUntil, /^9999-12-31/);
+});
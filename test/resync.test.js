@@ -0,0 +1,45 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { io } = require('socket.io-client');
+const { request, FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+test('a player who reconnects mid-round gets the round and their own bet back', { timeout: 30000 }, async () => {
+    const player = await joinRoom(server.url, ROOM);
+    const { nonce } = await nextPhase(player.socket, 'betting');
+    player.socket.emit('place_bet', { room: ROOM, amount: 100, autoCashOut: 1.5 });
+    await next(player.socket, 'bet_success');
+    player.socket.close();
+
+    const socket = io(server.url, { auth: { token: player.token }, reconnection: false });
+    await next(socket, 'connect');
+    socket.emit('join_room', ROOM);
+    const state = await next(socket, 'current_game_state');
+
+    assert.strictEqual(state.nonce, nonce);
+    assert.ok(['betting', 'running', 'crashed'].includes(state.phase), state.phase);
+    assert.ok(Number.isFinite(state.startTime) && Number.isFinite(state.serverTime));
+    assert.deepStrictEqual(
+        { amount: state.bet.amount, autoCashOut: state.bet.autoCashOut },
+        { amount: 100, autoCashOut: 1.5 }
+    );
+    assert.ok(Array.isArray(state.ticks));
+    assert.deepStrictEqual(state.roster.map(e => e.username), [player.username]);
+    // The crash point stays secret until the round is over
+    if (state.phase !== 'crashed') assert.strictEqual(state.crashPoint, null);
+
+    // The bet rode on without a socket and was settled like any other
+    await nextPhase(socket, 'betting');
+    socket.close();
+    const { body } = await request(`${server.url}/api/rooms/${ROOM}/history`, 'GET');
+    const round = body.rounds.find(r => r.nonce === nonce);
+    const me = await request(`${server.url}/api/me`, 'GET', undefined, { token: player.token });
+    assert.strictEqual(me.body.balance, 1000 - 100 + (round.crashPoint >= 1.5 ? 150 : 0));
+});
@@ -0,0 +1,40 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+test('everyone in the room sees who bet, and late joiners get the roster so far', { timeout: 30000 }, async () => {
+    const better = await joinRoom(server.url, ROOM);
+    const watcher = await joinRoom(server.url, ROOM);
+    const { nonce } = await nextPhase(better.socket, 'betting');
+
+    const seen = next(watcher.socket, 'roster_update', e => e.username === better.username);
+    better.socket.emit('place_bet', { room: ROOM, amount: 40 });
+    const entry = { username: better.username, amount: 40, multiplier: null, profit: null };
+    assert.deepStrictEqual(await seen, entry);
+
+    const late = await joinRoom(server.url, ROOM);
+    // Registering takes a moment; by then the next round may have begun
+    if (late.state.nonce === nonce) assert.deepStrictEqual(late.state.roster, [entry]);
+
+    for (const player of [better, watcher, late]) player.socket.close();
+});
+
+test('a new round starts with an empty roster', { timeout: 30000 }, async () => {
+    const player = await joinRoom(server.url, ROOM);
+    await nextPhase(player.socket, 'betting');
+    player.socket.emit('place_bet', { room: ROOM, amount: 40 });
+    await next(player.socket, 'bet_success');
+
+    await nextPhase(player.socket, 'betting');
+    player.socket.emit('join_room', ROOM);
+    assert.deepStrictEqual((await next(player.socket, 'current_game_state')).roster, []);
+    player.socket.close();
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+const ROUND_TIMEOUT = { timeout: 30000 };
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+const joinPlayer = () => joinRoom(server.url, ROOM);
+
+test('a bet placed while betting is settled exactly once when the round ends', ROUND_TIMEOUT, async () => {
+    const player = await joinPlayer();
+    const { socket, balance: start } = player;
+    const balance = () => player.balance;
+    await nextPhase(socket, 'betting');
+
+    socket.emit('place_bet', { room: ROOM, amount: 100, autoCashOut: 1.15 });
+    await next(socket, 'bet_success');
+
+    let cashOut = null;
+    socket.on('cash_out_success', (d) => { cashOut = d; });
+    const crash = await next(socket, 'crash');
+    await nextPhase(socket, 'betting');
+    socket.close();
+
+    if (crash.multiplier >= 1.15) {
+        assert.deepStrictEqual([cashOut.multiplier, cashOut.winAmount], [1.15, 115]);
+        assert.strictEqual(balance(), start - 100 + 115);
+    } else {
+        assert.strictEqual(cashOut, null);
+        assert.strictEqual(balance(), start - 100);
+    }
+});
+
+test('bets are refused while the round runs and cash-outs outside it', ROUND_TIMEOUT, async () => {
+    const { socket } = await joinPlayer();
+    await nextPhase(socket, 'betting');
+
+    socket.emit('place_bet', { room: ROOM, amount: 50 });
+    await next(socket, 'bet_success');
+    socket.emit('place_bet', { room: ROOM, amount: 50 });
+    assert.strictEqual((await next(socket, 'bet_error')).code, 'ALREADY_IN_ROUND');
+
+    socket.emit('cash_out', { room: ROOM });
+    assert.strictEqual(await next(socket, 'error'), 'Game not running');
+
+    await nextPhase(socket, 'running');
+    const late = await joinPlayer();
+    late.socket.emit('place_bet', { room: ROOM, amount: 50 });
+    const refused = await next(late.socket, 'bet_error');
+    // An instant 1.00x crash can close the market before the request lands
+    assert.ok(['ROUND_IN_PROGRESS', 'MARKET_CLOSED'].includes(refused.code), refused.code);
+    assert.strictEqual(late.balance, 1000);
+
+    socket.close();
+    late.socket.close();
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { FAST_ROOM, startServerWithRooms, next, nextPhase, joinRoom, withFile, tempDatabase } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+const TIMEOUT = { timeout: 30000 };
+
+// Places a 100 CC bet in the next betting phase, optionally waits for `phase`,
+// then shuts the server down gracefully; resolves to { code, bet, phases, balance }
+const shutDownDuring = async (phase) => {
+    const { file, remove } = tempDatabase(`shutdown-${phase}`);
+    let server = null;
+    try {
+        server = await startServerWithRooms([FAST_ROOM], { DB_PATH: file });
+        const player = await joinRoom(server.url, ROOM);
+        const phases = [];
+        player.socket.on('phase_change', (change) => phases.push(change.phase));
+
+        const { nonce } = await nextPhase(player.socket, 'betting');
+        player.socket.emit('place_bet', { room: ROOM, amount: 100 });
+        await next(player.socket, 'bet_success');
+        if (phase === 'running') await nextPhase(player.socket, 'running');
+
+        const code = await server.terminate();
+        server = null;
+        player.socket.close();
+
+        const [bet] = await withFile(file, ({ all }) => all(
+            `SELECT state, multiplier FROM bets WHERE room = ? AND nonce = ?`, [ROOM, nonce]
+        ));
+        return { code, bet, phases, balance: player.balance };
+    } finally {
+        if (server) await server.stop();
+        remove();
+    }
+};
+
+test('shutting down while bets are taken calls the round off and refunds it', TIMEOUT, async () => {
+    const { code, bet, phases, balance } = await shutDownDuring('betting');
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(bet.state, 'refunded');
+    assert.strictEqual(balance, 1000);
+    assert.deepStrictEqual(phases.slice(-2), ['betting', 'stopped']);
+});
+
+test('shutting down mid-round lets the round play out first', TIMEOUT, async () => {
+    const { code, bet, phases } = await shutDownDuring('running');
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(bet.state, 'lost');
+    assert.deepStrictEqual(phases.slice(-3), ['running', 'crashed', 'stopped']);
+});
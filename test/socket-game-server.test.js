@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { FAST_ROOM, startServerWithRooms } = require('./helpers');
+
+const ROOM = FAST_ROOM.symbol;
+
+let server;
+before(async () => {
+    server = await startServerWithRooms([FAST_ROOM]);
+});
+after(() => server.stop());
+
+// socket-game-server.js is a browser script: run it against stand-ins for the globals it
+// touches; returns window.gameServer, which is left unset in offline mode. Adapters
+// sharing a `store` share localStorage, like two page loads in one browser.
+const loadAdapter = ({ search = '', store = new Map() } = {}) => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'socket-game-server.js'), 'utf8');
+    const localStorage = {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key)
+    };
+    const window = { CS_SERVER_URL: server.url, location: { search } };
+    new Function('window', 'localStorage', 'io', source)(window, localStorage, io);
+    return window.gameServer;
+};
+
+// next(type, match) resolves to the next matching event payload from the adapter
+const watch = (gameServer) => {
+    const waiting = [];
+    gameServer.subscribe((type, data) => {
+        for (const w of waiting.filter(w => w.type === type && w.match(data))) {
+            waiting.splice(waiting.indexOf(w), 1);
+            w.resolve(data);
+        }
+    });
+    return {
+        next: (type, match = () => true) => new Promise(resolve => waiting.push({ type, match, resolve }))
+    };
+};
+
+test('the adapter signs up, follows a room and turns server events into game events', { timeout: 30000 }, async () => {
+    const gameServer = loadAdapter();
+    const events = watch(gameServer);
+
+    const connected = events.next('CONNECTION_STATUS', s => s.status === 'connected');
+    const signedUp = await gameServer.register({ username: 'adapter', email: 'adapter@example.com', password: 'password123' });
+    assert.deepStrictEqual(signedUp, { success: true });
+    await connected;
+
+    const started = events.next('GAME_START');
+    gameServer.startGame(ROOM);
+    const round = await started;
+    assert.strictEqual(round.room, ROOM);
+
+    const placed = events.next('BET_PLACED');
+    assert.deepStrictEqual(gameServer.placeBet(50), { pending: true });
+    assert.deepStrictEqual(await placed, { amount: 50 });
+
+    // Nobody cashes out, so the round ends in a loss whatever its crash point
+    const lost = events.next('BET_LOST');
+    const crashed = await events.next('GAME_CRASHED');
+    assert.ok(crashed.crashPoint >= 1 && crashed.serverSeed);
+    assert.deepStrictEqual(await lost, { amount: 50 });
+
+    const disconnected = events.next('CONNECTION_STATUS', s => s.status === 'disconnected');
+    gameServer.logout();
+    await disconnected;
+});
+
+test('a signed-out player cannot bet', () => {
+    const gameServer = loadAdapter();
+    assert.strictEqual(gameServer.placeBet(50).code, 'LOGIN_REQUIRED');
+});
+
+test('offline mode keeps the mock game server', () => {
+    assert.strictEqual(loadAdapter({ search: '?offline' }), undefined);
+});
+
+test('sign-up errors name the field at fault', async () => {
+    const gameServer = loadAdapter();
+    const short = await gameServer.register({ username: 'shorty', email: 'shorty@example.com', password: 'short' });
+    assert.strictEqual(short.field, 'password');
+
+    const owner = loadAdapter();
+    await owner.register({ username: 'taken', email: 'taken@example.com', password: 'password123' });
+    owner.logout();
+    const taken = await gameServer.register({ username: 'taken', email: 'another@example.com', password: 'password123' });
+    assert.deepStrictEqual(taken, { error: 'Username is taken', field: 'username' });
+});
+
+test('a reload restores the stored session from /api/me', { timeout: 30000 }, async () => {
+    const store = new Map();
+    const first = loadAdapter({ store });
+    await first.register({ username: 'reloader', email: 'reloader@example.com', password: 'password123' });
+
+    const reloaded = loadAdapter({ store });
+    const events = watch(reloaded);
+    const user = await events.next('USER_UPDATE', u => u !== null);
+    assert.strictEqual(user.username, 'reloader');
+    assert.strictEqual(user.balance, 1000);
+    await events.next('CONNECTION_STATUS', s => s.status === 'connected');
+
+    reloaded.logout();
+    first.logout();
+});
+
+test('a stored session the server rejects is cleared', async () => {
+    const store = new Map([['cs_token', 'not-a-token'], ['cs_session_user', '{"username":"ghost"}']]);
+    const gameServer = loadAdapter({ store });
+    await watch(gameServer).next('USER_UPDATE', u => u === null);
+    assert.strictEqual(store.size, 0);
+});
@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { listen, request, createPlayer, signIn, playRound } = require('./helpers');
+const { updateUserBalance } = require('../database');
+const statsRoutes = require('../routes/stats');
+
+let api;
+before(async () => {
+    api = await listen(app => app.use('/api', statsRoutes));
+});
+after(() => api.close());
+
+test('stats total the ledger per room with the best cash-out and a running P/L', async () => {
+    const player = await createPlayer();
+    await playRound(player.id, 'CORLA', 100, 2);
+    await playRound(player.id, 'CORLA', 50, null);
+    await playRound(player.id, 'TSLR', 200, 3.5);
+
+    // A refunded bet is neither wagered nor played
+    const refunded = 'room:CORLA:nonce:9999';
+    await updateUserBalance(player.id, -30, 'bet', refunded);
+    await updateUserBalance(player.id, 30, 'refund', refunded);
+
+    const { status, body } = await request(`${api.url}/api/me/stats`, 'GET', undefined, { token: await signIn(player) });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(
+        [body.totalWagered, body.totalWon, body.netProfit, body.roundsPlayed, body.biggestWin, body.bestMultiplier],
+        [350, 900, 550, 3, 500, 3.5]
+    );
+    assert.deepStrictEqual(body.rooms, [
+        { room: 'TSLR', totalWagered: 200, totalWon: 700, netProfit: 500, roundsPlayed: 1, biggestWin: 500, bestMultiplier: 3.5 },
+        { room: 'CORLA', totalWagered: 150, totalWon: 200, netProfit: 50, roundsPlayed: 2, biggestWin: 100, bestMultiplier: 2 }
+    ]);
+    assert.deepStrictEqual(body.history.map(h => h.profit), [100, 50, 550]);
+});
+
+test('a player who has not played gets zeroes, not nulls', async () => {
+    const player = await createPlayer();
+    const { body } = await request(`${api.url}/api/me/stats`, 'GET', undefined, { token: await signIn(player) });
+    assert.deepStrictEqual(body, {
+        totalWagered: 0, totalWon: 0, netProfit: 0, roundsPlayed: 0,
+        biggestWin: null, bestMultiplier: null, rooms: [], history: []
+    });
+});
+
+test('stats need a signed-in player', async () => {
+    assert.strictEqual((await request(`${api.url}/api/me/stats`, 'GET')).status, 401);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request } = require('./helpers');
+const { validate, validateBody, validateQuery } = require('../middleware/validate');
+const { createRateLimiter, rateLimit } = require('../middleware/rate-limit');
+
+const schema = {
+    email: { type: 'string', trim: true, lowercase: true, maxLength: 50 },
+    amount: { type: 'integer', min: 1, message: 'Invalid amount' },
+    note: { type: 'string', optional: true, default: '' }
+};
+
+test('a valid payload keeps only the schema fields, normalised and defaulted', () => {
+    const { value, error } = validate(schema, { email: ' Trader@Example.COM ', amount: 5, role: 'admin' });
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(value, { email: 'trader@example.com', amount: 5, note: '' });
+});
+
+test('the first bad field is reported with its own message', () => {
+    assert.deepStrictEqual(validate(schema, { email: 'a@b.c', amount: 1.5 }), { field: 'amount', error: 'Invalid amount' });
+    assert.deepStrictEqual(validate(schema, { amount: 5 }), { field: 'email', error: 'email is required' });
+    // JSON bodies and socket payloads are not coerced: a numeric string is still a string
+    assert.strictEqual(validate(schema, { email: 'a@b.c', amount: '5' }).field, 'amount');
+    assert.strictEqual(validate(schema, ['a@b.c', 5]).field, 'email');
+});
+
+test('query strings are parsed and bad ones answered with a 400', async () => {
+    const api = await listen((app) => {
+        app.use(express.json());
+        app.get('/page', validateQuery({ limit: { type: 'integer', optional: true, default: 20, max: 100 } }), (req, res) => res.json(req.query));
+        app.post('/bet', validateBody(schema), (req, res) => res.json(req.body));
+    });
+    try {
+        assert.deepStrictEqual((await request(`${api.url}/page?limit=5`, 'GET')).body, { limit: 5 });
+        assert.deepStrictEqual((await request(`${api.url}/page`, 'GET')).body, { limit: 20 });
+        assert.deepStrictEqual(await request(`${api.url}/page?limit=abc`, 'GET'), {
+            status: 400, body: { error: 'limit must be a number', field: 'limit' }
+        });
+        assert.strictEqual((await request(`${api.url}/bet`, 'POST', { email: 'a@b.c', amount: 0 })).status, 400);
+    } finally {
+        await api.close();
+    }
+});
+
+test('a rate limit answers 429 with Retry-After once the window is full', async () => {
+    const api = await listen((app) => {
+        app.get('/ping', rateLimit({ windowMs: 60000, max: 2, message: 'Slow down' }), (req, res) => res.json({ ok: true }));
+    });
+    try {
+        assert.strictEqual((await request(`${api.url}/ping`, 'GET')).status, 200);
+        assert.strictEqual((await request(`${api.url}/ping`, 'GET')).status, 200);
+
+        const res = await fetch(`${api.url}/ping`);
+        assert.strictEqual(res.status, 429);
+        assert.strictEqual(res.headers.get('retry-after'), '60');
+        assert.deepStrictEqual(await res.json(), { error: 'Slow down' });
+    } finally {
+        await api.close();
+    }
+});
+
+test('a limiter counts each key separately and frees it when the window slides', async () => {
+    const limiter = createRateLimiter({ windowMs: 100, max: 1 });
+    assert.strictEqual(limiter.hit('a').allowed, true);
+    assert.strictEqual(limiter.hit('b').allowed, true);
+
+    const blocked = limiter.hit('a');
+    assert.strictEqual(blocked.allowed, false);
+    assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= 100);
+
+    await new Promise(done => setTimeout(done, 120));
+    assert.strictEqual(limiter.hit('a').allowed, true);
+});
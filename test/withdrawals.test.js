@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { listen, request, createPlayer, signIn, balanceOf, sql } = require('./helpers');
+const { markEmailVerified, getUserWithdrawals, findWithdrawalById, reconcileLedger } = require('../database');
+
+process.env.MIN_WITHDRAWAL_CC = '500';
+const withdrawalRoutes = require('../routes/withdrawals');
+
+let api;
+let adminToken;
+before(async () => {
+    api = await listen((app) => {
+        app.use(express.json());
+        app.use('/api', withdrawalRoutes);
+    });
+    const admin = await createPlayer();
+    await sql(`UPDATE users SET role = 'admin' WHERE id = ?`, [admin.id]);
+    adminToken = await signIn(admin);
+});
+after(() => api.close());
+
+// A verified player with the signup bonus
+const createVerifiedPlayer = async () => {
+    const player = await createPlayer();
+    await markEmailVerified(player.id);
+    return { ...player, token: await signIn(player) };
+};
+
+const requestWithdrawal = (player, amount) => request(`${api.url}/api/withdrawals`, 'POST', { amount }, { token: player.token });
+const review = (id, action) => request(`${api.url}/api/admin/withdrawals/${id}/${action}`, 'POST', {}, { token: adminToken });
+
+// Makes every insert into `table` matching `when` fail until dropped
+const failInserts = async (table, when = '1') => {
+    await sql(`CREATE TRIGGER fail_${table} BEFORE INSERT ON ${table} WHEN ${when} BEGIN SELECT RAISE(ABORT, 'forced failure'); END`);
+    return () => sql(`DROP TRIGGER fail_${table}`);
+};
+
+test('a withdrawal holds the Crash Cash until an admin approves it', async () => {
+    const player = await createVerifiedPlayer();
+    const res = await requestWithdrawal(player, 600);
+
+    assert.strictEqual(res.status, 201);
+    assert.strictEqual(res.body.balance, player.balance - 600);
+    assert.strictEqual(res.body.withdrawal.status, 'pending');
+
+    const approved = await review(res.body.withdrawal.id, 'approve');
+    assert.strictEqual(approved.status, 200);
+    assert.strictEqual(approved.body.withdrawal.status, 'completed');
+    assert.strictEqual(await balanceOf(player.id), player.balance - 600);
+});
+
+test('an unverified email cannot withdraw', async () => {
+    const player = await createPlayer();
+    const res = await requestWithdrawal({ token: await signIn(player) }, 600);
+
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('no Crash Cash is held when the withdrawal row cannot be written', async () => {
+    const player = await createVerifiedPlayer();
+    const restore = await failInserts('withdrawals');
+    try {
+        const res = await requestWithdrawal(player, 600);
+        assert.strictEqual(res.status, 500);
+    } finally {
+        await restore();
+    }
+
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+    assert.deepStrictEqual(await getUserWithdrawals(player.id), []);
+    assert.ok((await reconcileLedger()).ok);
+});
+
+test('a rejection refunds the held Crash Cash once', async () => {
+    const player = await createVerifiedPlayer();
+    const { body } = await requestWithdrawal(player, 600);
+
+    const rejected = await review(body.withdrawal.id, 'reject');
+    assert.strictEqual(rejected.status, 200);
+    assert.strictEqual(rejected.body.withdrawal.status, 'rejected');
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+
+    assert.strictEqual((await review(body.withdrawal.id, 'reject')).status, 409);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});
+
+test('a rejection whose refund fails leaves the withdrawal pending', async () => {
+    const player = await createVerifiedPlayer();
+    const { body } = await requestWithdrawal(player, 600);
+
+    const restore = await failInserts('transactions', `NEW.type = 'withdraw_reversal'`);
+    try {
+        assert.strictEqual((await review(body.withdrawal.id, 'reject')).status, 500);
+    } finally {
+        await restore();
+    }
+    assert.strictEqual((await findWithdrawalById(body.withdrawal.id)).status, 'pending');
+    assert.strictEqual(await balanceOf(player.id), player.balance - 600);
+
+    // Nothing was left half done, so the review can simply be repeated
+    assert.strictEqual((await review(body.withdrawal.id, 'reject')).status, 200);
+    assert.strictEqual(await balanceOf(player.id), player.balance);
+});